@@ -0,0 +1,2250 @@
+/**
+ * ================================================================
+ *  MEMORY ROUTER — core.js
+ *  DOM-free game rules: progression, sequence generation, scoring,
+ *  multipliers, boosts and the round lifecycle. Runs in the browser
+ *  (as globals, loaded before script.js) and under Node (CommonJS)
+ *  with an injectable clock for headless tests.
+ * ================================================================
+ */
+
+'use strict';
+
+/* ================================================================
+   1. PROGRESSIVE DIFFICULTY CONFIG
+   The game automatically advances through phases based on level.
+   Phase 1 (Lv 1-4):  Numbers only, length 4,   timer 10s
+   Phase 2 (Lv 5-8):  Numbers only, length 5-6,  timer 13s
+   Phase 3 (Lv 9-14): Alphanumeric,  length 5-7,  timer 15s
+   Phase 4 (Lv15-20): Hex codes (2-char tokens), len 6-8, timer 20s
+   Phase 5 (Lv 21+):  Mixed full hex, length 8+, timer 25s
+   Router Grid mode has a spatial phase of its own: a path of lit
+   nodes on a 3×3 (Lv 1-6), 4×4 (Lv 7-14) then 5×5 grid.
+   ================================================================ */
+
+/**
+ * Returns the game config for the given level.
+ * @param {number} level
+ * @param {string} [mode]  'grid' switches to the spatial phase
+ * @returns {{ type: string, length: number, timer: number, phase: string, label: string, tokenLen: number, gridSize?: number }}
+ */
+function getProgressiveConfig(level, mode = 'normal') {
+    if (mode === 'grid') {
+        // path grows 3→5 on 3×3, 5→8 on 4×4, then 8→12 on 5×5
+        const size = level <= 6 ? 3 : level <= 14 ? 4 : 5;
+        const len = size === 3 ? 3 + Math.floor((level - 1) / 2)
+            : size === 4 ? 5 + Math.floor((level - 7) / 2)
+                : Math.min(12, 8 + Math.floor((level - 15) / 2));
+        return {
+            type: 'grid',
+            gridSize: size,
+            length: len,
+            timer: 6 + len * 2,
+            phase: 'PHASE GR',
+            label: `ROUTER GRID ${size}×${size}`,
+            tokenLen: 2,
+        };
+    }
+    if (level <= 4) {
+        return {
+            type: 'numbers',
+            length: 4,
+            timer: 10,
+            phase: 'PHASE 01',
+            label: 'DECIMAL INIT',
+            tokenLen: 1,
+        };
+    } else if (level <= 8) {
+        // length grows 5,5,6,6
+        const len = 5 + Math.floor((level - 5) / 2);
+        return {
+            type: 'numbers',
+            length: len,
+            timer: 13,
+            phase: 'PHASE 02',
+            label: 'DIGIT STREAM',
+            tokenLen: 1,
+        };
+    } else if (level <= 14) {
+        // alpha characters, length grows 5→8
+        const len = 5 + Math.floor((level - 9) / 2);
+        return {
+            type: 'alpha',
+            length: Math.min(len, 8),
+            timer: 15,
+            phase: 'PHASE 03',
+            label: 'ALPHA ROUTE',
+            tokenLen: 1,
+        };
+    } else if (level <= 20) {
+        // 2-char hex codes, length grows 6→9
+        const len = 6 + Math.floor((level - 15) / 2);
+        return {
+            type: 'hex',
+            length: Math.min(len, 9),
+            timer: 20,
+            phase: 'PHASE 04',
+            label: 'HEX MATRIX',
+            tokenLen: 2,
+        };
+    } else {
+        // mixed alpha+numbers, length grows from 8
+        const len = Math.min(12, 8 + Math.floor((level - 21) / 3));
+        return {
+            type: 'mixed',
+            length: len,
+            timer: 25,
+            phase: 'PHASE 05',
+            label: 'MIXED PROTOCOL',
+            tokenLen: 1,
+        };
+    }
+}
+
+/**
+ * Manual "Custom" progression: the player pins the sequence type and a
+ * difficulty preset. Length still grows with level as in the progressive
+ * phases; the preset then shifts length and scales timer / display time.
+ */
+const DIFFICULTY_PRESETS = {
+    easy: { lengthDelta: -1, timerScale: 1.5, displayScale: 1.3 },
+    medium: { lengthDelta: 0, timerScale: 1, displayScale: 1 },
+    hard: { lengthDelta: 1, timerScale: 0.8, displayScale: 0.8 },
+    insane: { lengthDelta: 3, timerScale: 0.6, displayScale: 0.6 },
+};
+
+const SEQUENCE_TYPE_LABELS = {
+    numbers: 'DECIMAL',
+    alpha: 'ALPHA',
+    hex: 'HEX',
+    mixed: 'MIXED',
+};
+
+/**
+ * Custom progression only applies outside Daily Route, which always uses
+ * the progressive phases so every player shares one ruleset, and Router
+ * Grid, whose tokens are positions rather than characters.
+ * @param {{ progression: string, mode: string }} settings
+ */
+function isCustomProgression(settings) {
+    return settings.progression === 'custom' && settings.mode !== 'daily' && settings.mode !== 'grid';
+}
+
+/**
+ * Returns the config for the given level, honouring the Custom and Adaptive settings.
+ * @param {number} level
+ * @param {{ progression: string, mode: string, seqType: string, difficulty: string, adaptive?: object }} settings
+ */
+function getRoundConfig(level, settings) {
+    const cfg = getProgressiveConfig(level, settings.mode);
+    if (isAdaptiveProgression(settings)) return getAdaptiveConfig(cfg, settings.adaptive || createAdaptiveProfile());
+    if (!isCustomProgression(settings)) return cfg;
+
+    const preset = DIFFICULTY_PRESETS[settings.difficulty] || DIFFICULTY_PRESETS.medium;
+    const type = settings.seqType;
+    return {
+        type,
+        length: Math.max(3, cfg.length + preset.lengthDelta),
+        timer: Math.max(5, Math.round(cfg.timer * preset.timerScale)),
+        phase: 'CUSTOM',
+        label: `${SEQUENCE_TYPE_LABELS[type]} · ${settings.difficulty.toUpperCase()}`,
+        tokenLen: SequenceGenerator.tokenLength(type),
+    };
+}
+
+/* ================================================================
+   2. ADAPTIVE DIFFICULTY
+   Adaptive progression swaps the fixed level bands for a running
+   estimate of the player's memory span: the sequence size (in
+   characters) they recall half the time. After every round the
+   span moves Elo-style by how surprising the result was, and the
+   next round is sized so the player is expected to get it right
+   ADAPTIVE.targetRate of the time. A second factor, tempo, follows
+   how much of the timer the player needs and scales the reveal
+   speed and the timer. The sequence type still follows the level.
+   ================================================================ */
+const ADAPTIVE = {
+    targetRate: 0.75, // success rate each round is sized for
+    startSpan: 5,     // characters, before there is any evidence
+    minSpan: 3,
+    maxSpan: 24,
+    slope: 1.2,       // spread of the success curve around the span, in characters
+    fastK: 1.5,       // span step while calibrating (first rounds)…
+    k: 0.8,           // …and afterwards
+    calibration: 6,   // rounds played with the fast step
+    minTempo: 0.6,
+    maxTempo: 1.5,
+    window: 10,       // rounds kept for the recent success rate
+};
+
+/** A player's adaptive profile, from saved data when it looks valid. */
+function createAdaptiveProfile(saved = null) {
+    const num = (v, min, max, fallback) => (typeof v === 'number' && v >= min && v <= max ? v : fallback);
+    const s = saved || {};
+    return {
+        span: num(s.span, ADAPTIVE.minSpan, ADAPTIVE.maxSpan, ADAPTIVE.startSpan),
+        tempo: num(s.tempo, ADAPTIVE.minTempo, ADAPTIVE.maxTempo, 1),
+        rounds: Number.isInteger(s.rounds) && s.rounds >= 0 ? s.rounds : 0,
+        history: Array.isArray(s.history) ? s.history.slice(-ADAPTIVE.window) : [],
+    };
+}
+
+/**
+ * Where an adaptive run starts: the player's saved span when it is above a
+ * fresh start, never below it, at no gentler tempo than a fresh one, and
+ * re-calibrating with the fast step. A run log can't be checked against a
+ * player's history, so this is all verifyRun accepts as a starting point.
+ */
+function adaptiveRunProfile(saved = null) {
+    const p = createAdaptiveProfile(saved);
+    return { span: Math.max(p.span, ADAPTIVE.startSpan), tempo: Math.min(p.tempo, 1), rounds: 0, history: [] };
+}
+
+/** Predicted chance of recalling `chars` characters for a player of this span. */
+function adaptiveChance(chars, span) {
+    return 1 / (1 + Math.exp((chars - span) / ADAPTIVE.slope));
+}
+
+/** Sequence size (characters) the player should recall at the target rate. */
+function adaptiveChars(span) {
+    const t = ADAPTIVE.targetRate;
+    return Math.max(ADAPTIVE.minSpan, Math.round(span - ADAPTIVE.slope * Math.log(t / (1 - t))));
+}
+
+/** Share of the last ADAPTIVE.window rounds answered correctly (null before the first). */
+function adaptiveRate(profile) {
+    const h = profile.history;
+    return h.length ? h.filter(r => r.correct).length / h.length : null;
+}
+
+/**
+ * Fold one round into the profile (mutates it).
+ * @param {object} profile  from createAdaptiveProfile()
+ * @param {{ correct: boolean, chars: number, timeUsed: number|null, timedOut?: boolean }} round
+ *        timeUsed is the fraction of the timer spent; null leaves the tempo alone (untimed rounds)
+ */
+function updateAdaptive(profile, { correct, chars, timeUsed, timedOut = false }) {
+    const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+    const k = profile.rounds < ADAPTIVE.calibration ? ADAPTIVE.fastK : ADAPTIVE.k;
+    const surprise = (correct ? 1 : 0) - adaptiveChance(chars, profile.span);
+    profile.span = Math.round(clamp(profile.span + k * surprise, ADAPTIVE.minSpan, ADAPTIVE.maxSpan) * 100) / 100;
+
+    // Fast, correct answers earn a quicker reveal and a shorter timer; running out of time slows both down
+    if (timeUsed !== null) {
+        let step = 0;
+        if (timedOut) step = 0.1;
+        else if (!correct) step = 0.03;
+        else if (timeUsed < 0.5) step = -0.05;
+        else if (timeUsed > 0.85) step = 0.05;
+        profile.tempo = Math.round(clamp(profile.tempo + step, ADAPTIVE.minTempo, ADAPTIVE.maxTempo) * 100) / 100;
+    }
+
+    profile.rounds++;
+    profile.history = [...profile.history, { correct, chars, timeUsed }].slice(-ADAPTIVE.window);
+    return profile;
+}
+
+/**
+ * Adaptive round config: the level's sequence type, sized and timed for the profile.
+ * @param {object} cfg  the progressive config for the level
+ * @param {object} profile
+ */
+function getAdaptiveConfig(cfg, profile) {
+    const length = Math.max(3, Math.round(adaptiveChars(profile.span) / cfg.tokenLen));
+    return {
+        type: cfg.type,
+        length,
+        timer: Math.max(5, Math.round((4 + 1.5 * length * cfg.tokenLen) * profile.tempo)),
+        phase: 'ADAPTIVE',
+        label: `ADAPTIVE ${SEQUENCE_TYPE_LABELS[cfg.type]}`,
+        tokenLen: cfg.tokenLen,
+    };
+}
+
+/**
+ * Like Custom, Adaptive does not apply to Daily Route or Router Grid.
+ * @param {{ progression: string, mode: string }} settings
+ */
+function isAdaptiveProgression(settings) {
+    return settings.progression === 'adaptive' && settings.mode !== 'daily' && settings.mode !== 'grid';
+}
+
+/* ================================================================
+   3. RULE CONSTANTS
+   ================================================================ */
+const NODE_DISPLAY_TIME = 700;   // ms each token glows (base)
+
+const MULTIPLIER_THRESHOLDS = [1, 2, 4, 7, 11];
+const MULTIPLIER_VALUES = [1, 2, 3, 5, 8];
+
+const ROUNDS_PER_BOOST = 5;      // correct rounds to earn a Memory Boost
+const BOOST_DURATION = 8000;     // ms the timer stays frozen
+const PRACTICE_TIMER = 9999;     // practice rounds are effectively untimed
+
+// Drill plays by Practice's rules: untimed, a miss retries the same sequence, nothing is earned
+const PRACTICE_MODES = ['practice', 'drill'];
+
+// Hardcore (unlocked by an achievement) stacks Strict and Speed, and never earns power-ups
+const INSTANT_FAIL_MODES = ['strict', 'hardcore'];
+const FAST_REVEAL_MODES = ['speed', 'hardcore'];
+
+// Everyone plays the same seed (Daily Route): a resumed run would carry on from a fresh one, so these can't be resumed
+const SHARED_SEED_MODES = ['daily'];
+
+/* ================================================================
+   4. SEQUENCE GENERATOR
+   All randomness in a run flows through a seeded PRNG so that a
+   seed string fully reproduces every sequence of that run.
+   ================================================================ */
+const SEED_ALPHABET = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+const Rng = {
+    state: 0,
+
+    /** Hash an arbitrary seed string into a 32-bit PRNG state (xmur3). */
+    hash(str) {
+        let h = 1779033703 ^ str.length;
+        for (let i = 0; i < str.length; i++) {
+            h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h ^= h >>> 16) >>> 0;
+    },
+
+    seed(str) {
+        this.state = this.hash(String(str));
+    },
+
+    /** Next float in [0, 1) — mulberry32. */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /** Next integer in [0, n). */
+    int(n) {
+        return Math.floor(this.next() * n);
+    },
+
+    /** Fresh random seed for an unseeded run (not drawn from the run stream). */
+    randomSeed() {
+        let out = '';
+        for (let i = 0; i < 8; i++) out += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+        return out;
+    },
+
+    /** Seed shared by every player on the same UTC day. */
+    dailySeed(date = new Date()) {
+        return `DAILY-${date.toISOString().slice(0, 10)}`;
+    },
+
+    /** Normalise user-typed seeds so "abc " and "ABC" replay the same run. */
+    clean(str) {
+        return String(str || '').trim().toUpperCase().replace(/[^0-9A-Z-]/g, '').slice(0, 24);
+    },
+};
+
+const SequenceGenerator = {
+    pools: {
+        numbers: '0123456789'.split(''),
+        alpha: 'ABCDEFGHJKLMNPQRSTUVWXYZ'.split(''), // no confusable I/O
+        hex: '0123456789ABCDEF'.split(''),
+        mixed: null, // built dynamically
+    },
+    generators: {}, // plugin sequence types with their own generate() (see registerGenerator)
+
+    getPool(type, gridSize = 3) {
+        if (type === 'mixed') return [...this.pools.numbers, ...this.pools.alpha];
+        if (type === 'grid') return this.gridCells(gridSize);
+        return this.pools[type] || this.pools.numbers;
+    },
+
+    /** Router Grid cells, row by row: 'A1' is top-left, column letter then row number. */
+    gridCells(size) {
+        const cells = [];
+        for (let row = 1; row <= size; row++) {
+            for (let col = 0; col < size; col++) cells.push(String.fromCharCode(65 + col) + row);
+        }
+        return cells;
+    },
+
+    /** Characters per token: 2 for hex codes, otherwise the length of the pool's tokens. */
+    tokenLength(type) {
+        return type === 'hex' ? 2 : this.getPool(type)[0].length;
+    },
+
+    /** `rng` defaults to the shared run stream; tests pass their own. */
+    generate(length, type, rng = Rng, gridSize = 3) {
+        const pool = this.getPool(type, gridSize);
+        if (this.generators[type]) return this.generators[type](length, rng, pool).map(String);
+        if (type === 'grid') {
+            // Corsi-style path: each node lights at most once
+            const free = [...pool];
+            return Array.from({ length: Math.min(length, free.length) }, () => free.splice(rng.int(free.length), 1)[0]);
+        }
+        const seq = [];
+        let last = null;
+
+        for (let i = 0; i < length; i++) {
+            let token;
+            let tries = 0;
+            do {
+                if (type === 'hex') {
+                    // 2-char hex codes
+                    token = pool[rng.int(pool.length)] + pool[rng.int(pool.length)];
+                } else {
+                    token = pool[rng.int(pool.length)];
+                }
+                tries++;
+            } while (token === last && pool.length > 1 && tries < 20);
+            seq.push(token);
+            last = token;
+        }
+        return seq;
+    },
+};
+
+/* ================================================================
+   5. RECALL MODES
+   Modes that change what the player types back. The sequence is
+   still revealed as-is; `answer` turns it into the expected input
+   and `weight` scales the round score for the extra mental work.
+   ================================================================ */
+
+/**
+ * Next symbol within a token's own alphabet: 9→0, F→0 (hex), Z→A (alpha).
+ * Letters step through the alpha pool, which has no I or O, so H→J and N→P:
+ * the answer is always a key the keypad has.
+ */
+function shiftToken(token, type) {
+    return token.split('').map(ch => {
+        const pool = type === 'hex' ? SequenceGenerator.pools.hex
+            : /[0-9]/.test(ch) ? SequenceGenerator.pools.numbers
+                : SequenceGenerator.pools.alpha;
+        return pool[(pool.indexOf(ch) + 1) % pool.length];
+    }).join('');
+}
+
+const RECALL_MODES = {
+    reverse: {
+        label: 'REVERSED',
+        weight: 1.5,
+        answer: (seq) => [...seq].reverse(),
+    },
+    sorted: {
+        label: 'SORTED',
+        weight: 1.75,
+        // Character order: digits before letters
+        answer: (seq) => [...seq].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)),
+    },
+    alternate: {
+        label: 'EVERY OTHER',
+        weight: 1.25,
+        answer: (seq) => seq.filter((_, i) => i % 2 === 0),
+    },
+    plusone: {
+        label: '+1 SHIFT',
+        weight: 2,
+        answer: (seq, type) => seq.map(token => shiftToken(token, type)),
+    },
+};
+
+/**
+ * What the player must enter for `sequence` under `mode`.
+ * @param {string[]} sequence
+ * @param {string} mode
+ * @param {string} type  sequence type of the round (for +1 wrap-around)
+ */
+function recallAnswer(sequence, mode, type) {
+    const recall = RECALL_MODES[mode];
+    return recall ? recall.answer(sequence.map(t => t.toUpperCase()), type) : sequence.map(t => t.toUpperCase());
+}
+
+/** Score multiplier for a mode's recall task (1 for plain in-order recall). */
+function recallWeight(mode) {
+    return RECALL_MODES[mode] ? RECALL_MODES[mode].weight : 1;
+}
+
+/* ================================================================
+   6. PRESENTATION
+   How the sequence reaches the player. Every character has a voice
+   of its own — a note on a major scale, sine for digits, triangle
+   for letters — so a sequence can be heard as well as seen. Dual
+   shows one stream while playing a different one, and only tells
+   the player which of the two to recall once the reveal is over.
+   The played stream and the channel come from a second random
+   stream, so the shown sequence for a seed never changes.
+   ================================================================ */
+const PRESENTATIONS = {
+    visual: { label: 'VISUAL', shows: true, voices: false },
+    audiovisual: { label: 'AUDIO + VISUAL', shows: true, voices: true },
+    audio: { label: 'AUDIO ONLY', shows: false, voices: true },
+    dual: { label: 'DUAL', shows: true, voices: true },
+};
+
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+/** Note `step` degrees up the major scale from `root` Hz. */
+function scaleNote(root, step) {
+    const semitones = MAJOR_SCALE[step % 7] + 12 * Math.floor(step / 7);
+    return Math.round(root * Math.pow(2, semitones / 12) * 100) / 100;
+}
+
+/**
+ * The voice of one character: digits climb from C4, letters from A3 in a
+ * different timbre, so 36 symbols stay tellable apart.
+ * @returns {{ freq: number, wave: string } | null}
+ */
+function tokenVoice(ch) {
+    const c = String(ch).toUpperCase();
+    if (/^[0-9]$/.test(c)) return { freq: scaleNote(261.63, Number(c)), wave: 'sine' };
+    if (/^[A-Z]$/.test(c)) return { freq: scaleNote(220, c.charCodeAt(0) - 65), wave: 'triangle' };
+    return null;
+}
+
+/** One voice per character of a token (hex codes are two notes). */
+function tokenVoices(token) {
+    return String(token).split('').map(tokenVoice).filter(Boolean);
+}
+
+/**
+ * Grid rounds are spatial, Daily Route keeps one ruleset for everyone and
+ * Chunk Trainer groups what is shown: all three are always visual.
+ */
+function presentationOf(settings) {
+    if (settings.mode === 'grid' || settings.mode === 'daily' || settings.mode === 'chunk') return 'visual';
+    return PRESENTATIONS[settings.presentation] ? settings.presentation : 'visual';
+}
+
+/**
+ * A stream to play against `sequence` in Dual: same type and length, with a
+ * different token at every position.
+ */
+function conflictingStream(sequence, type, rng) {
+    const played = SequenceGenerator.generate(sequence.length, type, rng);
+    const pool = SequenceGenerator.getPool(type);
+    return played.map((token, i) => {
+        if (token !== sequence[i]) return token;
+        // Swap the last character for another one from the pool
+        const last = token.slice(-1);
+        const next = pool[(pool.indexOf(last) + 1 + rng.int(pool.length - 1)) % pool.length];
+        return token.slice(0, -1) + next;
+    });
+}
+
+/* ================================================================
+   7. CHUNKING
+   Chunk Trainer shows each sequence in groups (3-3-3, or pairs of
+   hex codes), each with a generated memory hook, and fades that
+   scaffolding out as the player improves: first the hooks go, then
+   the group outlines, then the gaps, until the sequence is shown
+   flat like in any other mode. Rounds are also tallied by size (in
+   characters), chunked or not, so the trainer can set the player's
+   chunked recall against their own unchunked baseline.
+   ================================================================ */
+const CHUNKING = {
+    stages: ['hooks', 'groups', 'gaps', 'flat'], // most scaffolding first
+    stageRounds: 8, // net correct chunked rounds to fade one stage
+    missCost: 2,    // a miss takes back this many
+    minRounds: 3,   // rounds at a size before it counts in a comparison
+};
+
+// Rhyming pegs for digits, the phonetic alphabet for letters
+const DIGIT_PEGS = ['HERO', 'BUN', 'SHOE', 'TREE', 'DOOR', 'HIVE', 'STICKS', 'HEAVEN', 'GATE', 'LINE'];
+const LETTER_WORDS = ['ALFA', 'BRAVO', 'CHARLIE', 'DELTA', 'ECHO', 'FOXTROT', 'GOLF', 'HOTEL', 'INDIA',
+    'JULIET', 'KILO', 'LIMA', 'MIKE', 'NOVEMBER', 'OSCAR', 'PAPA', 'QUEBEC', 'ROMEO', 'SIERRA', 'TANGO',
+    'UNIFORM', 'VICTOR', 'WHISKEY', 'XRAY', 'YANKEE', 'ZULU'];
+
+/**
+ * Group sizes for a sequence of `length` tokens: groups of 3 (of 2 for
+ * multi-character tokens), as even as possible, larger groups first.
+ * @returns {number[]} e.g. 8 → [3, 3, 2]
+ */
+function chunkSizes(length, tokenLen = 1) {
+    if (length <= 0) return [];
+    const count = Math.ceil(length / (tokenLen > 1 ? 2 : 3));
+    const base = Math.floor(length / count);
+    return Array.from({ length: count }, (_, i) => base + (i < length % count ? 1 : 0));
+}
+
+/**
+ * A memory hook for one group: the pattern when there is one ('RUN UP 3→5',
+ * '3× 7'), otherwise a word per character ('BUN SHOE · ALFA HEAVEN').
+ * @param {string[]} tokens
+ */
+function chunkMnemonic(tokens) {
+    const chars = tokens.map(t => String(t).toUpperCase());
+    if (chars.length > 1 && chars.every(c => c === chars[0])) return `${chars.length}× ${chars[0]}`;
+    if (chars.length > 2 && chars.every(c => /^[0-9A-Z]$/.test(c))) {
+        const codes = chars.map(c => c.charCodeAt(0));
+        const sameKind = chars.every(c => /[0-9]/.test(c)) || chars.every(c => /[A-Z]/.test(c));
+        const step = codes[1] - codes[0];
+        if (sameKind && Math.abs(step) === 1 && codes.every((c, i) => i === 0 || c - codes[i - 1] === step)) {
+            return `RUN ${step > 0 ? 'UP' : 'DOWN'} ${chars[0]}→${chars[chars.length - 1]}`;
+        }
+    }
+    const word = (ch) => (/[0-9]/.test(ch) ? DIGIT_PEGS[Number(ch)] : /[A-Z]/.test(ch) ? LETTER_WORDS[ch.charCodeAt(0) - 65] : ch);
+    return chars.map(token => token.split('').map(word).join(' ')).join(' · ');
+}
+
+/** A player's chunking record, from saved data when it looks valid. */
+function createChunkProfile(saved = null) {
+    const s = saved || {};
+    const tally = (t) => {
+        const out = {};
+        Object.entries(t && typeof t === 'object' ? t : {}).forEach(([chars, r]) => {
+            if (/^\d+$/.test(chars) && r && Number.isInteger(r.rounds) && Number.isInteger(r.correct)
+                && r.correct >= 0 && r.correct <= r.rounds) out[chars] = { rounds: r.rounds, correct: r.correct };
+        });
+        return out;
+    };
+    const maxFade = (CHUNKING.stages.length - 1) * CHUNKING.stageRounds;
+    return {
+        fade: Number.isInteger(s.fade) ? Math.min(maxFade, Math.max(0, s.fade)) : 0,
+        chunked: tally(s.chunked),   // Chunk Trainer rounds, by size in characters
+        baseline: tally(s.baseline), // plain in-order rounds in other modes
+    };
+}
+
+/** How much scaffolding the next chunked round shows: one of CHUNKING.stages. */
+function chunkStage(profile) {
+    return CHUNKING.stages[Math.min(CHUNKING.stages.length - 1, Math.floor(profile.fade / CHUNKING.stageRounds))];
+}
+
+/**
+ * Rounds that count towards the baseline: the sequence is shown as-is and
+ * typed back in order, so only the missing chunking differs.
+ * @param {{ mode: string, presentation?: string }} settings
+ */
+function isBaselineRound(settings) {
+    return !['chunk', 'grid', 'drill'].includes(settings.mode) && !RECALL_MODES[settings.mode]
+        && presentationOf(settings) === 'visual';
+}
+
+/**
+ * Fold one round into the profile (mutates it). Chunked rounds also move the
+ * fade: a correct one takes the scaffolding a step further out, a miss brings
+ * it back by CHUNKING.missCost.
+ * @param {object} profile  from createChunkProfile()
+ * @param {{ chunked: boolean, chars: number, correct: boolean }} round
+ */
+function updateChunkProfile(profile, { chunked, chars, correct }) {
+    const tally = chunked ? profile.chunked : profile.baseline;
+    const row = tally[chars] || (tally[chars] = { rounds: 0, correct: 0 });
+    row.rounds++;
+    if (correct) row.correct++;
+    if (chunked) {
+        const maxFade = (CHUNKING.stages.length - 1) * CHUNKING.stageRounds;
+        profile.fade = Math.min(maxFade, Math.max(0, profile.fade + (correct ? 1 : -CHUNKING.missCost)));
+    }
+    return profile;
+}
+
+/**
+ * Chunked against unchunked recall, per sequence size, largest first. `gain`
+ * (in percentage points) needs CHUNKING.minRounds rounds on both sides.
+ * @returns {{ rows: { chars: number, chunked: object|null, baseline: object|null, gain: number|null }[],
+ *             overall: { chunked: number, baseline: number, gain: number } | null }}
+ *          rates are 0–1; overall pools the sizes that have a gain
+ */
+function chunkComparison(profile) {
+    const rate = (r) => (r ? { rounds: r.rounds, rate: r.correct / r.rounds } : null);
+    const enough = (r) => r && r.rounds >= CHUNKING.minRounds;
+    const sizes = [...new Set([...Object.keys(profile.chunked), ...Object.keys(profile.baseline)])]
+        .map(Number).sort((a, b) => b - a);
+    const pooled = { chunked: [0, 0], baseline: [0, 0] };
+    const rows = sizes.map(chars => {
+        const c = profile.chunked[chars];
+        const b = profile.baseline[chars];
+        const both = enough(c) && enough(b);
+        if (both) {
+            pooled.chunked[0] += c.correct; pooled.chunked[1] += c.rounds;
+            pooled.baseline[0] += b.correct; pooled.baseline[1] += b.rounds;
+        }
+        return {
+            chars,
+            chunked: rate(c),
+            baseline: rate(b),
+            gain: both ? Math.round((c.correct / c.rounds - b.correct / b.rounds) * 100) : null,
+        };
+    });
+    const overall = pooled.chunked[1] ? {
+        chunked: pooled.chunked[0] / pooled.chunked[1],
+        baseline: pooled.baseline[0] / pooled.baseline[1],
+        gain: Math.round((pooled.chunked[0] / pooled.chunked[1] - pooled.baseline[0] / pooled.baseline[1]) * 100),
+    } : null;
+    return { rows, overall };
+}
+
+/* ================================================================
+   8. SPACED REPETITION
+   Drill mode plays by Practice's rules on sequences built from the
+   player's weak spots. Every token missed in a drill goes into an
+   SM-2 deck: each review grades recall 0–5, a miss (below 3) sends
+   the token back to the start of its schedule, and each correct
+   review pushes it further out (1 day, 6 days, then × its ease).
+   Before every drill round the UI picks the tokens that are due, and
+   tokens the stats show as error-prone that aren't in the deck yet,
+   into a drill set (logged with the run). The round then fills the
+   player's least accurate positions with them.
+   ================================================================ */
+const DRILL = {
+    startEase: 2.5,
+    minEase: 1.3,
+    masteredDays: 21, // interval from which a token counts as mastered
+    setSize: 8,       // tokens drilled at once
+    share: 0.5,       // of each sequence's positions
+    minSeen: 3,       // attempts at a token before the stats can call it weak
+    slowMs: 5000,     // a correct token entered slower than this was recalled with difficulty
+    fastMs: 1500,     // …faster than this, perfectly
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Does `token` look like a sequence token of any type (1–4 digits or capitals)?
+ * For keys read back from storage, where the round's type is not known.
+ */
+function isToken(token) {
+    return typeof token === 'string' && /^[0-9A-Z]{1,4}$/.test(token);
+}
+
+/** Can `token` appear in a sequence of `type`? (Hex tokens are pairs of hex digits.) */
+function tokenFits(token, type) {
+    if (type === 'grid' || typeof token !== 'string') return false;
+    const pool = SequenceGenerator.getPool(type);
+    if (type === 'hex') return token.length === 2 && [...token].every(ch => pool.includes(ch));
+    return pool.includes(token);
+}
+
+/** A player's drill deck (token → SM-2 card), from saved data when it looks valid. */
+function createDrillDeck(saved = null) {
+    const deck = {};
+    Object.entries(saved && typeof saved === 'object' ? saved : {}).forEach(([token, c]) => {
+        if (!isToken(token) || !c || typeof c !== 'object') return;
+        const int = (v) => (Number.isInteger(v) && v >= 0 ? v : 0);
+        deck[token] = {
+            ease: typeof c.ease === 'number' && c.ease >= DRILL.minEase && c.ease <= 5 ? c.ease : DRILL.startEase,
+            interval: int(c.interval), // days
+            reps: int(c.reps),         // correct reviews in a row
+            lapses: int(c.lapses),
+            due: typeof c.due === 'number' && Number.isFinite(c.due) ? c.due : 0,
+        };
+    });
+    return deck;
+}
+
+/**
+ * SM-2 grade for one token of an attempt: 5 quick and right, 4 right, 3 right
+ * but slow, 1 a different token of the same size (a confusion), 2 a partial
+ * entry, 0 left empty.
+ */
+function drillQuality(expected, typed, ms = 0) {
+    if (!typed) return 0;
+    if (typed !== expected) return typed.length === expected.length ? 1 : 2;
+    if (ms > DRILL.slowMs) return 3;
+    return ms > 0 && ms < DRILL.fastMs ? 5 : 4;
+}
+
+/**
+ * Review one card (mutates it; a missing card starts fresh). A grade below 3
+ * restarts its schedule, due again at once, and leaves the ease alone.
+ * @returns {object} the card
+ */
+function reviewDrillCard(card, quality, now) {
+    const c = card || { ease: DRILL.startEase, interval: 0, reps: 0, lapses: 0, due: now };
+    if (quality < 3) {
+        c.reps = 0;
+        c.interval = 0;
+        c.lapses++;
+        c.due = now;
+        return c;
+    }
+    c.reps++;
+    c.interval = c.reps === 1 ? 1 : c.reps === 2 ? 6 : Math.round(c.interval * c.ease);
+    c.ease = Math.round(Math.max(DRILL.minEase, c.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)) * 100) / 100;
+    c.due = now + c.interval * DAY_MS;
+    return c;
+}
+
+/** Due now, still being learnt, and mastered (interval of DRILL.masteredDays or more). */
+function drillProgress(deck, now) {
+    const cards = Object.values(deck);
+    const mastered = cards.filter(c => c.interval >= DRILL.masteredDays).length;
+    return { due: cards.filter(c => c.due <= now).length, learning: cards.length - mastered, mastered };
+}
+
+/**
+ * Tokens and positions to drill in a round of `type`: due cards first (the more
+ * lapses, the heavier), then tokens the stats show as error-prone, weighted by
+ * error rate and how often they were confused. When nothing is due, the cards
+ * due soonest stand in, so a drill always works on the deck.
+ * @param {object} deck  from createDrillDeck()
+ * @param {{ tokens: object, confusions: object, positions: object[] }} stats  the stats engine's data
+ * @returns {{ items: { token: string, weight: number }[], positions: number[] }}
+ */
+function drillSet(deck, stats, type, now) {
+    const items = [];
+    const add = (token, weight) => {
+        if (items.length < DRILL.setSize && !items.some(i => i.token === token)) items.push({ token, weight });
+    };
+    const cards = Object.keys(deck).filter(t => tokenFits(t, type));
+    cards.filter(t => deck[t].due <= now)
+        .sort((a, b) => deck[a].due - deck[b].due)
+        .forEach(t => add(t, 2 + Math.min(4, deck[t].lapses)));
+
+    const tokens = (stats && stats.tokens) || {};
+    const confused = {};
+    Object.entries((stats && stats.confusions) || {}).forEach(([pair, n]) => {
+        const expected = pair.split('>')[0];
+        confused[expected] = (confused[expected] || 0) + n;
+    });
+    Object.keys(tokens)
+        .filter(t => tokenFits(t, type) && !deck[t] && tokens[t].seen >= DRILL.minSeen && tokens[t].correct < tokens[t].seen)
+        .map(t => ({ token: t, weight: 1 + Math.round(4 * (1 - tokens[t].correct / tokens[t].seen)) + Math.min(3, confused[t] || 0) }))
+        .sort((a, b) => b.weight - a.weight || (a.token < b.token ? -1 : 1))
+        .forEach(i => add(i.token, i.weight));
+
+    if (!items.length) {
+        cards.sort((a, b) => deck[a].due - deck[b].due).slice(0, 4).forEach(t => add(t, 1));
+    }
+
+    const positions = ((stats && stats.positions) || [])
+        .map((p, i) => ({ i, acc: p && p.seen >= DRILL.minSeen ? p.correct / p.seen : 1 }))
+        .filter(p => p.acc < 1)
+        .sort((a, b) => a.acc - b.acc || a.i - b.i)
+        .map(p => p.i);
+    return { items, positions };
+}
+
+/** A drill set from a run log (or any untrusted source), or null when it is unusable. */
+function cleanDrillSet(set) {
+    if (!set || !Array.isArray(set.items)) return null;
+    const items = set.items
+        .filter(i => i && isToken(i.token) && typeof i.weight === 'number' && i.weight > 0)
+        .slice(0, DRILL.setSize)
+        .map(i => ({ token: i.token, weight: i.weight }));
+    const positions = (Array.isArray(set.positions) ? set.positions : []).filter(p => Number.isInteger(p) && p >= 0).slice(0, 32);
+    return { items, positions };
+}
+
+/**
+ * A drill round's sequence: a normal one of `type`, with DRILL.share of its
+ * positions (the weakest first) taken over by tokens from the drill set, drawn
+ * by weight. Uses the run's random stream, so a seed and the logged drill sets
+ * reproduce the run.
+ */
+function drillSequence(length, type, set, rng) {
+    const sequence = SequenceGenerator.generate(length, type, rng);
+    const items = set ? set.items.filter(i => tokenFits(i.token, type)) : [];
+    if (!items.length) return sequence;
+    const total = items.reduce((sum, i) => sum + i.weight, 0);
+    const order = [...new Set([...set.positions.filter(p => p < length), ...sequence.keys()])];
+    order.slice(0, Math.max(1, Math.round(length * DRILL.share))).forEach(pos => {
+        let r = rng.next() * total;
+        sequence[pos] = (items.find(i => (r -= i.weight) < 0) || items[items.length - 1]).token;
+    });
+    return sequence;
+}
+
+/* ================================================================
+   9. SCORING
+   ================================================================ */
+
+/**
+ * Multiplier for a given streak.
+ * @param {number} streak
+ */
+function getMultiplier(streak) {
+    for (let i = MULTIPLIER_THRESHOLDS.length - 1; i >= 0; i--) {
+        if (streak >= MULTIPLIER_THRESHOLDS[i]) return MULTIPLIER_VALUES[i];
+    }
+    return 1;
+}
+
+/**
+ * Progress (0–1) from the current multiplier tier towards the next one.
+ * @param {number} streak
+ */
+function getMultiplierProgress(streak) {
+    for (let i = 0; i < MULTIPLIER_THRESHOLDS.length - 1; i++) {
+        if (streak < MULTIPLIER_THRESHOLDS[i + 1]) {
+            const low = MULTIPLIER_THRESHOLDS[i];
+            const high = MULTIPLIER_THRESHOLDS[i + 1];
+            return (streak - low) / (high - low);
+        }
+    }
+    return 1;
+}
+
+/**
+ * Points for a correct round: `100 × level × multiplier`, plus a speed
+ * bonus of up to 50 when more than half the timer is left, all scaled
+ * by the recall mode's weight and by any power-up penalty.
+ * @param {{ level: number, multiplier: number, timerLeft: number, timerTotal: number,
+ *           weight?: number, penalty?: number, speedBonus?: boolean }} round
+ */
+function scoreRound({ level, multiplier, timerLeft, timerTotal, weight = 1, penalty = 1, speedBonus = true }) {
+    const basePoints = 100 * level;
+    const timeBonus = speedBonus && timerLeft > timerTotal / 2
+        ? Math.floor(50 * (timerLeft / timerTotal))
+        : 0;
+    return Math.round((basePoints * multiplier + timeBonus) * weight * penalty);
+}
+
+/* ================================================================
+   10. POWER-UPS
+   Each power-up has its own earn rule, inventory cap and cost, so
+   an assisted round never outscores a clean one. Memory Boost keeps
+   its original counter (every ROUNDS_PER_BOOST correct rounds); the
+   others are checked after each correct round against a snapshot
+   of it. All are single-use per round, used during input.
+     boost  — freeze the timer            · no speed bonus that round
+     replay — watch the sequence again    · round score ×0.6
+     reveal — fill in one token           · round score ×0.7
+     slowmo — slower reveal next round    · that round's score ×0.8
+     shield — survive one wrong answer    · the round scores nothing
+              (Normal mode only)            and the streak resets
+   Practice and Hardcore earn none of them.
+   ================================================================ */
+const SLOWMO_FACTOR = 1.5; // reveal time multiplier under Slow-mo
+
+const POWERUPS = {
+    boost: {
+        label: 'BOOST', icon: '⚡', max: Infinity,
+        desc: 'Freeze the timer for 8 seconds', cost: 'No speed bonus',
+        earnDesc: `Every ${ROUNDS_PER_BOOST} correct rounds`,
+    },
+    replay: {
+        label: 'REPLAY', icon: '⟲', max: 3, penalty: 0.6,
+        desc: 'Watch the sequence again (the timer waits)', cost: 'Round score ×0.6',
+        earnDesc: 'Every 3 correct rounds in a row',
+        earn: (r) => r.streak % 3 === 0,
+    },
+    reveal: {
+        label: 'REVEAL', icon: '◉', max: 3, penalty: 0.7,
+        desc: 'Fill in the first token you have wrong or missing', cost: 'Round score ×0.7',
+        earnDesc: 'A correct round with over 75% of the timer left',
+        earn: (r) => r.timeShare > 0.75,
+    },
+    slowmo: {
+        label: 'SLOW-MO', icon: '◔', max: 3, penalty: 0.8,
+        desc: `Reveal the next round ${SLOWMO_FACTOR}× slower`, cost: 'Next round score ×0.8',
+        earnDesc: 'Reaching a new multiplier tier',
+        earn: (r) => r.multiplier > r.prevMultiplier,
+    },
+    shield: {
+        label: 'SHIELD', icon: '⛨', max: 1, modes: ['normal'],
+        desc: 'Survive one wrong answer (Normal mode)', cost: 'No points, streak resets',
+        earnDesc: 'Every 10 correct rounds in a row, in Normal mode',
+        earn: (r) => r.streak % 10 === 0,
+    },
+};
+
+/** An empty inventory for the power-ups other than Memory Boost (which keeps `boosts`). */
+function createPowerupInventory(saved = null) {
+    const inv = {};
+    Object.keys(POWERUPS).forEach(id => {
+        if (id === 'boost') return;
+        const n = saved && saved[id];
+        inv[id] = Number.isInteger(n) && n > 0 ? Math.min(n, POWERUPS[id].max) : 0;
+    });
+    return inv;
+}
+
+/**
+ * Power-ups (other than boost) earned by a correct round.
+ * @param {{ mode: string, streak: number, multiplier: number, prevMultiplier: number, timeShare: number }} round
+ *        timeShare is the fraction of the timer left
+ * @param {object} inventory  current counts, to respect each cap
+ * @returns {string[]} ids
+ */
+function powerupsEarned(round, inventory) {
+    if (PRACTICE_MODES.includes(round.mode) || round.mode === 'hardcore') return [];
+    return Object.keys(inventory).filter(id => {
+        const p = POWERUPS[id];
+        if (p.modes && !p.modes.includes(round.mode)) return false;
+        return inventory[id] < p.max && p.earn(round);
+    });
+}
+
+/** Score factor for the power-ups used in a round (1 when none). */
+function powerupPenalty(used) {
+    return Object.keys(used).reduce((f, id) => f * (used[id] && POWERUPS[id].penalty ? POWERUPS[id].penalty : 1), 1);
+}
+
+/* ================================================================
+   11. ACHIEVEMENTS
+   Long-term goals checked on game events: 'phase' when a round
+   starts, 'round' after a correct answer, 'boost' when a Memory
+   Boost is used and 'gameover'. Each test gets a plain snapshot of
+   the run (see achievementContext in script.js), so the rules stay
+   testable without a DOM. Some achievements reward a cosmetic theme
+   or unlock a mode. Practice runs never earn anything.
+   ================================================================ */
+const ACHIEVEMENTS = [
+    {
+        id: 'first-packet', icon: '📦', title: 'FIRST PACKET',
+        desc: 'Clear your first round.',
+        on: 'round', test: () => true,
+    },
+    {
+        id: 'alpha-route', icon: '🔤', title: 'ALPHA ROUTE',
+        desc: 'Reach PHASE 03.',
+        on: 'phase', test: (c) => phaseNumber(c.phase) >= 3,
+    },
+    {
+        id: 'deep-protocol', icon: '🧬', title: 'DEEP PROTOCOL',
+        desc: 'Reach PHASE 05.',
+        on: 'phase', test: (c) => phaseNumber(c.phase) >= 5,
+        reward: { theme: 'amber' },
+    },
+    {
+        id: 'overclocked', icon: '⚡', title: 'OVERCLOCKED',
+        desc: 'Hit the ×8 multiplier.',
+        on: 'round', test: (c) => c.multiplier >= 8,
+        reward: { theme: 'matrix' },
+    },
+    {
+        id: 'hex-sprinter', icon: '⏱', title: 'HEX SPRINTER',
+        desc: 'Clear a hex round with more than 80% of the timer left.',
+        on: 'round', test: (c) => c.type === 'hex' && c.timerLeft > 0.8 * c.timerTotal,
+    },
+    {
+        id: 'no-safety-net', icon: '🛡', title: 'NO SAFETY NET',
+        desc: 'Clear level 10 in Strict mode without using a Memory Boost.',
+        on: 'round', test: (c) => c.mode === 'strict' && c.level >= 10 && c.boostsUsed === 0,
+        reward: { mode: 'hardcore' },
+    },
+    {
+        id: 'time-dilation', icon: '⏳', title: 'TIME DILATION',
+        desc: 'Use a Memory Boost.',
+        on: 'boost', test: () => true,
+    },
+    {
+        id: 'rewind', icon: '⏪', title: 'REWIND',
+        desc: 'Clear level 8 in Reverse mode.',
+        on: 'round', test: (c) => c.mode === 'reverse' && c.level >= 8,
+    },
+    {
+        id: 'split-attention', icon: '🎧', title: 'SPLIT ATTENTION',
+        desc: 'Clear level 5 with the Dual presentation.',
+        on: 'round', test: (c) => c.presentation === 'dual' && c.level >= 5,
+    },
+    {
+        id: 'network-architect', icon: '🖧', title: 'NETWORK ARCHITECT',
+        desc: 'Reach the 5×5 Router Grid.',
+        on: 'phase', test: (c) => c.gridSize === 5,
+    },
+    {
+        id: 'five-figures', icon: '💾', title: 'FIVE FIGURES',
+        desc: 'Finish a run with 10,000 points or more.',
+        on: 'gameover', test: (c) => c.score >= 10000,
+    },
+    {
+        id: 'daily-driver', icon: '📅', title: 'DAILY DRIVER',
+        desc: 'Finish a Daily Route run.',
+        on: 'gameover', test: (c) => c.mode === 'daily',
+    },
+    {
+        id: 'iron-route', icon: '☠', title: 'IRON ROUTE',
+        desc: 'Clear level 10 in Hardcore mode.',
+        on: 'round', test: (c) => c.mode === 'hardcore' && c.level >= 10,
+    },
+];
+
+/** 3 for 'PHASE 03'; 0 for Custom, Adaptive and grid phases. */
+function phaseNumber(phase) {
+    const m = /^PHASE (\d+)$/.exec(phase || '');
+    return m ? Number(m[1]) : 0;
+}
+
+/**
+ * Achievements newly earned by `event`.
+ * @param {'phase'|'round'|'boost'|'gameover'} event
+ * @param {object} ctx  run snapshot: mode, level, phase, type, gridSize, multiplier,
+ *                      timerLeft, timerTotal, boostsUsed, score, presentation
+ * @param {Object<string, string>} earned  id → date of what the player already has
+ * @returns {object[]} definitions from ACHIEVEMENTS
+ */
+function checkAchievements(event, ctx, earned = {}) {
+    if (PRACTICE_MODES.includes(ctx.mode)) return [];
+    return ACHIEVEMENTS.filter(a => a.on === event && !earned[a.id] && a.test(ctx));
+}
+
+/**
+ * Themes and modes unlocked by a set of earned achievements.
+ * @param {Object<string, string>} earned
+ * @returns {{ themes: string[], modes: string[] }}
+ */
+function achievementRewards(earned = {}) {
+    const rewards = { themes: [], modes: [] };
+    ACHIEVEMENTS.forEach(a => {
+        if (!a.reward || !earned[a.id]) return;
+        if (a.reward.theme) rewards.themes.push(a.reward.theme);
+        if (a.reward.mode) rewards.modes.push(a.reward.mode);
+    });
+    return rewards;
+}
+
+/** The achievement that unlocks a theme or mode, or null when it is always available. */
+function unlockedBy(kind, value) {
+    return ACHIEVEMENTS.find(a => a.reward && a.reward[kind] === value) || null;
+}
+
+/* ================================================================
+   12. CONTROLS
+   Every keyboard shortcut is an action with a remappable key combo,
+   saved with the settings. A combo names the physical key (the
+   KeyboardEvent code) after its modifiers, e.g. 'Shift+Digit1', so
+   bindings hold across keyboard layouts. Escape, Enter, Space, Tab,
+   Backspace and the arrows keep their fixed jobs (close and pause,
+   submit and start, type, move) and can't be bound. Gamepads use
+   the standard mapping: the UI polls the pad once a frame and
+   readGamepad turns its buttons and left stick into presses, with
+   auto-repeat on a held direction.
+   ================================================================ */
+const SHORTCUTS = {
+    pause: { label: 'Pause / resume', key: 'KeyP' },
+    restart: { label: 'Start, or restart a paused or finished run', key: 'KeyR' },
+    menu: { label: 'Main menu, from a paused or finished run', key: 'KeyM' },
+    settings: { label: 'Settings', key: 'KeyO' },
+    sound: { label: 'Sound FX on / off', key: 'KeyS' },
+    stats: { label: 'Statistics', key: 'KeyT' },
+    achievements: { label: 'Achievements', key: 'KeyA' },
+    replays: { label: 'Replays', key: 'KeyV' },
+    help: { label: 'Controls & shortcuts', key: 'Shift+Slash' },
+    // One per power-up, in HUD order
+    ...Object.fromEntries(Object.keys(POWERUPS).map((id, i) => [
+        id, { label: `${POWERUPS[id].icon} ${POWERUPS[id].label} power-up`, key: `Shift+Digit${i + 1}` },
+    ])),
+};
+
+const RESERVED_KEYS = ['Escape', 'Enter', 'NumpadEnter', 'Space', 'Tab', 'Backspace',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+const MODIFIER_KEYS = ['Ctrl', 'Alt', 'Shift', 'Meta']; // in combo order
+const KEY_SYMBOLS = {
+    Slash: '/', Backslash: '\\', Comma: ',', Period: '.', Semicolon: ';', Quote: "'",
+    BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`',
+};
+
+/** The combo a keydown stands for ('Shift+Digit1'), or null for a modifier on its own. */
+function keyCombo(e) {
+    if (!e.code || /^(Shift|Control|Alt|Meta|OS)(Left|Right)?$/.test(e.code)) return null;
+    const mods = [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta'].filter(Boolean);
+    return [...mods, e.code].join('+');
+}
+
+/** Can `combo` be bound? A key code, any modifiers in order before it, and not a reserved key. */
+function bindableCombo(combo) {
+    if (typeof combo !== 'string') return false;
+    const parts = combo.split('+');
+    const code = parts.pop();
+    if (!/^[A-Z][A-Za-z0-9]+$/.test(code) || RESERVED_KEYS.includes(code)) return false;
+    const order = parts.map(m => MODIFIER_KEYS.indexOf(m));
+    return order.every((n, i) => n >= 0 && (i === 0 || n > order[i - 1]));
+}
+
+/** A combo as shown to the player: 'Shift+Digit1' → '⇧1', 'KeyP' → 'P'; '—' when unbound. */
+function comboLabel(combo) {
+    if (!combo) return '—';
+    const parts = combo.split('+');
+    const code = parts.pop();
+    const marks = { Ctrl: 'Ctrl+', Alt: 'Alt+', Shift: '⇧', Meta: '⌘' };
+    return parts.map(m => marks[m]).join('')
+        + (KEY_SYMBOLS[code] || code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num '));
+}
+
+/**
+ * A keymap (action → combo, null when unbound) from saved bindings. Missing or
+ * invalid entries take the default; a combo bound twice stays with the first action.
+ */
+function createKeymap(saved = null) {
+    const keymap = {};
+    const taken = new Set();
+    Object.keys(SHORTCUTS).forEach(action => {
+        const wanted = saved && action in saved ? saved[action] : SHORTCUTS[action].key;
+        const combo = wanted === null || bindableCombo(wanted) ? wanted : SHORTCUTS[action].key;
+        keymap[action] = combo && !taken.has(combo) ? combo : null;
+        if (keymap[action]) taken.add(keymap[action]);
+    });
+    return keymap;
+}
+
+/**
+ * Bind `action` to `combo` (mutates the keymap). An action that already had the
+ * combo swaps over to `action`'s old one, so nothing is lost silently.
+ * @returns {string|null|false} the action that swapped, null if none, false if refused
+ */
+function rebindKey(keymap, action, combo) {
+    if (!SHORTCUTS[action] || !bindableCombo(combo)) return false;
+    const holder = Object.keys(keymap).find(a => a !== action && keymap[a] === combo) || null;
+    if (holder) keymap[holder] = keymap[action];
+    keymap[action] = combo;
+    return holder;
+}
+
+/** The action bound to `combo`, or null. */
+function shortcutFor(keymap, combo) {
+    return (combo && Object.keys(keymap).find(a => keymap[a] === combo)) || null;
+}
+
+const GAMEPAD = {
+    // Standard mapping: face buttons A B X Y, shoulders, Back/Select, Start, D-pad
+    buttons: { 0: 'a', 1: 'b', 2: 'x', 3: 'y', 4: 'lb', 5: 'rb', 8: 'back', 9: 'start', 12: 'up', 13: 'down', 14: 'left', 15: 'right' },
+    deadzone: 0.5,    // left-stick travel that counts as a direction
+    repeatDelay: 400, // ms a direction is held before it repeats…
+    repeatMs: 120,    // …then once every this many ms
+};
+const PAD_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * One poll of a gamepad: what was pressed since the last poll, by name ('a',
+ * 'start', 'left'…). The D-pad and left stick both give directions; a held
+ * direction repeats. Pass back the returned state on the next poll.
+ * @param {{ buttons: { pressed: boolean }[], axes: number[] }} pad
+ * @param {object|null} prev  state from the previous poll
+ * @param {number} now  ms
+ * @returns {{ presses: string[], state: object }}
+ */
+function readGamepad(pad, prev, now) {
+    const held = new Set();
+    Object.entries(GAMEPAD.buttons).forEach(([i, name]) => {
+        if (pad.buttons[i] && pad.buttons[i].pressed) held.add(name);
+    });
+    const [x = 0, y = 0] = pad.axes || [];
+    if (x <= -GAMEPAD.deadzone) held.add('left');
+    if (x >= GAMEPAD.deadzone) held.add('right');
+    if (y <= -GAMEPAD.deadzone) held.add('up');
+    if (y >= GAMEPAD.deadzone) held.add('down');
+
+    const presses = [];
+    const state = {}; // name → { at: first pressed, fired: last press reported }
+    held.forEach(name => {
+        const was = prev && prev[name];
+        if (!was) {
+            presses.push(name);
+            state[name] = { at: now, fired: now };
+        } else if (PAD_DIRECTIONS.includes(name) && now - was.at >= GAMEPAD.repeatDelay
+            && now - was.fired >= GAMEPAD.repeatMs) {
+            presses.push(name);
+            state[name] = { at: was.at, fired: now };
+        } else {
+            state[name] = was;
+        }
+    });
+    return { presses, state };
+}
+
+/* ================================================================
+   13. EVENT BUS & EXTENSIONS
+   The UI announces what happens in a run on a typed event bus, so
+   plugins (see MemoryRouter.registerPlugin in script.js) can follow
+   a game without patching it. GAME_EVENTS lists every event with
+   the payload fields it always carries; emitting anything else is
+   a bug and throws. Plugins may also add modes and sequence types,
+   which extend the rule tables above in place.
+   ================================================================ */
+const GAME_EVENTS = {
+    'round:start': ['level', 'mode', 'phase', 'label', 'type', 'length', 'timer', 'sequence'],
+    'token:revealed': ['index', 'total', 'token'],
+    'key:typed': ['box', 'value'],
+    'round:result': ['level', 'result', 'earned', 'score', 'streak'], // result: 'correct' | 'wrong' | 'timeout'
+    'game:over': ['name', 'score', 'level', 'maxStreak', 'mode', 'variant', 'seed'],
+    'score:saved': ['board', 'rank', 'newBest', 'entry'],
+};
+
+/**
+ * A publish/subscribe bus restricted to the events in `types`. Listeners get a
+ * frozen copy of the payload, and one that throws is reported to `onError`
+ * without stopping the others (or the game).
+ * @param {Object<string, string[]>} [types]  event name → required payload fields
+ * @param {{ onError?: (err: Error, event: string) => void }} [options]
+ */
+function createEventBus(types = GAME_EVENTS, { onError = (err, event) => console.error(`Memory Router: "${event}" listener failed.`, err) } = {}) {
+    const listeners = new Map(Object.keys(types).map(event => [event, new Set()]));
+    const known = (event) => {
+        if (!listeners.has(event)) throw new TypeError(`Unknown event "${event}"`);
+        return listeners.get(event);
+    };
+
+    return {
+        types: Object.keys(types),
+
+        /** Subscribe; returns a function that unsubscribes. */
+        on(event, fn) {
+            if (typeof fn !== 'function') throw new TypeError(`Listener for "${event}" is not a function`);
+            known(event).add(fn);
+            return () => this.off(event, fn);
+        },
+
+        off(event, fn) {
+            return known(event).delete(fn);
+        },
+
+        emit(event, payload = {}) {
+            const fns = known(event);
+            const missing = types[event].filter(key => !(key in payload));
+            if (missing.length) throw new TypeError(`"${event}" payload is missing ${missing.join(', ')}`);
+            const frozen = Object.freeze({ ...payload });
+            [...fns].forEach(fn => {
+                try { fn(frozen, event); } catch (err) { onError(err, event); }
+            });
+        },
+
+        listenerCount(event) {
+            return known(event).size;
+        },
+    };
+}
+
+const BUILTIN_MODES = ['normal', 'strict', 'speed', 'practice', 'daily', 'grid', 'reverse', 'sorted', 'alternate', 'plusone', 'hardcore', 'chunk', 'drill'];
+const PLUGIN_MODES = [];
+
+/** Plugin ids become board keys and CSS-safe data values: lowercase letters and digits only. */
+function checkExtensionId(id, taken, kind) {
+    if (typeof id !== 'string' || !/^[a-z][a-z0-9]{1,23}$/.test(id)) {
+        throw new TypeError(`Invalid ${kind} id "${id}": use 2–24 lowercase letters and digits`);
+    }
+    if (taken) throw new Error(`A ${kind} called "${id}" already exists`);
+}
+
+/**
+ * Add a game mode. Plugin modes play by Normal's rules unless `def` says
+ * otherwise: `recall` changes what is typed back (as in RECALL_MODES),
+ * `strict` fails on the first wrong character and `fast` shortens the reveal.
+ * @param {string} id
+ * @param {{ recall?: { label: string, weight: number, answer: (seq: string[], type: string) => string[] }, strict?: boolean, fast?: boolean }} def
+ */
+function registerMode(id, def = {}) {
+    checkExtensionId(id, BUILTIN_MODES.includes(id) || PLUGIN_MODES.includes(id), 'mode');
+    if (def.recall) {
+        const { label, weight, answer } = def.recall;
+        if (typeof answer !== 'function' || !(weight > 0)) {
+            throw new TypeError(`Mode "${id}": recall needs an answer() function and a positive weight`);
+        }
+        RECALL_MODES[id] = { label: String(label || id).toUpperCase(), weight, answer };
+    }
+    if (def.strict) INSTANT_FAIL_MODES.push(id);
+    if (def.fast) FAST_REVEAL_MODES.push(id);
+    PLUGIN_MODES.push(id);
+}
+
+/**
+ * Add a sequence type, offered under Custom progression. Tokens are drawn from
+ * `pool` (equal-length, upper-case, no spaces — the touch keypad shows them as
+ * keys), or produced by `generate(length, rng, pool)` when given.
+ * @param {string} id
+ * @param {{ label: string, pool: string[], generate?: (length: number, rng: object, pool: string[]) => string[] }} def
+ */
+function registerGenerator(id, { label, pool, generate } = {}) {
+    checkExtensionId(id, id in SEQUENCE_TYPE_LABELS || id === 'grid', 'sequence type');
+    const ok = Array.isArray(pool) && pool.length > 1
+        && pool.every(t => typeof t === 'string' && /^\S+$/.test(t) && t === t.toUpperCase() && t.length === pool[0].length);
+    if (!ok) throw new TypeError(`Sequence type "${id}" needs a pool of 2+ equal-length, upper-case tokens`);
+    if (generate !== undefined && typeof generate !== 'function') throw new TypeError(`Sequence type "${id}": generate is not a function`);
+    SequenceGenerator.pools[id] = [...pool];
+    if (generate) SequenceGenerator.generators[id] = generate;
+    SEQUENCE_TYPE_LABELS[id] = String(label || id).toUpperCase();
+}
+
+/* ================================================================
+   14. CLOCK
+   The core never touches timer globals directly; tests and the run
+   verifier swap in a manual clock and advance time by hand.
+   ================================================================ */
+const SYSTEM_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: (id) => clearInterval(id),
+};
+
+/** Deterministic clock: timers only fire when time is advanced by hand. */
+function createManualClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+
+    const schedule = (fn, ms, repeat) => {
+        const id = nextId++;
+        timers.set(id, { fn, at: now + ms, every: repeat ? ms : 0 });
+        return id;
+    };
+
+    return {
+        now: () => now,
+        setTimeout: (fn, ms) => schedule(fn, ms, false),
+        setInterval: (fn, ms) => schedule(fn, ms, true),
+        clearTimeout: (id) => timers.delete(id),
+        clearInterval: (id) => timers.delete(id),
+
+        /** Move time forward by `ms`, firing every timer that falls due, in order. */
+        advance(ms) {
+            const end = now + ms;
+            for (;;) {
+                let nextIdDue = null;
+                for (const [id, t] of timers) {
+                    if (t.at <= end && (nextIdDue === null || t.at < timers.get(nextIdDue).at)) nextIdDue = id;
+                }
+                if (nextIdDue === null) break;
+                const t = timers.get(nextIdDue);
+                now = t.at;
+                if (t.every) t.at += t.every; else timers.delete(nextIdDue);
+                t.fn();
+            }
+            now = end;
+        },
+    };
+}
+
+/* ================================================================
+   15. GAME CORE
+   Round lifecycle:  idle → displaying → input → feedback → displaying …
+                                                         ↘ over
+   The UI drives the transitions (after its animations) and listens
+   through `hooks`: tick(left, total), expire(), boostEnd(), and
+   adapt(profile) after each round under Adaptive progression.
+   ================================================================ */
+
+/**
+ * Create a game core with its own state, clock and random stream.
+ * @param {{ clock?: object, rng?: object, hooks?: object }} [options]
+ */
+function createGameCore({ clock = SYSTEM_CLOCK, rng = Rng, hooks = {} } = {}) {
+    const state = {
+        status: 'idle', // idle | displaying | input | feedback | over
+
+        // Settings (overridden by the Settings module)
+        mode: 'normal',
+        soundOn: true,
+        progression: 'auto', // auto | custom | adaptive
+        seqType: 'numbers',  // custom only
+        difficulty: 'medium', // custom only
+        presentation: 'visual', // visual | audiovisual | audio | dual
+        adaptive: createAdaptiveProfile(), // adaptive only — the player's span estimate, kept across runs
+        drill: null,    // drill only — the next round's drill set (see drillSet), chosen by the UI
+
+        // Seed the current run was generated from (shown on game over)
+        seed: '',
+
+        // Round state
+        level: 1,
+        score: 0,
+        streak: 0,
+        maxStreak: 0,
+        sequence: [],
+        played: [],     // tokens voiced during the reveal (a different stream in Dual)
+        channel: 'visual', // stream the answer is built from: 'visual' (shown) or 'audio' (played)
+        answer: [],     // what the player must enter (that stream, transformed by recall modes)
+
+        // Timer
+        timerTotal: 10,
+        timerLeft: 10,
+
+        // Power-ups
+        boosts: 0,
+        boostActive: false,
+        roundsSinceBoost: 0,
+        boostsUsed: 0,  // this run, for achievements
+        powerups: createPowerupInventory(), // replay / reveal / slowmo / shield counts
+        used: {},          // power-ups used this round, for its score penalty
+        shieldArmed: false,
+        slowmoNext: false, // Slow-mo bought for the next round…
+        slowmo: false,     // …and active this round
+
+        // Track last phase to detect phase transitions
+        lastPhaseLabel: '',
+
+        // Timer, reveal and boost countdown are all frozen while paused
+        paused: false,
+
+        init() {
+            this.level = 1;
+            this.score = 0;
+            this.streak = 0;
+            this.maxStreak = 0;
+            this.sequence = [];
+            this.played = [];
+            this.channel = 'visual';
+            this.answer = [];
+            this.boosts = 0;
+            this.boostActive = false;
+            this.roundsSinceBoost = 0;
+            this.boostsUsed = 0;
+            this.powerups = createPowerupInventory();
+            this.used = {};
+            this.shieldArmed = false;
+            this.slowmoNext = false;
+            this.slowmo = false;
+            this.drill = null;
+            this.lastPhaseLabel = '';
+            this.paused = false;
+            this.status = 'idle';
+        },
+
+        getMultiplier() {
+            return getMultiplier(this.streak);
+        },
+
+        getMultiplierProgress() {
+            return getMultiplierProgress(this.streak);
+        },
+
+        getNodeDisplayTime() {
+            const base = NODE_DISPLAY_TIME * (this.slowmo ? SLOWMO_FACTOR : 1);
+            if (this.isAdaptive()) {
+                // Adaptive paces the reveal by the player's tempo instead of the level
+                return Math.round(Math.max(250, base * this.adaptive.tempo - (FAST_REVEAL_MODES.includes(this.mode) ? 100 : 0)));
+            }
+            // Reduce slightly per level, speed mode is extra fast
+            const reduction = (this.level - 1) * 15 + (FAST_REVEAL_MODES.includes(this.mode) ? 100 : 0);
+            const scale = this.isCustom() ? DIFFICULTY_PRESETS[this.difficulty].displayScale : 1;
+            return Math.round(Math.max(300, base - reduction) * scale);
+        },
+
+        isCustom() {
+            return isCustomProgression(this);
+        },
+
+        isAdaptive() {
+            return isAdaptiveProgression(this);
+        },
+
+        getPresentation() {
+            return presentationOf(this);
+        },
+
+        /**
+         * Board key for the active ruleset: 'auto', 'adaptive' or e.g. 'hex-hard',
+         * with the presentation appended when it isn't visual ('dual', 'hex-hard-audio').
+         */
+        getVariant() {
+            const base = this.isAdaptive() ? 'adaptive'
+                : this.isCustom() ? `${this.seqType}-${this.difficulty}` : 'auto';
+            const presentation = this.getPresentation();
+            if (presentation === 'visual') return base;
+            return base === 'auto' ? presentation : `${base}-${presentation}`;
+        },
+
+        /** How many of a power-up the player holds. */
+        powerupCount(id) {
+            return id === 'boost' ? this.boosts : (this.powerups[id] || 0);
+        },
+    };
+
+    let timerId = null;
+    let nextTickIn = 1000;  // ms until the next tick; kept across pauses so pausing never gains time
+    let nextTickAt = 0;
+    let boostId = null;
+    let boostLeft = 0;      // ms of boost remaining; kept across pauses
+    let boostEndsAt = 0;
+    const channelRng = { ...rng }; // Dual's played stream and channel; never advances the main stream
+    const emit = (name, ...args) => { if (hooks[name]) hooks[name](...args); };
+
+    /** Adaptive progression: feed the round's outcome into the span estimate. */
+    const adapt = (correct, timedOut = false) => {
+        if (!state.isAdaptive()) return;
+        updateAdaptive(state.adaptive, {
+            correct,
+            timedOut,
+            chars: state.sequence.join('').length,
+            timeUsed: PRACTICE_MODES.includes(state.mode) ? null : 1 - state.timerLeft / state.timerTotal,
+        });
+        emit('adapt', state.adaptive);
+    };
+
+    const core = {
+        state,
+        clock,
+        rng,
+        hooks,
+
+        /** Config for `level` (default: current level) under the active settings. */
+        config(level = state.level) {
+            return getRoundConfig(level, state);
+        },
+
+        /** Reset run state and seed the random stream. */
+        newRun(seed) {
+            this.stopTimer();
+            this.cancelBoost();
+            state.init();
+            state.seed = seed;
+            rng.seed(seed);
+            channelRng.seed(`${seed}:DUAL`);
+        },
+
+        /**
+         * Run progress worth keeping across a reload. Deliberately excludes the
+         * sequence and the seed position: a resumed run gets a fresh sequence.
+         */
+        snapshot() {
+            return {
+                level: state.level,
+                score: state.score,
+                streak: state.streak,
+                maxStreak: state.maxStreak,
+                boosts: state.boosts,
+                roundsSinceBoost: state.roundsSinceBoost,
+                boostsUsed: state.boostsUsed,
+                powerups: { ...state.powerups },
+                shieldArmed: state.shieldArmed,
+                slowmoNext: state.slowmoNext,
+                mode: state.mode,
+                progression: state.progression,
+                seqType: state.seqType,
+                difficulty: state.difficulty,
+                presentation: state.presentation,
+            };
+        },
+
+        /** Start a new run on `seed` carrying over a snapshot's progress. */
+        restore(snap, seed) {
+            this.newRun(seed);
+            const num = (v, min) => (Number.isInteger(v) && v >= min ? v : min);
+            state.level = num(snap.level, 1);
+            state.score = num(snap.score, 0);
+            state.streak = num(snap.streak, 0);
+            state.maxStreak = Math.max(num(snap.maxStreak, 0), state.streak);
+            state.boosts = num(snap.boosts, 0);
+            state.roundsSinceBoost = num(snap.roundsSinceBoost, 0) % ROUNDS_PER_BOOST;
+            state.boostsUsed = num(snap.boostsUsed, 0);
+            state.powerups = createPowerupInventory(snap.powerups);
+            state.shieldArmed = snap.shieldArmed === true;
+            state.slowmoNext = snap.slowmoNext === true;
+            ['mode', 'progression', 'seqType', 'difficulty', 'presentation'].forEach(k => {
+                if (typeof snap[k] === 'string') state[k] = snap[k];
+            });
+        },
+
+        /**
+         * Start a round: generate its sequence and detect phase transitions.
+         * @returns {{ cfg: object, phaseChanged: boolean }}
+         */
+        beginRound() {
+            state.status = 'displaying';
+            state.slowmo = state.slowmoNext;
+            state.slowmoNext = false;
+            state.used = state.slowmo ? { slowmo: true } : {};
+            const cfg = this.config();
+            const phaseChanged = cfg.label !== state.lastPhaseLabel && state.lastPhaseLabel !== '';
+            state.lastPhaseLabel = cfg.label;
+            state.sequence = state.mode === 'drill'
+                ? drillSequence(cfg.length, cfg.type, state.drill, rng)
+                : SequenceGenerator.generate(cfg.length, cfg.type, rng, cfg.gridSize);
+            const presentation = presentationOf(state);
+            if (presentation === 'dual') {
+                state.played = conflictingStream(state.sequence, cfg.type, channelRng);
+                state.channel = channelRng.int(2) ? 'audio' : 'visual';
+            } else {
+                state.played = [...state.sequence];
+                state.channel = presentation === 'audio' ? 'audio' : 'visual';
+            }
+            const recalled = state.channel === 'audio' ? state.played : state.sequence;
+            state.answer = recallAnswer(recalled, state.mode, cfg.type);
+            return { cfg, phaseChanged };
+        },
+
+        /** Reveal finished: accept input and start the round timer. */
+        beginInput() {
+            state.status = 'input';
+            const cfg = this.config();
+            this.startTimer(PRACTICE_MODES.includes(state.mode) ? PRACTICE_TIMER : cfg.timer);
+            return cfg;
+        },
+
+        startTimer(seconds) {
+            this.stopTimer();
+            state.timerTotal = seconds;
+            state.timerLeft = seconds;
+            emit('tick', seconds, seconds);
+            nextTickIn = 1000;
+            if (!state.paused) this.scheduleTick();
+        },
+
+        scheduleTick() {
+            nextTickAt = clock.now() + nextTickIn;
+            timerId = clock.setTimeout(() => {
+                timerId = null;
+                // Stay on the whole-second grid: a late tick shortens the wait for the next
+                nextTickIn = Math.max(0, 1000 - (clock.now() - nextTickAt));
+                if (!state.boostActive) {
+                    state.timerLeft--;
+                    emit('tick', state.timerLeft, state.timerTotal);
+                    if (state.timerLeft <= 0) {
+                        if (state.status === 'input') this.expire();
+                        return;
+                    }
+                }
+                this.scheduleTick();
+            }, nextTickIn);
+        },
+
+        stopTimer() {
+            if (timerId !== null) { clock.clearTimeout(timerId); timerId = null; }
+        },
+
+        expire() {
+            state.status = 'feedback';
+            adapt(false, true);
+            emit('expire');
+        },
+
+        /**
+         * Check a box's typed value against its token.
+         * In strict and hardcore modes a wrong prefix fails the round on the spot.
+         * @returns {{ prefixOk: boolean, failed: object|null }}
+         */
+        typeKey(index, value) {
+            const expected = state.answer[index] || '';
+            const prefixOk = !value || expected.startsWith(value.toUpperCase());
+            let failed = null;
+            if (!prefixOk && INSTANT_FAIL_MODES.includes(state.mode) && state.status === 'input' && !state.paused) {
+                this.stopTimer();
+                failed = this.fail();
+            }
+            return { prefixOk, failed };
+        },
+
+        /**
+         * Judge a full answer.
+         * @param {string[]} tokens  one value per box
+         * @returns {null | { result: 'incomplete' }
+         *          | { result: 'correct', level: number, earned: number, boostEarned: boolean, powerups: string[] }
+         *          | { result: 'wrong', level: number, retry: boolean, shielded?: boolean }}
+         */
+        submit(tokens) {
+            if (state.status !== 'input' || state.paused) return null;
+            const expected = state.answer;
+            const typed = tokens.map(t => (t || '').toUpperCase());
+            if (typed.length < expected.length || expected.some((e, i) => typed[i].length < e.length)) {
+                return { result: 'incomplete' };
+            }
+            this.stopTimer();
+            const correct = typed.length === expected.length && typed.every((t, i) => t === expected[i]);
+            return correct ? this.succeed() : this.fail();
+        },
+
+        /** Score a correct round, hand out power-ups and advance the level. */
+        succeed() {
+            state.status = 'feedback';
+            const level = state.level;
+            const prevMultiplier = state.getMultiplier();
+            const earned = scoreRound({
+                level,
+                multiplier: prevMultiplier,
+                timerLeft: state.timerLeft,
+                timerTotal: state.timerTotal,
+                weight: recallWeight(state.mode),
+                penalty: powerupPenalty(state.used),
+                speedBonus: !state.used.boost,
+            });
+            state.score += earned;
+            state.streak++;
+            state.maxStreak = Math.max(state.maxStreak, state.streak);
+
+            const powerups = powerupsEarned({
+                mode: state.mode,
+                streak: state.streak,
+                multiplier: state.getMultiplier(),
+                prevMultiplier,
+                timeShare: state.timerLeft / state.timerTotal,
+            }, state.powerups);
+            powerups.forEach(id => { state.powerups[id]++; });
+
+            let boostEarned = false;
+            if (state.mode !== 'hardcore') state.roundsSinceBoost++;
+            if (state.roundsSinceBoost >= ROUNDS_PER_BOOST) {
+                state.boosts++;
+                state.roundsSinceBoost = 0;
+                boostEarned = true;
+            }
+
+            adapt(true);
+            state.level++;
+            return { result: 'correct', level, earned, boostEarned, powerups };
+        },
+
+        /**
+         * Wrong answer: practice keeps the run alive (call retry()), an armed
+         * Shield absorbs it (play a fresh round at the same level), anything
+         * else ends the run.
+         */
+        fail() {
+            state.status = 'feedback';
+            adapt(false);
+            if (PRACTICE_MODES.includes(state.mode)) {
+                state.streak = 0;
+                return { result: 'wrong', level: state.level, retry: true };
+            }
+            if (state.shieldArmed && POWERUPS.shield.modes.includes(state.mode)) {
+                state.shieldArmed = false;
+                state.streak = 0;
+                return { result: 'wrong', level: state.level, retry: false, shielded: true };
+            }
+            return { result: 'wrong', level: state.level, retry: false };
+        },
+
+        /** Practice mode: re-open input on the same sequence with a fresh timer. */
+        retry() {
+            this.beginInput();
+        },
+
+        gameOver() {
+            state.status = 'over';
+            this.stopTimer();
+            this.cancelBoost();
+        },
+
+        /**
+         * Spend one power-up on the current round. Replay switches the round
+         * back to 'displaying' with the timer held; call resumeInput() when the
+         * reveal is over. Reveal only pays here: the UI fills in the token.
+         * @param {string} id  key of POWERUPS
+         * @returns {boolean} false when unavailable
+         */
+        usePowerup(id) {
+            if (id === 'boost') return this.activateBoost();
+            if (!POWERUPS[id] || state.status !== 'input' || state.paused) return false;
+            if (state.powerups[id] <= 0 || state.used[id]) return false;
+            if (id === 'shield' && (state.shieldArmed || !POWERUPS.shield.modes.includes(state.mode))) return false;
+            if (id === 'slowmo' && state.slowmoNext) return false;
+
+            state.powerups[id]--;
+            if (id === 'slowmo') state.slowmoNext = true; // its penalty lands on the slowed round
+            else state.used[id] = true;
+            if (id === 'shield') state.shieldArmed = true;
+            if (id === 'replay') {
+                state.status = 'displaying';
+                if (timerId !== null) {
+                    nextTickIn = Math.max(0, nextTickAt - clock.now());
+                    this.stopTimer();
+                }
+            }
+            return true;
+        },
+
+        /** The Replay reveal is over: back to input with the timer where it was. */
+        resumeInput() {
+            if (state.status !== 'displaying') return;
+            state.status = 'input';
+            if (!state.paused && state.timerLeft > 0) this.scheduleTick();
+        },
+
+        /** Freeze the timer for BOOST_DURATION. Returns false when unavailable. */
+        activateBoost() {
+            if (state.boosts <= 0 || state.status !== 'input' || state.paused || state.boostActive) return false;
+            state.boosts--;
+            state.boostsUsed++;
+            state.used.boost = true;
+            state.boostActive = true;
+            boostLeft = BOOST_DURATION;
+            this.scheduleBoostEnd();
+            return true;
+        },
+
+        scheduleBoostEnd() {
+            boostEndsAt = clock.now() + boostLeft;
+            boostId = clock.setTimeout(() => {
+                boostId = null;
+                state.boostActive = false;
+                emit('boostEnd');
+            }, boostLeft);
+        },
+
+        cancelBoost() {
+            if (boostId !== null) { clock.clearTimeout(boostId); boostId = null; }
+            state.boostActive = false;
+        },
+
+        /** Only a running round can be paused. Returns false when nothing changed. */
+        pause() {
+            if (state.paused || !['displaying', 'input', 'feedback'].includes(state.status)) return false;
+            state.paused = true;
+            if (timerId !== null) {
+                nextTickIn = Math.max(0, nextTickAt - clock.now());
+                this.stopTimer();
+            }
+            if (boostId !== null) {
+                boostLeft = Math.max(0, boostEndsAt - clock.now());
+                clock.clearTimeout(boostId);
+                boostId = null;
+            }
+            return true;
+        },
+
+        resume() {
+            if (!state.paused) return false;
+            state.paused = false;
+            if (state.status === 'input' && state.timerLeft > 0) this.scheduleTick();
+            if (state.boostActive) this.scheduleBoostEnd();
+            return true;
+        },
+    };
+
+    return core;
+}
+
+/* ================================================================
+   16. RUN VERIFICATION
+   Every saved score carries its run log: the seed(s), the rules and
+   a pause-free timeline of what the player did (round / input / key
+   / boost / powerup / resume / result / retry / clear / rules, and
+   drill: the drill set a Drill round is built from, before it; with
+   `t` in ms since the segment began). verifyRun() replays that log
+   through a fresh core on a manual clock, so the score is recomputed
+   by the real rules rather than trusted, and flags what no player
+   could have done. A resumed run adds a segment on its new seed that
+   continues from where the previous segment's simulation left off.
+   The rules are fixed once the first round begins: a log that switches
+   mode, progression, sequence type, difficulty or variant later on
+   (say, practice rounds laundered into a Strict score) is refused.
+   Nor can a log prove the player's adaptive history, so an adaptive
+   run must start from adaptiveRunProfile(): never an easier span.
+   ================================================================ */
+const RUN_LOG_VERSION = 1;
+const RUN_RULE_KEYS = ['mode', 'progression', 'seqType', 'difficulty', 'presentation'];
+
+const HUMAN_LIMITS = {
+    firstKeyMs: 100, // first input sooner than this after the boxes open is anticipation by a script
+    keyGapMs: 40,    // mean gap between inputs in one round; faster is beyond any typist
+    minKeys: 4,      // inputs a round needs before its mean gap is judged
+};
+const TIMER_SLACK = 50; // ms a browser tick may run late, so an answer near a tick may see the second before
+
+/** The rules a run log records, from any core state. */
+function runRules(state) {
+    const rules = {};
+    RUN_RULE_KEYS.forEach(k => { rules[k] = state[k]; });
+    return rules;
+}
+
+/**
+ * Re-simulate a score entry's run log and compare it with what the entry claims.
+ * Flags: 'no-log' and 'bad-log' (nothing or nonsense to check), 'early-input'
+ * (input while the sequence was on screen), 'superhuman' (reaction or typing
+ * speed), 'illegal' (a power-up the player did not hold), 'timer' (time left
+ * that the clock does not allow), 'rules' (rules switched after the first round),
+ * 'adaptive' (an adaptive run starting easier than adaptiveRunProfile allows)
+ * and 'score' (outcome, score, level, streak, mode or seed that the rules do not produce).
+ * @param {{ score: number, level: number, streak: number, mode: string, variant: string, seed: string, log?: object }} entry
+ * @returns {{ ok: boolean, flags: { code: string, round: number|null, detail: string }[], score?: number, level?: number, maxStreak?: number }}
+ */
+function verifyRun(entry) {
+    const log = entry && entry.log;
+    if (!log || !Array.isArray(log.segments) || !log.segments.length) {
+        return { ok: false, flags: [{ code: 'no-log', round: null, detail: 'no run log' }] };
+    }
+    if (log.v !== RUN_LOG_VERSION) {
+        return { ok: false, flags: [{ code: 'bad-log', round: null, detail: `unknown run log version ${log.v}` }] };
+    }
+
+    const flags = [];
+    let round = 0;
+    const flag = (code, detail) => {
+        // One flag per kind per round is enough to explain a rejection
+        if (!flags.some(f => f.code === code && f.round === round)) flags.push({ code, round: round || null, detail });
+    };
+
+    const clock = createManualClock();
+    let expired = false;
+    const core = createGameCore({ clock, rng: { ...Rng }, hooks: { expire: () => { expired = true; } } });
+    const { state } = core;
+    const fixedRules = () => ['mode', 'progression', 'seqType', 'difficulty'].map(k => state[k]).concat(state.getVariant()).join('|');
+    const applyRules = (rules = {}) => {
+        const before = fixedRules();
+        RUN_RULE_KEYS.forEach(k => { if (typeof rules[k] === 'string') state[k] = rules[k]; });
+        if (![...BUILTIN_MODES, ...PLUGIN_MODES].includes(state.mode)) throw new Error(`unknown mode "${state.mode}"`);
+        if (round > 0 && fixedRules() !== before) flag('rules', `rules switched to ${state.mode} (${state.getVariant()}) after round ${round}`);
+    };
+
+    let next = 'round'; // what the log may do after a result: 'round', 'retry' or nothing ('over')
+    let roundAt = 0;    // when the round's reveal began
+    let inputAt = null; // when its boxes opened (again, after a practice retry)
+    let replayAt = null;
+    let values = [];
+    let keys = [];      // times of inputs that added to a box this input window
+    let revealFill = false;
+    let strictFail = null;
+    let base = 0;       // segment start on the simulated clock
+
+    const advanceTo = (at) => { if (at > clock.now()) clock.advance(at - clock.now()); };
+    const minReveal = () => state.sequence.length * state.getNodeDisplayTime();
+    const judgeTyping = () => {
+        if (inputAt === null || !keys.length) return;
+        if (keys[0] - inputAt < HUMAN_LIMITS.firstKeyMs) {
+            flag('superhuman', `first input ${keys[0] - inputAt}ms after the boxes opened`);
+        }
+        const gap = (keys[keys.length - 1] - keys[0]) / (keys.length - 1);
+        if (keys.length >= HUMAN_LIMITS.minKeys && gap < HUMAN_LIMITS.keyGapMs) {
+            flag('superhuman', `${keys.length} inputs ${Math.round(gap)}ms apart`);
+        }
+        keys = [];
+    };
+
+    let claimedStart = null; // the adaptive profile the log says the run started from
+    /** Before the first round, when the rules are settled: an adaptive run must not start easier than it may. */
+    const judgeStart = () => {
+        const start = adaptiveRunProfile(claimedStart);
+        if (!state.isAdaptive() || (claimedStart.span === start.span && claimedStart.tempo === start.tempo && claimedStart.rounds === 0)) return;
+        flag('adaptive', `started from span ${claimedStart.span} at tempo ${claimedStart.tempo} after ${claimedStart.rounds} rounds; `
+            + `a run starts from span ${start.span} or more, tempo ${start.tempo} or less, calibrating afresh`);
+    };
+    try {
+        log.segments.forEach((seg, k) => {
+            if (k === 0) {
+                applyRules(seg.rules);
+                core.newRun(String(seg.seed));
+                claimedStart = createAdaptiveProfile(seg.adaptive);
+                state.adaptive = adaptiveRunProfile(seg.adaptive);
+            } else {
+                // Resumed from the checkpoint taken as the interrupted round began; the span carries on as replayed
+                if (next !== 'round') throw new Error('a run was resumed mid-round');
+                if (SHARED_SEED_MODES.includes(state.mode)) throw new Error(`a ${state.mode} run can't be resumed`);
+                core.restore(core.snapshot(), String(seg.seed));
+                applyRules(seg.rules);
+            }
+            base = clock.now();
+
+            (seg.events || []).forEach(ev => {
+                if (!ev || typeof ev.t !== 'number' || !Number.isFinite(ev.t)) throw new Error('event without a time');
+                if (next === 'over') throw new Error('events after the run ended');
+                const at = base + ev.t;
+
+                switch (ev.type) {
+                case 'rules':
+                    applyRules(ev);
+                    break;
+                case 'drill':
+                    if (next !== 'round') throw new Error('a drill set arrived mid-round');
+                    state.drill = cleanDrillSet(ev);
+                    break;
+                case 'round':
+                    if (next !== 'round') throw new Error('a round began before the last one ended');
+                    if (round === 0) judgeStart();
+                    advanceTo(at);
+                    core.beginRound();
+                    round++;
+                    roundAt = at;
+                    inputAt = null;
+                    values = state.answer.map(() => '');
+                    strictFail = null;
+                    next = null;
+                    break;
+                case 'input':
+                    if (state.status !== 'displaying' || inputAt !== null) throw new Error('input opened twice');
+                    advanceTo(at);
+                    if (at - roundAt < minReveal()) {
+                        flag('early-input', `input opened ${Math.round(at - roundAt)}ms into a ${minReveal()}ms reveal`);
+                    }
+                    core.beginInput();
+                    inputAt = at;
+                    break;
+                case 'key': {
+                    if (!Number.isInteger(ev.box) || ev.box < 0 || ev.box >= values.length || typeof ev.value !== 'string') {
+                        throw new Error('malformed key');
+                    }
+                    advanceTo(at - TIMER_SLACK);
+                    if (inputAt === null || state.status === 'displaying') {
+                        flag('early-input', 'typed while the sequence was on screen');
+                    }
+                    if (ev.value.length > values[ev.box].length) {
+                        if (revealFill) revealFill = false; else keys.push(at);
+                    }
+                    values[ev.box] = ev.value;
+                    if (ev.value && state.status === 'input') {
+                        const { failed } = core.typeKey(ev.box, ev.value);
+                        if (failed) strictFail = failed;
+                    }
+                    break;
+                }
+                case 'clear':
+                    values = values.map(() => '');
+                    break;
+                case 'boost':
+                    advanceTo(at - TIMER_SLACK);
+                    if (!core.activateBoost()) flag('illegal', 'boost used without one available');
+                    break;
+                case 'powerup':
+                    advanceTo(at - TIMER_SLACK);
+                    if (!core.usePowerup(ev.id)) {
+                        flag('illegal', `${ev.id} used without one available`);
+                    } else if (ev.id === 'replay') {
+                        replayAt = at;
+                    } else if (ev.id === 'reveal') {
+                        revealFill = true;
+                    }
+                    break;
+                case 'resume':
+                    if (replayAt === null) throw new Error('resume without a replay');
+                    advanceTo(at);
+                    if (at - replayAt < minReveal()) {
+                        flag('early-input', `replay closed ${Math.round(at - replayAt)}ms into a ${minReveal()}ms reveal`);
+                    }
+                    core.resumeInput();
+                    replayAt = null;
+                    break;
+                case 'retry':
+                    if (next !== 'retry') throw new Error('retry outside practice');
+                    advanceTo(at);
+                    core.retry();
+                    inputAt = at;
+                    next = null;
+                    break;
+                case 'result': {
+                    if (inputAt === null || next !== null) throw new Error('result outside a round');
+                    judgeTyping();
+                    let outcome = strictFail;
+                    strictFail = null;
+                    if (ev.result === 'timeout') {
+                        advanceTo(at);
+                        if (!expired) {
+                            flag('timer', `timed out with ${state.timerLeft}s still on the clock`);
+                            core.stopTimer();
+                            core.expire();
+                        }
+                        outcome = { result: 'timeout' };
+                    } else if (!outcome) {
+                        advanceTo(at - TIMER_SLACK);
+                        if (state.status === 'input' && Math.abs(ev.left - state.timerLeft) <= 1) {
+                            state.timerLeft = ev.left;
+                        } else if (state.status === 'input') {
+                            flag('timer', `answered with ${ev.left}s left on a clock showing ${state.timerLeft}s`);
+                        } else {
+                            flag('timer', 'answered after the timer ran out');
+                            core.stopTimer();
+                            state.status = 'input';
+                        }
+                        outcome = core.submit(values) || { result: 'incomplete' };
+                    }
+                    expired = false;
+                    if (outcome.result !== ev.result) {
+                        flag('score', `logged ${ev.result}, the answer was ${outcome.result}`);
+                        if (outcome.result === 'incomplete') outcome = core.fail();
+                    }
+                    next = outcome.result === 'correct' || outcome.shielded ? 'round' : outcome.retry ? 'retry' : 'over';
+                    break;
+                }
+                default:
+                    throw new Error(`unknown event "${ev.type}"`);
+                }
+            });
+        });
+    } catch (err) {
+        flag('bad-log', err.message);
+        return { ok: false, flags };
+    }
+
+    if (next !== 'over') flag('score', 'the log stops before the run ended');
+    const claims = [
+        ['score', entry.score, state.score],
+        ['level', entry.level, state.level],
+        ['best streak', entry.streak, state.maxStreak],
+        ['mode', entry.mode, state.mode],
+        ['variant', entry.variant, state.getVariant()],
+        ['seed', entry.seed, String(log.segments[log.segments.length - 1].seed)],
+    ];
+    claims.forEach(([what, claimed, actual]) => {
+        if (claimed !== actual) flags.push({ code: 'score', round: null, detail: `${what} ${claimed} does not match the replayed ${actual}` });
+    });
+    return { ok: flags.length === 0, flags, score: state.score, level: state.level, maxStreak: state.maxStreak };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getProgressiveConfig,
+        getRoundConfig,
+        isCustomProgression,
+        ADAPTIVE,
+        createAdaptiveProfile,
+        adaptiveRunProfile,
+        adaptiveChance,
+        adaptiveChars,
+        adaptiveRate,
+        updateAdaptive,
+        getAdaptiveConfig,
+        isAdaptiveProgression,
+        DIFFICULTY_PRESETS,
+        SEQUENCE_TYPE_LABELS,
+        NODE_DISPLAY_TIME,
+        MULTIPLIER_THRESHOLDS,
+        MULTIPLIER_VALUES,
+        ROUNDS_PER_BOOST,
+        BOOST_DURATION,
+        PRACTICE_TIMER,
+        INSTANT_FAIL_MODES,
+        FAST_REVEAL_MODES,
+        SHARED_SEED_MODES,
+        Rng,
+        SequenceGenerator,
+        getMultiplier,
+        getMultiplierProgress,
+        scoreRound,
+        SLOWMO_FACTOR,
+        POWERUPS,
+        createPowerupInventory,
+        powerupsEarned,
+        powerupPenalty,
+        ACHIEVEMENTS,
+        phaseNumber,
+        checkAchievements,
+        achievementRewards,
+        unlockedBy,
+        GAME_EVENTS,
+        createEventBus,
+        BUILTIN_MODES,
+        PLUGIN_MODES,
+        registerMode,
+        registerGenerator,
+        RECALL_MODES,
+        recallAnswer,
+        recallWeight,
+        PRESENTATIONS,
+        tokenVoice,
+        tokenVoices,
+        presentationOf,
+        conflictingStream,
+        PRACTICE_MODES,
+        CHUNKING,
+        chunkSizes,
+        chunkMnemonic,
+        createChunkProfile,
+        chunkStage,
+        isBaselineRound,
+        updateChunkProfile,
+        chunkComparison,
+        DRILL,
+        DAY_MS,
+        isToken,
+        tokenFits,
+        createDrillDeck,
+        drillQuality,
+        reviewDrillCard,
+        drillProgress,
+        drillSet,
+        cleanDrillSet,
+        drillSequence,
+        SHORTCUTS,
+        RESERVED_KEYS,
+        keyCombo,
+        bindableCombo,
+        comboLabel,
+        createKeymap,
+        rebindKey,
+        shortcutFor,
+        GAMEPAD,
+        readGamepad,
+        SYSTEM_CLOCK,
+        createManualClock,
+        createGameCore,
+        RUN_LOG_VERSION,
+        HUMAN_LIMITS,
+        runRules,
+        verifyRun,
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * ================================================================
+ *  MEMORY ROUTER — plugins/stats-logger.js
+ *  Internal plugin, built only on the public plugin API: logs every
+ *  round and run to the console and shows this session's accuracy
+ *  as an ACC widget in the top bar. Loaded after script.js; under
+ *  Node it just exports its factory for the tests.
+ * ================================================================
+ */
+
+'use strict';
+
+/**
+ * @param {{ logger?: { info: Function } }} [options]  where log lines go (console by default)
+ */
+function createStatsLogger({ logger = console } = {}) {
+    // Totals since the page loaded, across runs
+    const session = { runs: 0, rounds: 0, correct: 0, bestScore: 0 };
+    let roundStart = 0;
+
+    const accuracy = () => (session.rounds ? Math.round((session.correct / session.rounds) * 100) : null);
+
+    return {
+        id: 'stats-logger',
+        session,
+        accuracy,
+
+        setup(api) {
+            api.on('round:start', (r) => {
+                roundStart = Date.now();
+                logger.info(`[stats] L${String(r.level).padStart(2, '0')} ${r.label} · ${r.length} × ${r.type} · ${r.timer}s`);
+            });
+            api.on('round:result', (r) => {
+                session.rounds++;
+                if (r.result === 'correct') session.correct++;
+                const secs = roundStart ? ` in ${((Date.now() - roundStart) / 1000).toFixed(1)}s` : '';
+                logger.info(`[stats] L${String(r.level).padStart(2, '0')} ${r.result.toUpperCase()}${secs}`
+                    + ` · +${r.earned} → ${r.score} · streak ${r.streak} · session ${accuracy()}%`);
+            });
+            api.on('game:over', (g) => {
+                session.runs++;
+                session.bestScore = Math.max(session.bestScore, g.score);
+                logger.info(`[stats] RUN ${session.runs} OVER · ${g.name} · ${g.mode} · level ${g.level}`
+                    + ` · ${g.score} pts · best streak ${g.maxStreak} · seed ${g.seed}`);
+            });
+            api.on('score:saved', (s) => {
+                if (s.rank) logger.info(`[stats] #${s.rank} on ${s.board}${s.newBest ? ' — new best' : ''}`);
+            });
+            api.addHudWidget('session-accuracy', {
+                label: 'ACC',
+                title: 'Share of rounds answered correctly this session',
+                render: () => (accuracy() === null ? '—' : `${accuracy()}%`),
+            });
+        },
+    };
+}
+
+if (typeof window !== 'undefined' && window.MemoryRouter) window.MemoryRouter.registerPlugin(createStatsLogger());
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createStatsLogger };
+}
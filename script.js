@@ -3,211 +3,158 @@
  *  MEMORY ROUTER — script.js  (v2 — Token Boxes + Progressive Difficulty)
  *  Network Sequence Memory Puzzle Game
  *  Architecture: Modular Vanilla JS (ES6+)
+ *  Rules live in core.js (DOM-free); this file is the UI layer.
  * ================================================================
  */
 
 'use strict';
 
 /* ================================================================
-   1. PROGRESSIVE DIFFICULTY CONFIG
-   The game automatically advances through phases based on level.
-   Phase 1 (Lv 1-4):  Numbers only, length 4,   timer 10s
-   Phase 2 (Lv 5-8):  Numbers only, length 5-6,  timer 13s
-   Phase 3 (Lv 9-14): Alphanumeric,  length 5-7,  timer 15s
-   Phase 4 (Lv15-20): Hex codes (2-char tokens), len 6-8, timer 20s
-   Phase 5 (Lv 21+):  Mixed full hex, length 8+, timer 25s
+   1. CONSTANTS
    ================================================================ */
-
-/**
- * Returns the game config for the given level.
- * @param {number} level
- * @returns {{ type: string, length: number, timer: number, phase: string, label: string, isNew: boolean }}
- */
-function getProgressiveConfig(level) {
-    if (level <= 4) {
-        return {
-            type: 'numbers',
-            length: 4,
-            timer: 10,
-            phase: 'PHASE 01',
-            label: 'DECIMAL INIT',
-            tokenLen: 1,
-        };
-    } else if (level <= 8) {
-        // length grows 5,5,6,6
-        const len = 5 + Math.floor((level - 5) / 2);
-        return {
-            type: 'numbers',
-            length: len,
-            timer: 13,
-            phase: 'PHASE 02',
-            label: 'DIGIT STREAM',
-            tokenLen: 1,
-        };
-    } else if (level <= 14) {
-        // alpha characters, length grows 5→8
-        const len = 5 + Math.floor((level - 9) / 2);
-        return {
-            type: 'alpha',
-            length: Math.min(len, 8),
-            timer: 15,
-            phase: 'PHASE 03',
-            label: 'ALPHA ROUTE',
-            tokenLen: 1,
-        };
-    } else if (level <= 20) {
-        // 2-char hex codes, length grows 6→9
-        const len = 6 + Math.floor((level - 15) / 2);
-        return {
-            type: 'hex',
-            length: Math.min(len, 9),
-            timer: 20,
-            phase: 'PHASE 04',
-            label: 'HEX MATRIX',
-            tokenLen: 2,
-        };
-    } else {
-        // mixed alpha+numbers, length grows from 8
-        const len = Math.min(12, 8 + Math.floor((level - 21) / 3));
-        return {
-            type: 'mixed',
-            length: len,
-            timer: 25,
-            phase: 'PHASE 05',
-            label: 'MIXED PROTOCOL',
-            tokenLen: 1,
-        };
-    }
-}
-
-/* ================================================================
-   2. CONSTANTS
-   ================================================================ */
-const NODE_DISPLAY_TIME = 700;   // ms each token glows (base)
 const NODE_GAP_TIME = 130;   // ms gap between tokens
 const FEEDBACK_DURATION = 900;   // ms feedback overlay shows
 
-const MULTIPLIER_THRESHOLDS = [1, 2, 4, 7, 11];
-const MULTIPLIER_VALUES = [1, 2, 3, 5, 8];
+// Timer ring under High Contrast, whatever the theme: colour-blind safe (Okabe–Ito blue / yellow / vermillion)
+const CONTRAST_TIMER_COLORS = ['#56b4e9', '#f0e442', '#d55e00'];
 
 const MODE_DESC = {
     normal: 'Standard gameplay. Wrong answer = game over.',
     strict: 'Instant fail on any wrong character typed.',
     speed: 'Same progression but display time is shorter.',
     practice: 'No game over. Retry endlessly. Learn the flow.',
+    daily: 'Normal rules on today\'s shared seed. Same route for everyone.',
+    grid: 'Nodes light up on a router grid. Click the path back, or use arrows + Enter.',
+    reverse: 'Type the sequence back in reverse — last token first. Score ×1.5.',
+    sorted: 'Type the tokens back sorted ascending: digits 0–9, then letters A–Z. Score ×1.75.',
+    alternate: 'Type back only every other token: the 1st, 3rd, 5th… Score ×1.25.',
+    plusone: 'Add 1 to every character: 3→4, 9→0, A→B, hex F→0. Letters skip I and O (H→J, N→P). Score ×2.',
+    hardcore: 'Strict and Speed at once, and no power-ups. One slip ends the run.',
+    chunk: 'Sequences shown in groups with memory hooks that fade as you improve. Compared with your Normal recall.',
+    drill: 'Practice rules on your weakest tokens and positions, brought back on a spaced-repetition schedule.',
 };
 
 /* ================================================================
-   3. GAME STATE
+   2. GAME STATE
+   Rules and state live in core.js; the UI drives the core and
+   reacts to its timer hooks.
    ================================================================ */
-const GameState = {
-    status: 'idle', // idle | displaying | input | feedback | over
-
-    // Settings (overridden by Settings module)
-    mode: 'normal',
-    soundOn: true,
-
-    // Round state
-    level: 1,
-    score: 0,
-    streak: 0,
-    maxStreak: 0,
-    sequence: [],
-
-    // Timer
-    timerTotal: 10,
-    timerLeft: 10,
+const Core = createGameCore({
+    hooks: {
+        tick(left, total) {
+            UI.updateTimer(left, total);
+            if (left < total && left <= 5 && left > 0) SoundEngine.tick();
+            if (left < total && (left === 5 || (left === Math.floor(total / 2) && left > 5))) {
+                A11y.announce(`${left} seconds left`);
+            }
+        },
+        expire() { Game.handleTimerExpiry(); },
+        boostEnd() { UI.updatePowerupDisplay(); },
+        adapt(profile) {
+            StorageEngine.saveAdaptive(GameState.playerName, profile);
+            UI.updateHUD();
+        },
+    },
+});
+const GameState = Core.state;
 
-    // Power-ups
-    boosts: 0,
-    boostActive: false,
-    roundsSinceBoost: 0,
+/* ================================================================
+   3. THEME ENGINE
+   A theme is a whole skin: the palette (CSS variables, which the
+   stylesheet and Tailwind's cyber-* colours read), timer ring,
+   ambient particles, fonts, the sound profile of the effects and
+   the feedback text. Amber and Matrix are unlocked by achievements
+   (see ACHIEVEMENTS in core.js). High Contrast overrides any
+   palette, and token voices never change: they carry the sequence.
+   ================================================================ */
+const THEMES = {
+    neon: {
+        label: 'NEON',
+        palette: {
+            cyan: '#00ffff', blue: '#00bfff', green: '#00ff88', magenta: '#ff00ff',
+            yellow: '#ffdd00', red: '#ff3b3b', lime: '#39ff14', border: 'rgba(0, 191, 255, 0.3)',
+        },
+        timer: ['#00ffff', '#ffdd00', '#ff2244'], // plenty of time → under half → last quarter
+        // Colours name palette entries; direction -1 rises, 1 falls; glyphs draws characters instead of dots
+        particles: { count: 60, colors: ['cyan', 'green', 'magenta'], burst: ['green', 'cyan'], speed: 1, size: [0.5, 2], direction: -1, glyphs: '' },
+        fonts: { display: "'Orbitron', sans-serif", mono: "'Share Tech Mono', monospace" },
+        // Waveform per effect voice (see SoundEngine.beep) and a pitch factor for every effect
+        sound: { lead: 'sine', blip: 'square', buzz: 'sawtooth', pitch: 1 },
+        feedback: { granted: 'ACCESS GRANTED', denied: 'ACCESS DENIED' },
+    },
+    amber: {
+        label: 'AMBER',
+        palette: {
+            cyan: '#ffb000', blue: '#ff9500', green: '#ffd166', magenta: '#ff5e00',
+            yellow: '#ffdd00', red: '#ff3b3b', lime: '#39ff14', border: 'rgba(255, 176, 0, 0.3)',
+        },
+        timer: ['#ffb000', '#ff7b00', '#ff3b3b'],
+        particles: { count: 35, colors: ['cyan', 'yellow', 'green'], burst: ['green', 'cyan'], speed: 0.6, size: [0.5, 1.5], direction: -1, glyphs: '' },
+        fonts: { display: "'Share Tech Mono', monospace", mono: "'Share Tech Mono', monospace" },
+        sound: { lead: 'square', blip: 'square', buzz: 'square', pitch: 0.75 },
+        feedback: { granted: 'CARRIER DETECTED', denied: 'NO CARRIER' },
+    },
+    matrix: {
+        label: 'MATRIX',
+        palette: {
+            cyan: '#00ff41', blue: '#00c832', green: '#b6ff00', magenta: '#00ffa2',
+            yellow: '#ffdd00', red: '#ff3b3b', lime: '#39ff14', border: 'rgba(0, 255, 65, 0.3)',
+        },
+        timer: ['#00ff41', '#b6ff00', '#ff3b3b'],
+        particles: { count: 50, colors: ['cyan', 'blue'], burst: ['green', 'cyan'], speed: 2.5, size: [1.5, 3], direction: 1, glyphs: '01アイウエオカキクケコサシスセソ' },
+        fonts: { display: "'Share Tech Mono', monospace", mono: "'Courier New', Courier, monospace" },
+        sound: { lead: 'triangle', blip: 'sine', buzz: 'sawtooth', pitch: 1.25 },
+        feedback: { granted: 'SIGNAL DECODED', denied: 'SIGNAL CORRUPTED' },
+    },
+    vapor: {
+        label: 'VAPOR',
+        palette: {
+            cyan: '#ff71ce', blue: '#b967ff', green: '#05ffa1', magenta: '#01cdfe',
+            yellow: '#fffb96', red: '#ff3864', lime: '#05ffa1', border: 'rgba(185, 103, 255, 0.35)',
+        },
+        timer: ['#01cdfe', '#fffb96', '#ff3864'],
+        particles: { count: 40, colors: ['cyan', 'magenta', 'blue'], burst: ['cyan', 'magenta'], speed: 0.5, size: [1, 3], direction: -1, glyphs: '' },
+        fonts: { display: "'Trebuchet MS', 'Segoe UI', system-ui, sans-serif", mono: "'Share Tech Mono', monospace" },
+        sound: { lead: 'triangle', blip: 'triangle', buzz: 'sine', pitch: 0.85 },
+        feedback: { granted: 'LINK ESTABLISHED', denied: 'LINK DROPPED' },
+    },
+};
 
-    // Track last phase to detect phase transitions
-    lastPhaseLabel: '',
+const ThemeEngine = {
+    current: 'neon', // key of THEMES
 
-    init() {
-        this.level = 1;
-        this.score = 0;
-        this.streak = 0;
-        this.maxStreak = 0;
-        this.sequence = [];
-        this.boosts = 0;
-        this.boostActive = false;
-        this.roundsSinceBoost = 0;
-        this.lastPhaseLabel = '';
-        this.status = 'idle';
-    },
-
-    getMultiplier() {
-        for (let i = MULTIPLIER_THRESHOLDS.length - 1; i >= 0; i--) {
-            if (this.streak >= MULTIPLIER_THRESHOLDS[i]) return MULTIPLIER_VALUES[i];
-        }
-        return 1;
+    get() {
+        return THEMES[this.current] || THEMES.neon;
     },
 
-    getMultiplierProgress() {
-        for (let i = 0; i < MULTIPLIER_THRESHOLDS.length - 1; i++) {
-            if (this.streak < MULTIPLIER_THRESHOLDS[i + 1]) {
-                const low = MULTIPLIER_THRESHOLDS[i];
-                const high = MULTIPLIER_THRESHOLDS[i + 1];
-                return (this.streak - low) / (high - low);
-            }
-        }
-        return 1;
+    /** A palette colour as it is shown right now (High Contrast included), for canvas drawing. */
+    color(name) {
+        return getComputedStyle(document.body).getPropertyValue(`--${name}`).trim() || this.get().palette[name];
     },
 
-    getNodeDisplayTime() {
-        const base = NODE_DISPLAY_TIME;
-        // Reduce slightly per level, speed mode is extra fast
-        const reduction = (this.level - 1) * 15 + (this.mode === 'speed' ? 100 : 0);
-        return Math.max(300, base - reduction);
+    /** Write the theme's palette and fonts into the root CSS variables, and respawn the particles. */
+    apply() {
+        const { palette, fonts } = this.get();
+        const root = document.documentElement.style;
+        Object.entries(palette).forEach(([name, value]) => root.setProperty(`--${name}`, value));
+        ['cyan', 'blue', 'green', 'magenta', 'yellow', 'red'].forEach(name => {
+            root.setProperty(`--glow-${name}`, `0 0 10px ${palette[name]}, 0 0 25px ${this.alpha(palette[name], 0.4)}`);
+        });
+        root.setProperty('--font-display', fonts.display);
+        root.setProperty('--font-mono', fonts.mono);
+        document.body.dataset.theme = this.current;
+        ParticleEngine.retheme();
     },
-};
 
-/* ================================================================
-   4. SEQUENCE GENERATOR
-   ================================================================ */
-const SequenceGenerator = {
-    pools: {
-        numbers: '0123456789'.split(''),
-        alpha: 'ABCDEFGHJKLMNPQRSTUVWXYZ'.split(''), // no confusable I/O
-        hex: '0123456789ABCDEF'.split(''),
-        mixed: null, // built dynamically
-    },
-
-    getPool(type) {
-        if (type === 'mixed') return [...this.pools.numbers, ...this.pools.alpha];
-        return this.pools[type] || this.pools.numbers;
-    },
-
-    generate(length, type) {
-        const pool = this.getPool(type);
-        const seq = [];
-        let last = null;
-
-        for (let i = 0; i < length; i++) {
-            let token;
-            let tries = 0;
-            do {
-                if (type === 'hex') {
-                    // 2-char hex codes
-                    token = pool[Math.floor(Math.random() * pool.length)]
-                        + pool[Math.floor(Math.random() * pool.length)];
-                } else {
-                    token = pool[Math.floor(Math.random() * pool.length)];
-                }
-                tries++;
-            } while (token === last && pool.length > 1 && tries < 20);
-            seq.push(token);
-            last = token;
-        }
-        return seq;
+    /** '#00ffff', 0.4 → 'rgba(0, 255, 255, 0.4)' */
+    alpha(hex, a) {
+        const n = parseInt(hex.slice(1), 16);
+        return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${a})`;
     },
 };
 
 /* ================================================================
-   5. SOUND ENGINE (Web Audio API — no audio files)
+   4. SOUND ENGINE (Web Audio API — no audio files)
    ================================================================ */
 const SoundEngine = {
     ctx: null, masterGain: null,
@@ -225,8 +172,16 @@ const SoundEngine = {
         if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
     },
 
-    beep(freq, dur = 0.12, type = 'sine', vol = 0.5, delay = 0) {
-        if (!GameState.soundOn || !this.ctx) return;
+    /** An effect in the theme's sound profile: `voice` is 'lead', 'blip' or 'buzz'. */
+    beep(freq, dur = 0.12, voice = 'lead', vol = 0.5, delay = 0) {
+        if (!GameState.soundOn) return;
+        const profile = ThemeEngine.get().sound;
+        this.tone(freq * profile.pitch, dur, profile[voice], vol, delay);
+    },
+
+    /** beep() without the FX toggle — token voices are part of the sequence, not effects. */
+    tone(freq, dur, type, vol, delay) {
+        if (!this.ctx) return;
         this.resume();
         const t = this.ctx.currentTime + delay;
         const osc = this.ctx.createOscillator();
@@ -242,22 +197,75 @@ const SoundEngine = {
 
     nodeReveal(i) {
         const freqs = [440, 494, 523, 587, 659, 698, 784, 880];
-        this.beep(freqs[i % freqs.length], 0.09, 'square', 0.28);
-        this.beep(freqs[i % freqs.length] * 2, 0.07, 'sine', 0.13, 0.02);
+        this.beep(freqs[i % freqs.length], 0.09, 'blip', 0.28);
+        this.beep(freqs[i % freqs.length] * 2, 0.07, 'lead', 0.13, 0.02);
+    },
+    /** Speak a token as its notes (see tokenVoice in core.js), fitted into `ms`. */
+    voiceToken(token, ms) {
+        const notes = tokenVoices(token);
+        const step = ms / 1000 / Math.max(1, notes.length);
+        notes.forEach((n, i) => this.tone(n.freq, Math.min(0.3, step * 0.85), n.wave, 0.45, i * step));
     },
     success() {
-        [523, 659, 784].forEach((f, i) => this.beep(f, 0.3, 'sine', 0.4, i * 0.07));
-        this.beep(1047, 0.4, 'sine', 0.3, 0.28);
+        [523, 659, 784].forEach((f, i) => this.beep(f, 0.3, 'lead', 0.4, i * 0.07));
+        this.beep(1047, 0.4, 'lead', 0.3, 0.28);
     },
     fail() {
-        this.beep(200, 0.2, 'sawtooth', 0.5);
-        this.beep(150, 0.3, 'sawtooth', 0.4, 0.15);
-        this.beep(120, 0.4, 'square', 0.3, 0.32);
-    },
-    tick() { this.beep(880, 0.04, 'square', 0.15); },
-    wrongKey() { this.beep(180, 0.1, 'sawtooth', 0.4); },
-    levelUp() { [880, 988, 1047, 1175].forEach((f, i) => this.beep(f, 0.15, 'sine', 0.4, i * 0.07)); },
-    boost() { [700, 900, 1100].forEach((f, i) => this.beep(f, 0.15, 'sine', 0.45, i * 0.1)); },
+        this.beep(200, 0.2, 'buzz', 0.5);
+        this.beep(150, 0.3, 'buzz', 0.4, 0.15);
+        this.beep(120, 0.4, 'blip', 0.3, 0.32);
+    },
+    tick() { this.beep(880, 0.04, 'blip', 0.15); },
+    wrongKey() { this.beep(180, 0.1, 'buzz', 0.4); },
+    levelUp() { [880, 988, 1047, 1175].forEach((f, i) => this.beep(f, 0.15, 'lead', 0.4, i * 0.07)); },
+    boost() { [700, 900, 1100].forEach((f, i) => this.beep(f, 0.15, 'lead', 0.45, i * 0.1)); },
+};
+
+/* ================================================================
+   5. ACCESSIBILITY
+   Screen-reader announcements through two visually hidden live
+   regions, plus the reduced-motion and high-contrast preferences.
+   Both preferences are body classes; style.css does the rest.
+   ================================================================ */
+const A11y = {
+    reducedMotion: false, // defaults to the OS prefers-reduced-motion setting
+    highContrast: false,
+
+    /** Follow the OS until the player picks a setting of their own. */
+    systemReducedMotion() {
+        return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    },
+
+    /**
+     * Read `text` out. Urgent messages (round results) interrupt; the rest
+     * wait their turn. Clearing first makes a repeated message speak again.
+     */
+    announce(text, urgent = false) {
+        const el = document.getElementById(urgent ? 'sr-alert' : 'sr-status');
+        if (!el) return;
+        el.textContent = '';
+        setTimeout(() => { el.textContent = text; }, 30);
+    },
+
+    /** Spell a token so '3F' is read as "3 F" rather than a word. */
+    spell(token) {
+        return String(token).split('').join(' ');
+    },
+
+    apply() {
+        document.body.classList.toggle('reduced-motion', this.reducedMotion);
+        document.body.classList.toggle('high-contrast', this.highContrast);
+        [['btn-motion-toggle', this.reducedMotion], ['btn-contrast-toggle', this.highContrast]].forEach(([id, on]) => {
+            const btn = document.getElementById(id);
+            btn.classList.toggle('active', on);
+            btn.setAttribute('aria-pressed', String(on));
+            btn.textContent = on ? 'ON' : 'OFF';
+        });
+    },
+
+    timerColors() {
+        return this.highContrast ? CONTRAST_TIMER_COLORS : ThemeEngine.get().timer;
+    },
 };
 
 /* ================================================================
@@ -271,29 +279,39 @@ const ParticleEngine = {
         this.ctx = this.canvas.getContext('2d');
         this.resize();
         window.addEventListener('resize', () => this.resize());
-        for (let i = 0; i < 60; i++) this.particles.push(this.makeAmbient());
+        this.retheme();
         this.loop();
     },
 
+    /** Swap the ambient particles for the current theme's. */
+    retheme() {
+        this.particles = this.particles.filter(p => !p.ambient);
+        for (let i = 0; i < ThemeEngine.get().particles.count; i++) this.particles.push(this.makeAmbient());
+    },
+
     resize() {
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
     },
 
     makeAmbient() {
+        const { colors, speed, size: [min, max], direction, glyphs } = ThemeEngine.get().particles;
+        const pick = (list) => list[Math.floor(Math.random() * list.length)];
         return {
             x: Math.random() * window.innerWidth,
             y: Math.random() * window.innerHeight,
-            vx: (Math.random() - 0.5) * 0.3,
-            vy: -Math.random() * 0.5 - 0.1,
-            r: Math.random() * 1.5 + 0.5,
+            vx: (Math.random() - 0.5) * 0.3 * speed,
+            vy: direction * (Math.random() * 0.5 + 0.1) * speed,
+            r: Math.random() * (max - min) + min,
             alpha: Math.random() * 0.4 + 0.1,
-            color: ['#00ffff', '#00ff9f', '#ff00ff'][Math.floor(Math.random() * 3)],
+            color: ThemeEngine.color(pick(colors)),
+            glyph: glyphs ? pick([...glyphs]) : '',
             life: 1, ambient: true,
         };
     },
 
     burst(x, y, count, color) {
+        if (A11y.reducedMotion) return;
         for (let i = 0; i < count; i++) {
             const angle = Math.random() * Math.PI * 2;
             const speed = Math.random() * 4 + 1;
@@ -308,66 +326,467 @@ const ParticleEngine = {
 
     burstSuccess() {
         const cx = window.innerWidth / 2, cy = window.innerHeight / 2;
-        this.burst(cx, cy, 40, '#00ff9f');
-        this.burst(cx - 120, cy, 15, '#00ffff');
-        this.burst(cx + 120, cy, 15, '#00ffff');
+        const [main, side] = ThemeEngine.get().particles.burst.map(name => ThemeEngine.color(name));
+        this.burst(cx, cy, 40, main);
+        this.burst(cx - 120, cy, 15, side);
+        this.burst(cx + 120, cy, 15, side);
     },
 
     loop() {
         const { ctx, canvas } = this;
         ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (A11y.reducedMotion) { requestAnimationFrame(() => this.loop()); return; }
         this.particles = this.particles.filter(p => p.life > 0.01);
         for (const p of this.particles) {
             ctx.save();
             ctx.globalAlpha = p.alpha * p.life;
             ctx.fillStyle = ctx.shadowColor = p.color;
             ctx.shadowBlur = p.r * 4;
-            ctx.beginPath(); ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2); ctx.fill();
+            if (p.glyph) {
+                ctx.font = `${Math.round(p.r * 5)}px monospace`;
+                ctx.fillText(p.glyph, p.x, p.y);
+            } else {
+                ctx.beginPath(); ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2); ctx.fill();
+            }
             ctx.restore();
             p.x += p.vx; p.y += p.vy;
-            if (p.ambient) { if (p.y < -10) Object.assign(p, this.makeAmbient(), { y: canvas.height + 10 }); }
-            else { p.vy += 0.1; p.life -= p.decay; }
+            if (p.ambient) {
+                // Off the far edge: come back in from the edge the flow starts at
+                if (p.y < -10 || p.y > canvas.height + 10) {
+                    const next = this.makeAmbient();
+                    Object.assign(p, next, { y: next.vy < 0 ? canvas.height + 10 : -10 });
+                }
+            } else { p.vy += 0.1; p.life -= p.decay; }
         }
-        while (this.particles.filter(p => p.ambient).length < 60) this.particles.push(this.makeAmbient());
+        const count = ThemeEngine.get().particles.count;
+        while (this.particles.filter(p => p.ambient).length < count) this.particles.push(this.makeAmbient());
         requestAnimationFrame(() => this.loop());
     },
 };
 
 /* ================================================================
    7. STORAGE ENGINE
+   Versioned schema, per-mode boards, profiles and export/import
+   live in storage.js; older saves are migrated before first read.
+   ================================================================ */
+const StorageEngine = createStorageEngine(window.localStorage);
+try {
+    StorageEngine.migrate();
+} catch (err) {
+    console.warn('Memory Router: could not migrate saved data.', err);
+}
+
+/**
+ * Replay every score's run log (verifyRun in core.js) and take the ones that
+ * don't hold up off the boards. Runs once plugins have registered their modes.
+ */
+function verifyScores() {
+    const rejected = StorageEngine.verifyBoards(verifyRun);
+    if (rejected.length) {
+        console.warn(`Memory Router: ${rejected.length} score(s) failed verification and were taken off the boards.`, rejected);
+    }
+}
+
+/* ================================================================
+   8. STATS ENGINE
+   Per-token analytics kept across sessions: accuracy per position,
+   confused token pairs (expected → typed), time to fill each token
+   and accuracy per phase. Drawn on canvas charts by StatsView.
+   ================================================================ */
+const StatsEngine = {
+    data: null,
+
+    empty() {
+        return { positions: [], confusions: {}, tokens: {}, phases: {} };
+    },
+
+    load() {
+        if (!this.data) this.data = StorageEngine.getStats() || this.empty();
+        return this.data;
+    },
+
+    /** Record the attempt currently in the input boxes against GameState.answer. */
+    recordAttempt(level = GameState.level) {
+        const cfg = Core.config(level);
+        this.recordRound(
+            GameState.answer,
+            InputBoxEngine.getValues(),
+            InputBoxEngine.times,
+            cfg.phase,
+        );
+    },
+
+    /**
+     * Fold one attempt into the running stats. Positions left empty (timer
+     * expiry, strict-mode early fail) are not counted as seen.
+     * @param {string[]} expected
+     * @param {string[]} typed
+     * @param {number[]} times  ms per filled box
+     * @param {string} phase
+     */
+    recordRound(expected, typed, times, phase) {
+        const d = this.load();
+        let allCorrect = true;
+
+        expected.forEach((exp, i) => {
+            const got = typed[i] || '';
+            const ok = got === exp;
+            if (!ok) allCorrect = false;
+            if (!got) return;
+
+            const pos = d.positions[i] || (d.positions[i] = { seen: 0, correct: 0 });
+            pos.seen++;
+            if (ok) pos.correct++;
+
+            const tok = d.tokens[exp] || (d.tokens[exp] = { seen: 0, correct: 0, totalMs: 0, timed: 0 });
+            tok.seen++;
+            if (ok) tok.correct++;
+            if (times[i] > 0) { tok.totalMs += times[i]; tok.timed++; }
+
+            // Only full-length mistakes are real confusions (not half-typed hex or stray symbols),
+            // so neither half of the 'expected>typed' key can hold the '>'
+            if (!ok && got.length === exp.length && isToken(got)) {
+                const pair = `${exp}>${got}`;
+                d.confusions[pair] = (d.confusions[pair] || 0) + 1;
+            }
+        });
+
+        const ph = d.phases[phase] || (d.phases[phase] = { rounds: 0, correct: 0 });
+        ph.rounds++;
+        if (allCorrect) ph.correct++;
+
+        StorageEngine.saveStats(d);
+    },
+
+    reset() {
+        this.data = this.empty();
+        StorageEngine.saveStats(this.data);
+    },
+
+    positionAccuracy() {
+        return this.load().positions.map((p, i) => ({
+            label: String(i + 1), value: p && p.seen ? p.correct / p.seen : 0,
+        }));
+    },
+
+    phaseAccuracy() {
+        const phases = this.load().phases;
+        return Object.keys(phases).sort().map(k => ({
+            label: k.replace('PHASE ', 'P'), value: phases[k].correct / phases[k].rounds,
+        }));
+    },
+
+    /** Slowest tokens first, by average time to fill. */
+    tokenTimes(limit = 16) {
+        const tokens = this.load().tokens;
+        return Object.keys(tokens)
+            .filter(k => tokens[k].timed > 0)
+            .map(k => ({ label: k, value: tokens[k].totalMs / tokens[k].timed }))
+            .sort((a, b) => b.value - a.value)
+            .slice(0, limit);
+    },
+
+    topConfusions(limit = 8) {
+        const c = this.load().confusions;
+        return Object.keys(c)
+            .map(k => ({ pair: k.split('>'), count: c[k] }))
+            .filter(({ pair, count }) => pair.length === 2 && pair.every(isToken) && Number.isInteger(count) && count > 0)
+            .map(({ pair: [expected, typed], count }) => ({ expected, typed, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    },
+};
+
+const StatsView = {
+    open() {
+        this.render();
+        const modal = document.getElementById('stats-modal');
+        modal.classList.remove('hidden');
+        modal.style.display = 'flex';
+    },
+
+    close() {
+        const modal = document.getElementById('stats-modal');
+        modal.classList.add('hidden');
+        modal.style.display = '';
+    },
+
+    render() {
+        this.renderProfileSelect();
+        const pct = v => `${Math.round(v * 100)}%`;
+        this.drawBars('stats-position-canvas', StatsEngine.positionAccuracy(), { max: 1, format: pct, color: ThemeEngine.color('cyan') });
+        this.drawBars('stats-phase-canvas', StatsEngine.phaseAccuracy(), { max: 1, format: pct, color: ThemeEngine.color('magenta') });
+        this.drawBars('stats-time-canvas', StatsEngine.tokenTimes(), {
+            format: v => `${(v / 1000).toFixed(1)}s`, color: ThemeEngine.color('yellow'),
+        });
+
+        const list = document.getElementById('stats-confusions');
+        const pairs = StatsEngine.topConfusions();
+        list.innerHTML = pairs.length ? '' : '<li class="text-gray-600 italic">No confusions yet</li>';
+        pairs.forEach(p => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center gap-2';
+            li.innerHTML = `<span class="char-chip match"></span>
+                      <span class="text-gray-600">→</span>
+                      <span class="char-chip mismatch"></span>
+                      <span class="text-gray-500 ml-auto">×${p.count}</span>`;
+            // Stats can come from an imported file: the tokens go in as text
+            li.children[0].textContent = p.expected;
+            li.children[2].textContent = p.typed;
+            list.appendChild(li);
+        });
+    },
+
+    renderProfileSelect() {
+        const select = document.getElementById('stats-profile-select');
+        const names = Object.keys(StorageEngine.getProfiles()).sort();
+        const current = GameState.playerName || StorageEngine.getLastName();
+        if (current && !names.includes(current)) names.unshift(current);
+        select.innerHTML = '';
+        names.forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            select.appendChild(opt);
+        });
+        select.value = current || names[0] || '';
+        this.renderProfile(select.value);
+    },
+
+    /** Lifetime totals for one player name, built from every finished run. */
+    renderProfile(name) {
+        const p = StorageEngine.getProfile(name);
+        const favourite = p ? Object.entries(p.modes).sort((a, b) => b[1] - a[1])[0][0] : '—';
+        const cards = [
+            ['RUNS', p ? p.runs : 0],
+            ['BEST SCORE', p ? p.bestScore.toLocaleString() : 0],
+            ['BEST LEVEL', p ? p.bestLevel : 0],
+            ['AVG SCORE', p ? Math.round(p.totalScore / p.runs).toLocaleString() : 0],
+            ['FAVOURITE', favourite.toUpperCase()],
+        ];
+        document.getElementById('stats-profile').innerHTML = cards.map(([label, value]) =>
+            `<div class="stat-card"><div class="stat-card-label">${label}</div>
+             <div class="stat-card-value text-cyber-cyan text-base">${value}</div></div>`).join('');
+        this.renderChunking(name);
+        this.renderDrill(name);
+    },
+
+    /** Chunk Trainer recall against the same player's unchunked rounds, largest sizes first. */
+    renderChunking(name) {
+        const { rows } = chunkComparison(ChunkTrainer.load(name || 'GUEST'));
+        const list = document.getElementById('stats-chunking');
+        const pct = (r) => (r ? `${Math.round(r.rate * 100)}% <span class="text-gray-600">(${r.rounds})</span>` : '—');
+        list.innerHTML = rows.length ? '' : '<li class="text-gray-600 italic">No rounds yet</li>';
+        rows.slice(0, 6).forEach(row => {
+            const li = document.createElement('li');
+            li.className = 'flex justify-between gap-3';
+            const gain = row.gain === null ? ''
+                : `<span class="${row.gain >= 0 ? 'text-cyber-green' : 'text-cyber-red'}">${row.gain >= 0 ? '+' : ''}${row.gain}</span>`;
+            li.innerHTML = `<span class="text-gray-500 w-16">${row.chars} CHARS</span>
+                <span class="text-cyber-cyan">${pct(row.chunked)}</span>
+                <span class="text-gray-400">${pct(row.baseline)}</span>
+                <span class="w-10 text-right">${gain}</span>`;
+            list.appendChild(li);
+        });
+    },
+
+    /** Drill deck counts, then the cards due soonest. */
+    renderDrill(name) {
+        const deck = Drill.load(name || 'GUEST');
+        const now = Date.now();
+        const { due, learning, mastered } = drillProgress(deck, now);
+        const list = document.getElementById('stats-drill');
+        const tokens = Object.keys(deck).sort((a, b) => deck[a].due - deck[b].due || (a < b ? -1 : 1));
+        list.innerHTML = `<li class="text-gray-400">${due} DUE · ${learning} LEARNING · ${mastered} MASTERED</li>`;
+        if (!tokens.length) list.innerHTML += '<li class="text-gray-600 italic">Deck empty — misses in Drill mode land here</li>';
+        tokens.slice(0, 6).forEach(token => {
+            const card = deck[token];
+            const days = Math.ceil((card.due - now) / DAY_MS);
+            const li = document.createElement('li');
+            li.className = 'flex justify-between gap-3';
+            li.innerHTML = `<span class="text-cyber-cyan w-10"></span>
+                <span class="${days > 0 ? 'text-gray-400' : 'text-cyber-red'}">${days > 0 ? `in ${days}d` : 'due now'}</span>
+                <span class="text-gray-500">ease ${card.ease.toFixed(2)}</span>
+                <span class="text-gray-600 w-16 text-right">${card.lapses} lapse${card.lapses === 1 ? '' : 's'}</span>`;
+            li.children[0].textContent = token; // decks can come from an imported file
+            list.appendChild(li);
+        });
+    },
+
+    /** Simple vertical bar chart; `max` defaults to the largest value. */
+    drawBars(canvasId, items, { max, format, color }) {
+        const canvas = document.getElementById(canvasId);
+        const ctx = canvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        const w = canvas.clientWidth || 300, h = canvas.clientHeight || 120;
+        canvas.width = w * dpr;
+        canvas.height = h * dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, w, h);
+
+        ctx.font = '10px "Share Tech Mono", monospace';
+        ctx.textAlign = 'center';
+        if (!items.length) {
+            ctx.fillStyle = '#4b5563';
+            ctx.fillText('NO DATA YET', w / 2, h / 2);
+            return;
+        }
+
+        const top = max || Math.max(...items.map(i => i.value)) || 1;
+        const slot = w / items.length;
+        const barW = Math.max(4, slot * 0.6);
+        const chartH = h - 28;
+        items.forEach((item, i) => {
+            const x = slot * i + (slot - barW) / 2;
+            const bh = Math.max(1, (item.value / top) * chartH);
+            ctx.fillStyle = color;
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 6;
+            ctx.fillRect(x, 14 + chartH - bh, barW, bh);
+            ctx.shadowBlur = 0;
+            ctx.fillStyle = '#9ca3af';
+            ctx.fillText(format(item.value), x + barW / 2, 14 + chartH - bh - 3);
+            ctx.fillStyle = '#6b7280';
+            ctx.fillText(item.label, x + barW / 2, h - 2);
+        });
+    },
+};
+
+/* ================================================================
+   9. ACHIEVEMENTS
+   Glue between the game flow and the rules in core.js: builds a
+   snapshot of the run for each event, stores what was earned per
+   player, and shows toasts and the gallery. Rewards unlock for
+   the whole device once anyone on it has earned them.
    ================================================================ */
-const StorageEngine = {
-    KEY_SCORES: 'memoryrouter_v2_scores',
-    KEY_BEST: 'memoryrouter_v2_best',
+const Achievements = {
+    roundCfg: null, // config of the round in play, for 'round' checks after the level has moved on
+    toastMs: 4500,
+
+    /** Everything the ACHIEVEMENTS tests look at. */
+    context(extra = {}) {
+        const cfg = this.roundCfg || Core.config();
+        return {
+            mode: GameState.mode,
+            level: GameState.level,
+            phase: cfg.phase,
+            type: cfg.type,
+            gridSize: cfg.gridSize || 0,
+            multiplier: GameState.getMultiplier(),
+            timerLeft: GameState.timerLeft,
+            timerTotal: GameState.timerTotal,
+            boostsUsed: GameState.boostsUsed,
+            score: GameState.score,
+            presentation: GameState.getPresentation(),
+            ...extra,
+        };
+    },
+
+    /**
+     * Check one game event and celebrate anything new.
+     * @param {'phase'|'round'|'boost'|'gameover'} event
+     */
+    track(event, extra) {
+        const name = GameState.playerName || 'GUEST';
+        const fresh = checkAchievements(event, this.context(extra), StorageEngine.getAchievements(name));
+        if (!fresh.length) return;
+        StorageEngine.awardAchievements(name, fresh.map(a => a.id));
+        fresh.forEach((a, i) => setTimeout(() => this.toast(a), i * 600));
+    },
+
+    /** Themes and modes anyone on this device has unlocked. */
+    rewards() {
+        return achievementRewards(StorageEngine.getAllAchievements());
+    },
+
+    isModeLocked(mode) {
+        return !!unlockedBy('mode', mode) && !this.rewards().modes.includes(mode);
+    },
 
-    getScores() {
-        try { return JSON.parse(localStorage.getItem(this.KEY_SCORES)) || []; } catch { return []; }
+    isThemeLocked(theme) {
+        return !!unlockedBy('theme', theme) && !this.rewards().themes.includes(theme);
     },
 
-    saveScore(entry) {
-        const scores = this.getScores();
-        scores.push(entry);
-        scores.sort((a, b) => b.score - a.score);
-        localStorage.setItem(this.KEY_SCORES, JSON.stringify(scores.slice(0, 10)));
-        if (entry.score > this.getBest()) localStorage.setItem(this.KEY_BEST, String(entry.score));
+    /** What an achievement unlocks, as a line for toasts and the gallery ('' when nothing). */
+    rewardText(a) {
+        if (!a.reward) return '';
+        return a.reward.theme ? `THEME UNLOCKED: ${THEMES[a.reward.theme].label}` : `MODE UNLOCKED: ${a.reward.mode.toUpperCase()}`;
     },
 
-    getBest() { return parseInt(localStorage.getItem(this.KEY_BEST)) || 0; },
+    toast(a) {
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `<span class="achievement-icon">${a.icon}</span>
+            <div class="flex flex-col">
+                <span class="font-orbitron text-[0.6rem] tracking-widest text-cyber-yellow">ACHIEVEMENT UNLOCKED</span>
+                <span class="font-orbitron text-sm">${a.title}</span>
+                ${a.reward ? `<span class="text-xs text-cyber-green">${this.rewardText(a)}</span>` : ''}
+            </div>`;
+        document.getElementById('toast-stack').appendChild(toast);
+        A11y.announce(`Achievement unlocked: ${a.title}. ${a.desc} ${this.rewardText(a).toLowerCase()}`);
+        SoundEngine.boost();
+        setTimeout(() => toast.classList.add('leaving'), this.toastMs - 400);
+        setTimeout(() => toast.remove(), this.toastMs);
+    },
+
+    openGallery() {
+        this.renderGallery();
+        const modal = document.getElementById('achievements-modal');
+        modal.classList.remove('hidden');
+        modal.style.display = 'flex';
+    },
+
+    closeGallery() {
+        const modal = document.getElementById('achievements-modal');
+        modal.classList.add('hidden');
+        modal.style.display = '';
+    },
+
+    /** One card per achievement for the current pilot; unearned ones stay dimmed. */
+    renderGallery() {
+        const name = GameState.playerName || StorageEngine.getLastName() || 'GUEST';
+        const earned = StorageEngine.getAchievements(name);
+        document.getElementById('achievements-pilot').textContent = name;
+        document.getElementById('achievements-count').textContent =
+            `${ACHIEVEMENTS.filter(a => earned[a.id]).length} / ${ACHIEVEMENTS.length}`;
+
+        const grid = document.getElementById('achievements-grid');
+        grid.innerHTML = '';
+        ACHIEVEMENTS.forEach(a => {
+            const card = document.createElement('li');
+            card.className = 'achievement-card' + (earned[a.id] ? ' earned' : '');
+            card.innerHTML = `<span class="achievement-icon">${earned[a.id] ? a.icon : '🔒'}</span>
+                <div class="flex flex-col gap-0.5 min-w-0">
+                    <span class="font-orbitron text-xs tracking-wider">${a.title}</span>
+                    <span class="text-xs text-gray-500">${a.desc}</span>
+                    ${a.reward ? `<span class="text-xs text-cyber-green">${this.rewardText(a)}</span>` : ''}
+                    ${earned[a.id] ? `<span class="text-[0.6rem] text-gray-600">${earned[a.id].slice(0, 10)}</span>` : ''}
+                </div>`;
+            grid.appendChild(card);
+        });
+    },
 };
 
 /* ================================================================
-   8. INPUT BOX ENGINE
+   10. INPUT BOX ENGINE
    Individual per-token input boxes: one box per sequence token.
    Auto-advances focus, auto-submits on last token filled.
    ================================================================ */
 const InputBoxEngine = {
     boxes: [],
+    times: [],     // ms taken to fill each box (from the previous fill / input start)
+    lastMark: 0,
+
+    readOnly: false, // Router Grid: boxes are filled by picking nodes, not typing
 
     /** Build one input box per token of the current sequence. */
     build(sequence) {
         const container = document.getElementById('token-inputs');
         container.innerHTML = '';
         this.boxes = [];
+        this.times = [];
+        this.lastMark = performance.now();
+        this.readOnly = Core.config().type === 'grid';
 
         sequence.forEach((token, i) => {
             const inp = document.createElement('input');
@@ -379,11 +798,13 @@ const InputBoxEngine = {
             inp.autocorrect = 'off';
             inp.spellcheck = false;
             inp.setAttribute('aria-label', `Token ${i + 1} of ${sequence.length}`);
+            if (this.readOnly) { inp.readOnly = true; inp.tabIndex = -1; }
+            else if (TouchKeypad.enabled) inp.inputMode = 'none'; // keep the system keyboard closed
 
             // Wider box for 2-char tokens (hex)
             inp.className = 'token-input' + (token.length > 1 ? ' wide' : '');
 
-            inp.addEventListener('input', (e) => this.handleInput(e, i, sequence));
+            inp.addEventListener('input', (e) => this.handleInput(e, i));
             inp.addEventListener('keydown', (e) => this.handleKeydown(e, i));
             inp.addEventListener('paste', (e) => e.preventDefault()); // no paste allowed
 
@@ -392,37 +813,49 @@ const InputBoxEngine = {
         });
     },
 
-    handleInput(e, i, sequence) {
+    /** Colour class for a box holding `val` when `expected` is the answer ('' when empty). */
+    statusClass(val, expected) {
+        if (!val) return '';
+        if (val.length >= expected.length) return val.slice(0, expected.length) === expected ? 'filled-correct' : 'filled-wrong';
+        return expected.startsWith(val) ? 'prefix-match' : 'prefix-wrong';
+    },
+
+    handleInput(e, i) {
         const inp = e.target;
         const val = inp.value.toUpperCase().replace(/\s/g, '');
         const expected = inp.dataset.expected;
         inp.value = val; // uppercase + no spaces
+        this.recordKey(i, val.slice(0, expected.length));
 
         // Live prefix colour feedback
         inp.classList.remove('prefix-match', 'prefix-wrong', 'filled-correct', 'filled-wrong');
         if (val.length > 0) {
-            const prefixOk = expected.startsWith(val);
+            const { prefixOk, failed } = Core.typeKey(i, val);
             inp.classList.add(prefixOk ? 'prefix-match' : 'prefix-wrong');
 
             // Strict mode: wrong prefix → instant fail
-            if (!prefixOk && GameState.mode === 'strict') {
+            if (failed) {
                 SoundEngine.wrongKey();
-                TimerEngine.clear();
-                Game.handleWrong();
+                StatsEngine.recordAttempt();
+                Game.handleWrong(failed);
                 return;
             }
         }
 
         // Box fully filled
         if (val.length >= expected.length) {
+            const now = performance.now();
+            this.times[i] = Math.round(now - this.lastMark);
+            this.lastMark = now;
             const correct = (val === expected);
             inp.classList.remove('prefix-match', 'prefix-wrong');
             inp.classList.add(correct ? 'filled-correct' : 'filled-wrong');
             inp.value = val.slice(0, expected.length);
+            RaceClient.report();
 
             if (i < this.boxes.length - 1) {
                 // Auto-advance to next box
-                setTimeout(() => this.boxes[i + 1].focus(), 40);
+                if (!this.readOnly) setTimeout(() => this.boxes[i + 1].focus(), 40);
             } else {
                 // Last box — auto-submit
                 setTimeout(() => Game.submitBoxes(), 120);
@@ -431,11 +864,12 @@ const InputBoxEngine = {
     },
 
     handleKeydown(e, i) {
-        // Backspace on empty box → go back to previous
-        if (e.key === 'Backspace' && this.boxes[i].value === '' && i > 0) {
+        // Backspace on empty box → go back to previous (unless the Reveal power-up filled it)
+        if (e.key === 'Backspace' && this.boxes[i].value === '' && i > 0 && !this.isRevealed(this.boxes[i - 1])) {
             e.preventDefault();
             const prev = this.boxes[i - 1];
             prev.value = '';
+            this.recordKey(i - 1, '');
             prev.classList.remove('filled-correct', 'filled-wrong', 'prefix-match', 'prefix-wrong');
             prev.focus();
         }
@@ -446,6 +880,76 @@ const InputBoxEngine = {
         }
     },
 
+    /** A box's value changed: log it for the replay and tell plugins. */
+    recordKey(i, value) {
+        ReplayRecorder.recordKey(i, value);
+        Plugins.emit('key:typed', { box: i, value });
+    },
+
+    /** Fill the next empty box with `value`, as if it had been typed. */
+    enter(value) {
+        const i = this.boxes.findIndex(b => b.value === '');
+        if (i < 0) return;
+        this.boxes[i].value = value;
+        this.handleInput({ target: this.boxes[i] }, i);
+    },
+
+    /**
+     * Type one character into the first box that still has room, as if it had
+     * been typed on a keyboard. Returns that box (null when all are full or paused).
+     */
+    type(ch) {
+        const i = this.boxes.findIndex(b => b.value.length < b.maxLength);
+        if (i < 0 || this.boxes[i].disabled) return null;
+        this.boxes[i].value += ch;
+        this.handleInput({ target: this.boxes[i] }, i);
+        return this.boxes[i];
+    },
+
+    /** Delete the last typed character (the keypad's backspace). */
+    erase() {
+        const i = this.boxes.map(b => b.value !== '').lastIndexOf(true);
+        if (i < 0 || this.boxes[i].disabled || this.isRevealed(this.boxes[i])) return;
+        const inp = this.boxes[i];
+        inp.value = inp.value.slice(0, -1);
+        this.recordKey(i, inp.value);
+        inp.classList.remove('filled-correct', 'filled-wrong', 'prefix-match', 'prefix-wrong');
+        const cls = this.statusClass(inp.value, inp.dataset.expected);
+        if (cls) inp.classList.add(cls);
+        RaceClient.report();
+    },
+
+    /** Reveal power-up: fill the first empty or wrong box with its token and lock it. */
+    reveal() {
+        const i = this.boxes.findIndex(b => b.value !== b.dataset.expected);
+        if (i < 0) return;
+        const box = this.boxes[i];
+        box.value = box.dataset.expected;
+        box.readOnly = true;
+        box.classList.add('revealed');
+        A11y.announce(`Token ${i + 1} is ${A11y.spell(box.value)}`);
+        this.handleInput({ target: box }, i);
+    },
+
+    isRevealed(box) {
+        return box.classList.contains('revealed');
+    },
+
+    /** Empty the last filled box. */
+    undo() {
+        const i = this.boxes.map(b => b.value !== '').lastIndexOf(true);
+        if (i < 0 || this.isRevealed(this.boxes[i])) return;
+        this.boxes[i].value = '';
+        this.recordKey(i, '');
+        this.boxes[i].classList.remove('filled-correct', 'filled-wrong', 'prefix-match', 'prefix-wrong');
+        RaceClient.report();
+    },
+
+    /** Lock the boxes while paused so nobody types with the timer frozen. */
+    setDisabled(disabled) {
+        this.boxes.forEach(b => { b.disabled = disabled; });
+    },
+
     /** Get all typed values as uppercase strings. */
     getValues() {
         return this.boxes.map(b => b.value.toUpperCase());
@@ -453,56 +957,661 @@ const InputBoxEngine = {
 
     /** Focus the first empty box (or first box if all empty). */
     focusFirst() {
+        if (this.readOnly) return; // keys go to RouterGrid instead
         const empty = this.boxes.find(b => b.value === '');
         (empty || this.boxes[0])?.focus();
     },
 
     /** Reset all boxes to empty state. */
     clear() {
+        ReplayRecorder.recordEvent('clear');
+        this.times = [];
+        this.lastMark = performance.now();
         this.boxes.forEach(b => {
             b.value = '';
-            b.classList.remove('filled-correct', 'filled-wrong', 'prefix-match', 'prefix-wrong');
+            b.readOnly = this.readOnly;
+            b.classList.remove('filled-correct', 'filled-wrong', 'prefix-match', 'prefix-wrong', 'revealed');
         });
         this.focusFirst();
     },
 };
 
 /* ================================================================
-   9. UI HELPERS
+   11. TOUCH KEYPAD
+   On-screen keys for phones and tablets, built each round from the
+   active pool (digits in phases 1–2, letters in phase 3, …) so the
+   system keyboard never covers the grid and autocorrect never runs.
+   Keys type through InputBoxEngine, exactly like a hardware keyboard.
+   ================================================================ */
+const TouchKeypad = {
+    enabled: false, // defaults to on for touch screens (coarse pointer)
+    haptics: true,
+    type: null,     // sequence type the keypad was last built for
+    cols: 1,
+
+    /** Touch screens get the keypad until the player picks a setting of their own. */
+    systemCoarsePointer() {
+        return !!(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+    },
+
+    /**
+     * Lay out one key per pool character plus backspace; hidden when off or in Router Grid.
+     * A connected gamepad picks from it too, so it shows while one is in use.
+     */
+    build(type) {
+        this.type = type;
+        const pad = document.getElementById('touch-keypad');
+        pad.innerHTML = '';
+        const show = (this.enabled || GamepadInput.active()) && type !== 'grid';
+        pad.classList.toggle('hidden', !show);
+        if (!show) return;
+
+        const keys = SequenceGenerator.getPool(type);
+        // Near-square grid: 11 keys → 4 columns, 25 → 5, 35 → 6
+        this.cols = Math.ceil(Math.sqrt(keys.length + 1));
+        pad.style.setProperty('--keypad-cols', this.cols);
+        keys.forEach(ch => pad.appendChild(this.makeKey(ch, ch, `Type ${ch}`)));
+        const back = this.makeKey('⌫', 'Backspace', 'Delete last character');
+        back.classList.add('keypad-back');
+        pad.appendChild(back);
+        GamepadInput.cursor = 0;
+        this.drawCursor();
+    },
+
+    /** Rebuild for the current round, e.g. when a gamepad comes or goes mid-input. */
+    refresh() {
+        if (GameState.status === 'input' && this.type) this.build(this.type);
+    },
+
+    keys() {
+        return [...document.querySelectorAll('#touch-keypad .keypad-key')];
+    },
+
+    /** Highlight the key under the gamepad's cursor. */
+    drawCursor() {
+        const on = GamepadInput.active();
+        this.keys().forEach((key, i) => key.classList.toggle('pad-cursor', on && i === GamepadInput.cursor));
+    },
+
+    makeKey(label, value, ariaLabel) {
+        const key = document.createElement('button');
+        key.type = 'button';
+        key.className = 'keypad-key font-mono';
+        key.textContent = label;
+        key.dataset.key = value;
+        key.setAttribute('aria-label', ariaLabel);
+        // Keep focus on the token boxes so the caret stays where the next character lands
+        key.addEventListener('pointerdown', (e) => e.preventDefault());
+        key.addEventListener('click', () => this.press(value));
+        return key;
+    },
+
+    press(value) {
+        if (GameState.status !== 'input' || GameState.paused) return;
+        if (value === 'Backspace') {
+            InputBoxEngine.erase();
+            this.buzz(20);
+            return;
+        }
+        const box = InputBoxEngine.type(value);
+        if (!box) return;
+        const wrong = box.classList.contains('prefix-wrong') || box.classList.contains('filled-wrong');
+        this.buzz(wrong ? [40, 40, 40] : 12);
+    },
+
+    /** Short tap feel through the Vibration API, where there is one. */
+    buzz(pattern) {
+        if (this.haptics && navigator.vibrate) navigator.vibrate(pattern);
+    },
+
+    apply() {
+        [['btn-keypad-toggle', this.enabled], ['btn-haptics-toggle', this.haptics]].forEach(([id, on]) => {
+            const btn = document.getElementById(id);
+            btn.classList.toggle('active', on);
+            btn.setAttribute('aria-pressed', String(on));
+            btn.textContent = on ? 'ON' : 'OFF';
+        });
+    },
+};
+
+/* ================================================================
+   12. ROUTER GRID
+   Router Grid mode: the sequence is a path of cells ('A1' … 'E5').
+   DisplayEngine lights the path; the player repeats it by clicking
+   nodes or moving a cursor with the arrow keys. Each pick fills the
+   next (read-only) token box, so checking, scoring, stats, replays
+   and races treat it exactly like a typed token.
+   ================================================================ */
+const RouterGrid = {
+    size: 0,     // 0 when the current round is not a grid round
+    cursor: 0,   // index into gridCells(size) for keyboard play
+    icon: `<svg class="router-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.6" aria-hidden="true">
+        <rect x="3" y="13" width="18" height="7" rx="1.5" /><path d="M7 13V8M17 13V8M9 5.5a4 4 0 016 0" />
+        <circle cx="7" cy="16.5" r=".8" fill="currentColor" /><circle cx="10" cy="16.5" r=".8" fill="currentColor" /></svg>`,
+
+    /** Lay out size×size router nodes in #sequence-grid. */
+    build(size) {
+        const grid = UI.els['sequence-grid'];
+        this.size = size;
+        this.cursor = Math.floor((size * size) / 2);
+        SequenceGenerator.gridCells(size).forEach((cell, i) => {
+            const node = document.createElement('button');
+            node.type = 'button';
+            node.className = 'sequence-node router-cell';
+            node.id = `cell-${cell}`;
+            node.dataset.cell = cell;
+            node.tabIndex = -1;
+            node.setAttribute('aria-label', `Node ${cell}`);
+            node.innerHTML = this.icon;
+            node.addEventListener('click', () => {
+                this.cursor = i;
+                this.pick();
+            });
+            grid.appendChild(node);
+        });
+    },
+
+    /** Accept picks (input phase only); shows the keyboard cursor while on. */
+    setInteractive(on) {
+        const grid = UI.els['sequence-grid'];
+        grid.classList.toggle('interactive', on);
+        this.drawCursor(on);
+    },
+
+    accepting() {
+        return this.size > 0 && GameState.status === 'input' && !GameState.paused;
+    },
+
+    drawCursor(on = true) {
+        UI.els['sequence-grid'].querySelectorAll('.router-cell')
+            .forEach((node, i) => node.classList.toggle('cursor', on && i === this.cursor));
+    },
+
+    /** Enter the cell under the cursor as the next token of the path. */
+    pick() {
+        if (!this.accepting()) return;
+        const cell = SequenceGenerator.gridCells(this.size)[this.cursor];
+        const node = document.getElementById(`cell-${cell}`);
+        node.classList.remove('picked');
+        void node.offsetWidth; // restart the flash animation
+        node.classList.add('picked');
+        SoundEngine.nodeReveal(this.cursor);
+        this.drawCursor();
+        InputBoxEngine.enter(cell);
+    },
+
+    move(dx, dy) {
+        const col = Math.min(this.size - 1, Math.max(0, (this.cursor % this.size) + dx));
+        const row = Math.min(this.size - 1, Math.max(0, Math.floor(this.cursor / this.size) + dy));
+        this.cursor = row * this.size + col;
+        this.drawCursor();
+    },
+
+    /** Arrows move the cursor, Enter / Space pick, Backspace undoes. Returns true when handled. */
+    handleKey(e) {
+        if (!this.accepting()) return false;
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (moves[e.key]) this.move(...moves[e.key]);
+        else if (e.key === 'Enter' || e.key === ' ') this.pick();
+        else if (e.key === 'Backspace') InputBoxEngine.undo();
+        else return false;
+        e.preventDefault();
+        return true;
+    },
+};
+
+/* ================================================================
+   13. CONTROLS
+   Keyboard shortcuts and gamepads (see CONTROLS in core.js). The
+   keymap is saved with the settings and rebound from the help
+   overlay: pick an action, then press its new key. A gamepad types
+   by moving a cursor over the keypad, or over the router grid.
+   ================================================================ */
+const Controls = {
+    keymap: createKeymap(),
+    binding: null, // action waiting for its new key in the help overlay
+    modals: ['settings-modal', 'replay-modal', 'stats-modal', 'achievements-modal', 'help-modal'],
+
+    modalOpen() {
+        return this.modals.some(id => !document.getElementById(id).classList.contains('hidden'));
+    },
+
+    closeModals() {
+        if (!document.getElementById('settings-modal').classList.contains('hidden')) Settings.close();
+        if (!document.getElementById('replay-modal').classList.contains('hidden')) ReplayViewer.close();
+        if (!document.getElementById('stats-modal').classList.contains('hidden')) StatsView.close();
+        if (!document.getElementById('achievements-modal').classList.contains('hidden')) Achievements.closeGallery();
+        if (!document.getElementById('help-modal').classList.contains('hidden')) this.closeHelp();
+    },
+
+    /**
+     * Would this key go into the focused text box? Any printable character
+     * (Shift included, e.g. Shift+/ for '?' or Shift+1 on AZERTY) types rather
+     * than triggers a shortcut.
+     */
+    typesIntoBox(e) {
+        const active = document.activeElement;
+        if (!active || active.tagName !== 'INPUT' || active.disabled || active.readOnly) return false;
+        if (active.classList.contains('token-input') && GameState.status !== 'input') return false; // last round's box
+        return e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey;
+    },
+
+    /** Run a shortcut. Restart and the main menu leave a run alone until it is paused or over. */
+    run(action) {
+        const settled = GameState.status === 'over' || (GameState.paused && !RaceClient.racing);
+        switch (action) {
+        case 'pause': Game.togglePause(); break;
+        case 'restart':
+            if (GameState.status === 'idle') Game.startFromMenu();
+            else if (settled) Game.restart();
+            break;
+        case 'menu': if (settled) Game.showMainMenu(); break;
+        case 'settings': Settings.open(); break;
+        case 'sound': Settings.toggleSound(); break;
+        case 'stats': StatsView.open(); break;
+        case 'achievements': Achievements.openGallery(); break;
+        case 'replays': ReplayViewer.open(); break;
+        case 'help': this.openHelp(); break;
+        default:
+            if (POWERUPS[action] && GameState.status === 'input') Game.usePowerup(action);
+        }
+    },
+
+    /** Show the current bindings wherever the page names a key. */
+    apply() {
+        const pause = comboLabel(this.keymap.pause);
+        document.getElementById('pause-hint').textContent = `[${pause}] or [Esc] to resume`;
+        UI.els['btn-pause'].title = `Pause [${pause} / Esc]`;
+        document.getElementById('btn-help').title = `Controls & shortcuts [${comboLabel(this.keymap.help)}]`;
+        UI.buildPowerupSlots();
+        UI.updatePowerupDisplay();
+    },
+
+    openHelp() {
+        Game.pause();
+        this.renderHelp();
+        const modal = document.getElementById('help-modal');
+        modal.classList.remove('hidden');
+        modal.style.display = 'flex';
+    },
+
+    closeHelp() {
+        this.binding = null;
+        const modal = document.getElementById('help-modal');
+        modal.classList.add('hidden');
+        modal.style.display = '';
+    },
+
+    /** One row per action, its key as a button that starts rebinding it. */
+    renderHelp(status = '') {
+        const list = document.getElementById('help-keys');
+        list.innerHTML = '';
+        Object.entries(SHORTCUTS).forEach(([action, { label }]) => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between gap-3';
+            const name = document.createElement('span');
+            name.className = 'text-gray-300';
+            name.textContent = label;
+            const key = document.createElement('button');
+            key.type = 'button';
+            key.className = `key-btn font-mono${this.binding === action ? ' binding' : ''}`;
+            key.textContent = this.binding === action ? 'PRESS A KEY…' : comboLabel(this.keymap[action]);
+            key.setAttribute('aria-label', `${label}: ${comboLabel(this.keymap[action])}. Change key`);
+            key.addEventListener('click', () => {
+                this.binding = this.binding === action ? null : action;
+                this.renderHelp(this.binding ? 'Press the new key · Esc cancels · Backspace unbinds' : '');
+            });
+            li.append(name, key);
+            list.appendChild(li);
+        });
+        document.getElementById('help-status').textContent = status;
+        document.getElementById('help-gamepad-status').textContent = GamepadInput.active()
+            ? `Connected: ${GamepadInput.name}` : 'No gamepad connected — press any button on one to connect it';
+    },
+
+    /** Keydown while an action waits for its new key. Returns true when the key was taken. */
+    captureKey(e) {
+        if (!this.binding) return false;
+        const action = this.binding;
+        const combo = keyCombo(e);
+        if (!combo) return true; // a modifier on its own: wait for the key
+        e.preventDefault();
+        e.stopPropagation();
+        let status = '';
+        if (e.code === 'Escape') {
+            this.binding = null;
+        } else if (e.code === 'Backspace') {
+            this.keymap[action] = null;
+            this.binding = null;
+            status = `${SHORTCUTS[action].label}: unbound`;
+        } else {
+            const swapped = rebindKey(this.keymap, action, combo);
+            if (swapped === false) {
+                status = `${comboLabel(combo)} is reserved — try another key`;
+            } else {
+                this.binding = null;
+                status = swapped ? `${comboLabel(combo)} moved from “${SHORTCUTS[swapped].label}”, which now uses ${comboLabel(this.keymap[swapped])}`
+                    : `${SHORTCUTS[action].label}: ${comboLabel(combo)}`;
+            }
+        }
+        Settings.save();
+        this.apply();
+        this.renderHelp(status);
+        return true;
+    },
+
+    resetKeys() {
+        this.keymap = createKeymap();
+        this.binding = null;
+        Settings.save();
+        this.apply();
+        this.renderHelp('Default keys restored');
+    },
+};
+
+const GamepadInput = {
+    index: null, // navigator.getGamepads() slot of the pad in use
+    name: '',
+    state: null, // readGamepad's state from the last poll
+    cursor: 0,   // keypad key under the pad's cursor
+    frame: null,
+
+    init() {
+        if (!navigator.getGamepads) return;
+        window.addEventListener('gamepadconnected', (e) => this.connect(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index === this.index) this.disconnect();
+        });
+    },
+
+    active() {
+        return this.index !== null;
+    },
+
+    connect(pad) {
+        this.index = pad.index;
+        this.name = pad.id.replace(/\s*\(.*\)\s*$/, '') || 'Gamepad';
+        this.state = null;
+        if (this.frame === null) this.poll();
+        A11y.announce('Gamepad connected');
+        TouchKeypad.refresh();
+    },
+
+    disconnect() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.index = null;
+        A11y.announce('Gamepad disconnected');
+        TouchKeypad.refresh();
+    },
+
+    poll() {
+        this.frame = requestAnimationFrame(() => this.poll());
+        const pad = navigator.getGamepads()[this.index];
+        if (!pad) return;
+        const { presses, state } = readGamepad(pad, this.state, performance.now());
+        this.state = state;
+        presses.forEach(name => this.press(name));
+    },
+
+    /** One button press, by name (see GAMEPAD in core.js). */
+    press(name) {
+        if (Controls.modalOpen()) {
+            if (name === 'b' || name === 'back' || name === 'start') Controls.closeModals();
+            return;
+        }
+        const status = GameState.status;
+        if (name === 'start' || (name === 'a' && ['idle', 'over'].includes(status))) {
+            if (status === 'idle') Game.startFromMenu();
+            else if (status === 'over') Game.restart();
+            else Game.togglePause();
+            return;
+        }
+        if (name === 'back') {
+            if (status === 'over' || (GameState.paused && !RaceClient.racing)) Game.showMainMenu();
+            return;
+        }
+        if (status !== 'input' || GameState.paused) return;
+
+        const moves = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+        if (name === 'lb' || name === 'rb') Game.usePowerup('boost');
+        else if (name === 'x') Game.submitBoxes();
+        else if (RouterGrid.accepting()) {
+            if (moves[name]) RouterGrid.move(...moves[name]);
+            else if (name === 'a') RouterGrid.pick();
+            else if (name === 'b') InputBoxEngine.undo();
+        } else if (moves[name]) {
+            this.move(...moves[name]);
+        } else if (name === 'a') {
+            const key = TouchKeypad.keys()[this.cursor];
+            if (key) TouchKeypad.press(key.dataset.key);
+        } else if (name === 'b') {
+            TouchKeypad.press('Backspace');
+        }
+    },
+
+    /** Move the keypad cursor, row by row like the keypad is laid out. */
+    move(dx, dy) {
+        const count = TouchKeypad.keys().length;
+        if (!count) return;
+        const cols = TouchKeypad.cols;
+        const rows = Math.ceil(count / cols);
+        const col = Math.min(cols - 1, Math.max(0, (this.cursor % cols) + dx));
+        const row = Math.min(rows - 1, Math.max(0, Math.floor(this.cursor / cols) + dy));
+        this.cursor = Math.min(count - 1, row * cols + col);
+        TouchKeypad.drawCursor();
+    },
+};
+
+/* ================================================================
+   14. CHUNK TRAINER
+   Chunk Trainer mode groups the sequence grid (see CHUNKING in
+   core.js). A group's hook appears once its last token has lit and
+   goes with the tokens when input begins. Every attempt in every
+   mode feeds the player's chunked or baseline tally, compared on
+   the game-over screen and in the stats dashboard.
+   ================================================================ */
+const ChunkTrainer = {
+    name: null,    // player the profile belongs to
+    profile: null,
+
+    /** Reveal prompt per stage, so the player sees the scaffolding fade. */
+    tips: {
+        hooks: 'Read each group as one word, hook and all — then enter each token',
+        groups: 'Hooks faded — make up your own for each group',
+        gaps: 'Outlines faded — keep chunking at the gaps',
+        flat: 'No scaffolding left — chunk it yourself',
+    },
+
+    /** The current player's profile; reloaded when the player changes. */
+    load(name = GameState.playerName || 'GUEST') {
+        if (this.name !== name) {
+            this.name = name;
+            this.profile = createChunkProfile(StorageEngine.getChunking(name));
+        }
+        return this.profile;
+    },
+
+    /** Scaffolding for the round about to be shown; always 'flat' outside Chunk Trainer. */
+    stage() {
+        return GameState.mode === 'chunk' ? chunkStage(this.load()) : 'flat';
+    },
+
+    /** Move the grid's nodes into their groups, with a hidden hook under each in the first stage. */
+    build(grid, sequence, tokenLen) {
+        const stage = this.stage();
+        if (stage === 'flat') return;
+        grid.classList.add('chunked');
+        const nodes = [...grid.children];
+        grid.innerHTML = '';
+        let start = 0;
+        chunkSizes(sequence.length, tokenLen).forEach(size => {
+            const group = document.createElement('div');
+            group.className = stage === 'gaps' ? 'chunk-group' : 'chunk-group outlined';
+            const row = document.createElement('div');
+            row.className = 'chunk-nodes';
+            nodes.slice(start, start + size).forEach(node => row.appendChild(node));
+            group.appendChild(row);
+            if (stage === 'hooks') {
+                const hook = document.createElement('div');
+                hook.className = 'chunk-hook';
+                hook.dataset.after = String(start + size - 1);
+                hook.textContent = chunkMnemonic(sequence.slice(start, start + size));
+                group.appendChild(hook);
+            }
+            grid.appendChild(group);
+            start += size;
+        });
+    },
+
+    /** Token `i` just lit: show the hook of the group it completes. */
+    revealHook(i) {
+        const hook = UI.els['sequence-grid'].querySelector(`.chunk-hook[data-after="${i}"]`);
+        if (hook) hook.classList.add('shown');
+    },
+
+    /** The hooks spell the tokens out, so they go when the tokens are hidden. */
+    hideHooks() {
+        UI.els['sequence-grid'].querySelectorAll('.chunk-hook').forEach(hook => hook.remove());
+    },
+
+    /** Tally one attempt (rounds that are neither chunked nor baseline are skipped). */
+    record(correct) {
+        const chunked = GameState.mode === 'chunk';
+        if (!chunked && !isBaselineRound(GameState)) return;
+        updateChunkProfile(this.load(), { chunked, chars: GameState.sequence.join('').length, correct });
+        StorageEngine.saveChunking(this.name, this.profile);
+    },
+
+    /** One line setting chunked recall against the player's baseline, for the game-over screen. */
+    summary(name) {
+        const { overall } = chunkComparison(this.load(name));
+        if (!overall) {
+            return `Play ${CHUNKING.minRounds}+ rounds of the same size here and in Normal to compare with your unchunked recall.`;
+        }
+        const pct = v => `${Math.round(v * 100)}%`;
+        return `Chunked ${pct(overall.chunked)} vs unchunked ${pct(overall.baseline)} at the same sizes `
+            + `(${overall.gain >= 0 ? '+' : ''}${overall.gain} pts).`;
+    },
+};
+
+/* ================================================================
+   15. DRILL
+   Drill mode's spaced-repetition deck (see SPACED REPETITION in
+   core.js). Before each drill round the deck and the stats choose
+   the drill set the core builds the sequence from; the first attempt
+   at each round then reviews every token drilled or missed in it.
+   ================================================================ */
+const Drill = {
+    name: null,    // player the deck belongs to
+    deck: null,
+    reviewed: false, // the round's first attempt has been graded (practice retries aren't)
+
+    /** The current player's deck; reloaded when the player changes. */
+    load(name = GameState.playerName || 'GUEST') {
+        if (this.name !== name) {
+            this.name = name;
+            this.deck = createDrillDeck(StorageEngine.getDrillDeck(name));
+        }
+        return this.deck;
+    },
+
+    /** Choose and log the drill set for the round about to begin (Drill mode only). */
+    prepare() {
+        if (GameState.mode !== 'drill') return;
+        const set = drillSet(this.load(), StatsEngine.load(), Core.config(GameState.level).type, Date.now());
+        GameState.drill = set;
+        this.reviewed = false;
+        ReplayRecorder.logEvent('drill', set);
+    },
+
+    /** Grade the attempt in the input boxes, token by token, and reschedule. */
+    review() {
+        if (GameState.mode !== 'drill' || this.reviewed) return;
+        this.reviewed = true;
+        const deck = this.load();
+        const drilled = new Set((GameState.drill ? GameState.drill.items : []).map(i => i.token));
+        const typed = InputBoxEngine.getValues();
+        const { type } = Core.config(GameState.level);
+        const grades = {}; // a token that appears twice is graded once, by its worse recall
+        GameState.answer.forEach((token, i) => {
+            if (!tokenFits(token, type)) return;
+            const quality = drillQuality(token, typed[i] || '', InputBoxEngine.times[i]);
+            grades[token] = Math.min(quality, token in grades ? grades[token] : 5);
+        });
+        const now = Date.now();
+        Object.entries(grades).forEach(([token, quality]) => {
+            if (deck[token] || drilled.has(token) || quality < 3) deck[token] = reviewDrillCard(deck[token], quality, now);
+        });
+        StorageEngine.saveDrillDeck(this.name, deck);
+    },
+
+    /** Reveal prompt: how much of the deck this round works on. */
+    tip() {
+        const { due } = drillProgress(this.load(), Date.now());
+        const n = GameState.drill ? GameState.drill.items.length : 0;
+        if (!n) return 'Nothing to drill yet — play a few rounds and your misses will come back here';
+        return `Drilling ${n} weak token${n === 1 ? '' : 's'}${due ? ` · ${due} due for review` : ''} — then enter each token`;
+    },
+};
+
+/* ================================================================
+   16. UI HELPERS
    ================================================================ */
 const UI = {
     els: {},
 
     cache() {
         [
-            'score-display', 'level-display', 'streak-display', 'best-display',
+            'score-display', 'level-display', 'streak-display', 'best-display', 'span-block', 'span-display',
             'mode-badge', 'phase-label', 'phase-sub',
             'timer-ring', 'timer-display',
             'sequence-grid', 'start-overlay', 'input-zone',
             'token-inputs', 'btn-submit', 'expected-length', 'input-warning',
             'feedback-overlay', 'feedback-text',
             'game-over-screen', 'go-score', 'go-level', 'go-streak', 'go-sequence', 'go-new-best',
+            'go-answer-row', 'go-answer-label', 'go-answer',
+            'go-seed', 'go-board', 'go-chunking', 'go-chunking-text', 'btn-copy-seed', 'seed-input',
+            'btn-replay-last', 'btn-open-replays', 'btn-close-replay', 'btn-replay-play',
+            'btn-race-lobby', 'race-relay-input', 'race-room-input', 'btn-race-join', 'race-status',
+            'race-players', 'btn-race-start', 'race-hud', 'race-opponents', 'go-race', 'go-race-title', 'go-race-list',
+            'btn-stats', 'btn-close-stats', 'btn-reset-stats', 'stats-profile-select',
+            'btn-export-data', 'btn-import-data', 'import-file',
+            'btn-pause', 'btn-resume', 'pause-overlay',
+            'btn-resume-session', 'resume-session-info',
             'settings-modal', 'mode-selector', 'type-selector', 'diff-selector',
             'mode-desc', 'sound-icon', 'sound-label', 'btn-sound-toggle',
             'btn-settings', 'btn-close-settings', 'btn-apply-settings',
             'btn-start', 'btn-restart', 'btn-main-menu',
             'levelup-flash',
             'multiplier-display', 'multiplier-fill',
-            'leaderboard-list', 'history-list',
-            'powerup-block', 'btn-powerup', 'powerup-count',
+            'leaderboard-list', 'board-select', 'board-window', 'history-list',
+            'leaderboard-url-input', 'leaderboard-status',
+            'powerup-block',
         ].forEach(id => { this.els[id] = document.getElementById(id); });
     },
 
     updateHUD() {
-        const cfg = getProgressiveConfig(GameState.level);
+        const cfg = Core.config();
         this.els['score-display'].textContent = GameState.score.toLocaleString();
         this.els['level-display'].textContent = String(GameState.level).padStart(2, '0');
         this.els['streak-display'].textContent = `×${GameState.getMultiplier()}`;
-        this.els['best-display'].textContent = StorageEngine.getBest().toLocaleString();
+        this.els['best-display'].textContent = StorageEngine.getBest(this.currentBoard()).toLocaleString();
         this.els['mode-badge'].textContent = `${cfg.phase} · ${GameState.mode.toUpperCase()}`;
 
+        const adaptive = GameState.isAdaptive();
+        this.els['span-block'].classList.toggle('hidden', !adaptive);
+        if (adaptive) {
+            const { span, history } = GameState.adaptive;
+            const rate = adaptiveRate(GameState.adaptive);
+            this.els['span-display'].textContent = span.toFixed(1);
+            this.els['span-block'].title = `Estimated memory span: ${span.toFixed(1)} characters`
+                + (rate === null ? '' : ` · ${Math.round(rate * 100)}% correct over the last ${history.length} round${history.length === 1 ? '' : 's'}`);
+        }
+
         this.els['multiplier-display'].textContent = `×${GameState.getMultiplier()}`;
         this.els['multiplier-fill'].style.width = `${GameState.getMultiplierProgress() * 100}%`;
+        Plugins.renderWidgets();
     },
 
     updateTimer(seconds, total) {
@@ -510,7 +1619,8 @@ const UI = {
         const offset = circumference * (1 - seconds / total);
         const ring = this.els['timer-ring'];
         ring.style.strokeDashoffset = offset;
-        ring.style.stroke = seconds / total > 0.5 ? '#00ffff' : seconds / total > 0.25 ? '#ffdd00' : '#ff2244';
+        const [plenty, low, critical] = A11y.timerColors();
+        ring.style.stroke = seconds / total > 0.5 ? plenty : seconds / total > 0.25 ? low : critical;
         this.els['timer-display'].textContent = seconds;
     },
 
@@ -539,11 +1649,11 @@ const UI = {
         if (type === 'granted') {
             overlay.classList.add('show-granted');
             text.classList.add('text-granted', 'font-orbitron', 'font-black');
-            text.textContent = 'ACCESS GRANTED';
+            text.textContent = ThemeEngine.get().feedback.granted;
         } else {
             overlay.classList.add('show-denied');
             text.classList.add('text-denied', 'font-orbitron', 'font-black', 'access-denied-glitch');
-            text.textContent = 'ACCESS DENIED';
+            text.textContent = ThemeEngine.get().feedback.denied;
         }
         setTimeout(() => {
             overlay.className = 'absolute inset-0 z-30 pointer-events-none hidden flex items-center justify-center';
@@ -567,205 +1677,1014 @@ const UI = {
     },
 
     showLevelUp() {
+        if (A11y.reducedMotion) return;
         const el = this.els['levelup-flash'];
         const div = el.querySelector('div');
         el.classList.remove('hidden');
         div.classList.remove('levelup-text');
+        div.textContent = ThemeEngine.get().feedback.granted.replace(' ', '\n');
         void el.offsetWidth;
         div.classList.add('levelup-text');
         setTimeout(() => el.classList.add('hidden'), 1000);
     },
 
     showPhaseBanner(phase, label) {
+        A11y.announce(`New phase: ${phase}, ${label}`);
+        if (A11y.reducedMotion) return;
         const old = document.querySelector('.phase-banner');
         if (old) old.remove();
         const el = document.createElement('div');
         el.className = 'phase-banner';
-        el.innerHTML = `${phase}<br><span style="font-size:0.7rem;letter-spacing:0.2em;color:#fff;opacity:0.7">${label}</span>`;
+        el.innerHTML = `${phase}<br><span class="phase-banner-sub">${label}</span>`;
         document.body.appendChild(el);
         setTimeout(() => el.remove(), 1900);
     },
 
-    showGameOver() {
+    /** @param {{ board: string, newBest: boolean }} saved result of StorageEngine.saveScore */
+    showGameOver(saved) {
         const gs = GameState;
         this.els['go-score'].textContent = gs.score.toLocaleString();
         this.els['go-level'].textContent = gs.level;
         this.els['go-streak'].textContent = gs.maxStreak;
+        this.els['go-seed'].textContent = gs.seed;
+
+        const chips = (el, tokens) => {
+            el.innerHTML = '';
+            tokens.forEach(token => {
+                const chip = document.createElement('span');
+                chip.className = 'token-chip font-mono text-sm px-2 py-1 rounded border';
+                chip.textContent = token;
+                el.appendChild(chip);
+            });
+        };
+        chips(this.els['go-sequence'], gs.sequence);
+        // Recall modes and Dual's played stream: also show what should have been typed
+        const recall = RECALL_MODES[gs.mode];
+        const heard = gs.getPresentation() === 'dual' && gs.channel === 'audio';
+        this.els['go-answer-row'].classList.toggle('hidden', !recall && !heard);
+        if (recall || heard) {
+            const why = [heard && 'HEARD STREAM', recall && recall.label].filter(Boolean).join(' · ');
+            this.els['go-answer-label'].textContent = `EXPECTED ANSWER (${why}):`;
+            chips(this.els['go-answer'], gs.answer);
+        }
+
+        this.els['go-chunking'].classList.toggle('hidden', gs.mode !== 'chunk');
+        if (gs.mode === 'chunk') this.els['go-chunking-text'].textContent = ChunkTrainer.summary();
+
+        this.els['go-new-best'].classList.toggle('hidden', !saved.newBest);
+        this.els['go-board'].textContent = boardLabel(saved.board);
+        this.els['game-over-screen'].classList.remove('hidden');
+        this.els['game-over-screen'].style.display = 'flex';
+    },
+
+    hideGameOver() {
+        this.els['game-over-screen'].classList.add('hidden');
+        this.els['game-over-screen'].style.display = '';
+    },
+
+    buildSequenceGrid(sequence) {
+        const grid = this.els['sequence-grid'];
+        grid.innerHTML = '';
+        const cfg = Core.config();
+        grid.classList.toggle('router-grid', cfg.type === 'grid');
+        grid.classList.remove('chunked');
+        grid.style.gridTemplateColumns = cfg.type === 'grid' ? `repeat(${cfg.gridSize}, auto)` : '';
+        if (cfg.type === 'grid') { RouterGrid.build(cfg.gridSize); return; }
+        RouterGrid.size = 0;
+        const { shows } = PRESENTATIONS[GameState.getPresentation()];
+        sequence.forEach((token, i) => {
+            const node = document.createElement('div');
+            node.className = shows ? 'sequence-node' : 'sequence-node audio-node';
+            node.id = `node-${i}`;
+            // Audio only: the nodes just pace the reveal, the tokens are heard
+            node.textContent = shows ? token : '♪';
+            if (shows) node.dataset.token = token;
+            grid.appendChild(node);
+        });
+        ChunkTrainer.build(grid, sequence, cfg.tokenLen);
+    },
+
+    /** Board the current settings play on (see boardKey in storage.js). */
+    currentBoard() {
+        const seed = /^DAILY-/.test(GameState.seed) ? GameState.seed : Rng.dailySeed();
+        return boardKey({ mode: GameState.mode, variant: GameState.getVariant(), seed });
+    },
+
+    /** Board picked in the leaderboard dropdown; null follows the current settings. */
+    viewBoard: null,
+    /** 'local', or a team server window: 'daily' | 'weekly' | 'all'. */
+    viewWindow: 'local',
+    /** Bumped per render so a slow server reply can't overwrite a newer view. */
+    boardRequest: 0,
+
+    renderLeaderboard() {
+        const current = this.currentBoard();
+        const others = Object.keys(StorageEngine.getBoards()).filter(k => k !== current).sort();
+        const board = [current, ...others].includes(this.viewBoard) ? this.viewBoard : current;
+
+        const select = this.els['board-select'];
+        select.innerHTML = '';
+        [current, ...others].forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = boardLabel(key);
+            select.appendChild(opt);
+        });
+        select.value = board;
+
+        if (!StorageEngine.remote) this.viewWindow = 'local';
+        this.els['board-window'].classList.toggle('hidden', !StorageEngine.remote);
+        this.els['board-window'].value = this.viewWindow;
+
+        const list = this.els['leaderboard-list'];
+        const request = ++this.boardRequest;
+        if (this.viewWindow !== 'local') {
+            list.innerHTML = '<li class="text-gray-600 text-xs italic px-2 py-1">Loading…</li>';
+            StorageEngine.remote.getBoard(board, this.viewWindow, 8)
+                .then(({ entries }) => {
+                    if (request !== this.boardRequest) return;
+                    list.innerHTML = '';
+                    if (!entries.length) list.innerHTML = '<li class="text-gray-600 text-xs italic px-2 py-1">No team scores yet</li>';
+                    entries.forEach((entry, i) => list.appendChild(this.leaderboardRow(entry, i)));
+                })
+                .catch(() => {
+                    if (request !== this.boardRequest) return;
+                    list.innerHTML = '<li class="text-cyber-red text-xs px-2 py-1">Leaderboard server unreachable</li>';
+                });
+            return;
+        }
+
+        const scores = StorageEngine.getScores(board);
+        list.innerHTML = '';
+        if (!scores.length) {
+            list.innerHTML = '<li class="text-gray-600 text-xs italic px-2 py-1">No scores yet</li>';
+        }
+        scores.slice(0, 8).forEach((entry, i) => list.appendChild(this.leaderboardRow(entry, i)));
+
+        const rejected = StorageEngine.getRejected().filter(e => e.board === board);
+        if (rejected.length) {
+            const li = document.createElement('li');
+            li.className = 'text-cyber-red text-xs px-2 py-1';
+            li.textContent = `⚠ ${rejected.length} score${rejected.length > 1 ? 's' : ''} failed verification`;
+            li.title = rejected.map(e => `${e.name || 'GUEST'} ${e.score}: ${e.flags.map(f => f.detail).join('; ')}`).join('\n');
+            list.appendChild(li);
+        }
+    },
+
+    leaderboardRow(entry, i) {
+        const li = document.createElement('li');
+        li.className = `rank-${i + 1}`;
+        // Scores from before run logs can't be replayed: kept, but marked
+        const legacy = entry.legacy
+            ? '<span class="text-gray-600 text-xs ml-1" title="Saved before run logs — not verified">?</span>' : '';
+        // Team boards come from a server: numbers are coerced and the name is set as text, never markup
+        li.innerHTML = `<span class="text-gray-500">${i + 1}.</span>
+                  <span class="text-white font-bold ml-1 mr-auto truncate w-20 text-xs"></span>
+                  <span class="text-cyber-cyan font-mono">${Number(entry.score).toLocaleString()}</span>${legacy}
+                  <span class="text-gray-600 text-xs ml-2">Lv${Number(entry.level)}</span>`;
+        li.children[1].textContent = entry.name || 'GUEST';
+        return li;
+    },
+
+    addHistoryEntry(level, result, score) {
+        const list = this.els['history-list'];
+        const li = document.createElement('li');
+        const color = result === 'correct' ? 'text-cyber-green' : 'text-cyber-red';
+        const cfg = Core.config(level);
+        li.className = 'flex items-center justify-between py-1 border-b border-gray-800/50';
+        li.innerHTML = `<span class="text-gray-600">Lv${String(level).padStart(2, '0')}</span>
+                    <span class="text-gray-700 text-xs">${cfg.label}</span>
+                    <span class="${color} text-xs">${result === 'correct' ? '✓' : '✗'}</span>
+                    <span class="text-gray-500 font-mono">+${score}</span>`;
+        list.insertBefore(li, list.firstChild);
+        while (list.children.length > 20) list.removeChild(list.lastChild);
+    },
+
+    showPause(paused) {
+        this.els['pause-overlay'].classList.toggle('hidden', !paused);
+        this.els['sequence-grid'].style.visibility = paused ? 'hidden' : '';
+        this.els['btn-pause'].textContent = paused ? '▶' : '⏸';
+        this.els['btn-pause'].setAttribute('aria-label', paused ? 'Resume' : 'Pause');
+        InputBoxEngine.setDisabled(paused || GameState.status === 'displaying');
+        if (paused) this.showInputZone(false);
+        else if (GameState.status === 'input') this.showInputZone(true);
+        this.updatePowerupDisplay();
+    },
+
+    /** Offer "Resume session" on the start overlay when a run was left unfinished. */
+    updateResumeButton() {
+        const session = Game.savedSession();
+        const btn = this.els['btn-resume-session'];
+        btn.classList.toggle('hidden', !session);
+        if (session) {
+            this.els['resume-session-info'].textContent =
+                `${session.name || 'GUEST'} · LV ${String(session.level).padStart(2, '0')} · ${session.score.toLocaleString()}`;
+        }
+    },
+
+    /** One HUD slot per power-up, in POWERUPS order, labelled with its shortcut (Shift+n by default). */
+    buildPowerupSlots() {
+        const block = this.els['powerup-block'];
+        block.innerHTML = '';
+        Object.entries(POWERUPS).forEach(([id, p]) => {
+            const key = comboLabel(Controls.keymap[id]);
+            const btn = document.createElement('button');
+            btn.id = `powerup-${id}`;
+            btn.className = 'powerup-btn';
+            btn.disabled = true;
+            btn.title = `${p.label} [${key}] — ${p.desc}. Cost: ${p.cost}. Earned: ${p.earnDesc}.`;
+            btn.innerHTML = `<span aria-hidden="true">${p.icon}</span>
+                <span class="text-xs font-orbitron hidden md:inline ml-1">${p.label}</span>
+                <span class="powerup-count text-cyber-yellow font-bold ml-1">0</span>
+                <kbd class="powerup-key">${key}</kbd>`;
+            btn.addEventListener('click', () => Game.usePowerup(id));
+            block.appendChild(btn);
+        });
+    },
+
+    updatePowerupDisplay() {
+        const open = GameState.status === 'input' && !GameState.paused;
+        this.els['powerup-block'].style.opacity = GameState.status === 'input' ? '1' : '0';
+        Object.entries(POWERUPS).forEach(([id, p]) => {
+            const btn = document.getElementById(`powerup-${id}`);
+            const count = GameState.powerupCount(id);
+            const armed = (id === 'shield' && GameState.shieldArmed) || (id === 'slowmo' && GameState.slowmoNext);
+            btn.querySelector('.powerup-count').textContent = count;
+            btn.classList.toggle('armed', armed);
+            btn.disabled = !open || count === 0 || armed || !!GameState.used[id]
+                || (p.modes && !p.modes.includes(GameState.mode));
+            btn.setAttribute('aria-label', `${p.label}, ${count} left${armed ? ', armed' : ''}`);
+        });
+    },
+
+    /** Flash the slots of power-ups just earned. */
+    flashPowerups(ids) {
+        ids.forEach(id => {
+            const btn = document.getElementById(`powerup-${id}`);
+            btn.classList.remove('earned');
+            void btn.offsetWidth; // restart the animation
+            btn.classList.add('earned');
+        });
+    },
+};
+
+/* ================================================================
+   17. DISPLAY ENGINE
+   ================================================================ */
+const DisplayEngine = {
+    timeoutId: null,
+    pending: null,  // the one reveal step waiting to run: { fn, at }
+    remaining: 0,   // ms left on `pending` while paused
+
+    /** Run the next reveal step after `ms`; held back while the game is paused. */
+    schedule(fn, ms) {
+        this.cancel();
+        this.pending = { fn, at: 0 };
+        if (GameState.paused) { this.remaining = ms; return; }
+        this.pending.at = performance.now() + ms;
+        this.timeoutId = setTimeout(() => {
+            this.timeoutId = null;
+            this.pending = null;
+            fn();
+        }, ms);
+    },
+
+    pause() {
+        if (this.timeoutId === null) return;
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        this.remaining = Math.max(0, this.pending.at - performance.now());
+    },
+
+    resume() {
+        if (this.pending && this.timeoutId === null) this.schedule(this.pending.fn, this.remaining);
+    },
+
+    start(sequence, onComplete) {
+        GameState.status = 'displaying';
+        const presentation = GameState.getPresentation();
+        const tip = GameState.mode === 'chunk' ? ChunkTrainer.tips[ChunkTrainer.stage()]
+            : GameState.mode === 'drill' ? Drill.tip() : null;
+        UI.setPhase('ROUTING SEQUENCE...', tip || {
+            audio: 'Listen carefully — then enter each token',
+            audiovisual: 'Watch and listen — then enter each token',
+            dual: 'Watch AND listen — you will be told which stream to recall',
+        }[presentation] || 'Watch carefully — then enter each token');
+        UI.showInputZone(false);
+        UI.buildSequenceGrid(sequence);
+        this.revealNext(sequence, 0, onComplete);
+    },
+
+    revealNext(sequence, i, onComplete) {
+        if (i >= sequence.length) {
+            this.schedule(() => { this.hideAll(sequence); onComplete(); }, 200);
+            return;
+        }
+        const node = this.nodeFor(sequence, i);
+        if (!node) return;
+        node.classList.add('active');
+        ChunkTrainer.revealHook(i);
+        Plugins.emit('token:revealed', { index: i, total: sequence.length, token: sequence[i] });
+        // Screen readers get what is shown; in Audio Only nothing is shown, so only the position
+        const shown = PRESENTATIONS[GameState.getPresentation()].shows;
+        A11y.announce(`${i + 1} of ${sequence.length}${shown ? `: ${A11y.spell(sequence[i])}` : ''}`);
+        if (PRESENTATIONS[GameState.getPresentation()].voices) {
+            SoundEngine.voiceToken(GameState.played[i], GameState.getNodeDisplayTime());
+        } else {
+            SoundEngine.nodeReveal(i);
+        }
+
+        this.schedule(() => {
+            node.classList.remove('active');
+            if (!RouterGrid.size) node.classList.add('completed'); // a lit trail would give the path away
+            this.schedule(() => this.revealNext(sequence, i + 1, onComplete), NODE_GAP_TIME);
+        }, GameState.getNodeDisplayTime());
+    },
+
+    /** Element revealed for token `i`: its own node, or its cell on the router grid. */
+    nodeFor(sequence, i) {
+        return document.getElementById(RouterGrid.size ? `cell-${sequence[i]}` : `node-${i}`);
+    },
+
+    hideAll(sequence) {
+        if (RouterGrid.size) return; // grid cells stay up as the input surface
+        ChunkTrainer.hideHooks();
+        sequence.forEach((_, i) => {
+            const node = document.getElementById(`node-${i}`);
+            if (node) { node.classList.remove('active', 'completed'); node.textContent = '?'; }
+        });
+    },
+
+    cancel() {
+        if (this.timeoutId) { clearTimeout(this.timeoutId); this.timeoutId = null; }
+        this.pending = null;
+    },
+};
+
+/* ================================================================
+   18. REPLAY RECORDER & VIEWER
+   Every round of a run is recorded (sequence, reveal timing, each
+   keystroke with a timestamp, boosts, outcome) and saved at game
+   over. The viewer re-animates a saved run read-only, in its own
+   modal, without touching GameState. The same events also go into
+   the run log saved with the score, which verifyRun() replays.
+   ================================================================ */
+const ReplayRecorder = {
+    run: null,
+    round: null,
+    log: null,
+    logStart: 0,
+
+    /** `prior` is the run log of the session being resumed, continued in a new segment. */
+    start(prior = null) {
+        this.run = {
+            id: Date.now().toString(36),
+            name: GameState.playerName || 'GUEST',
+            seed: GameState.seed,
+            mode: GameState.mode,
+            variant: GameState.getVariant(),
+            date: new Date().toISOString(),
+            rounds: [],
+        };
+        this.round = null;
+        const segments = prior && Array.isArray(prior.segments) ? prior.segments : [];
+        this.log = {
+            v: RUN_LOG_VERSION,
+            segments: [...segments, {
+                seed: GameState.seed,
+                rules: runRules(GameState),
+                adaptive: { ...GameState.adaptive },
+                events: [],
+            }],
+        };
+        this.logStart = performance.now();
+    },
+
+    /** Append to the run log; `t` leaves out paused time, like the replay timeline. */
+    logEvent(type, data = {}) {
+        if (!this.log) return;
+        this.log.segments[this.log.segments.length - 1].events
+            .push({ t: Math.round(performance.now() - this.logStart), type, ...data });
+    },
+
+    /** The log so far, for the session checkpoint and the score entry. */
+    runLog() {
+        return this.log ? JSON.parse(JSON.stringify(this.log)) : null;
+    },
+
+    beginRound(cfg) {
+        if (!this.run) return;
+        this.round = {
+            level: GameState.level,
+            label: cfg.label,
+            sequence: [...GameState.sequence],
+            played: [...GameState.played],
+            channel: GameState.channel,
+            answer: [...GameState.answer],
+            displayTime: GameState.getNodeDisplayTime(),
+            timer: cfg.timer,
+            inputAt: 0,
+            events: [],
+            outcome: null,
+            earned: 0,
+        };
+        this.run.rounds.push(this.round);
+        this.logEvent('round');
+    },
+
+    /** Marks the end of the reveal; event timestamps are relative to this. */
+    beginInput() {
+        if (!this.round) return;
+        this.round.inputAt = performance.now();
+        this.logEvent('input');
+    },
+
+    /** Drop paused time from the recorded timeline so playback never sits idle. */
+    shift(ms) {
+        if (this.round) this.round.inputAt += ms;
+        this.logStart += ms;
+    },
+
+    recordEvent(type, data = {}) {
+        if (!this.round || this.round.outcome) return;
+        this.round.events.push({ t: Math.round(performance.now() - this.round.inputAt), type, ...data });
+        this.logEvent(type, data);
+    },
+
+    recordKey(box, value) {
+        this.recordEvent('key', { box, value });
+    },
+
+    /** Practice (and Drill) retries keep the round open; anything else closes it. */
+    endRound(outcome, earned = 0) {
+        if (!this.round) return;
+        if (outcome === 'wrong' && PRACTICE_MODES.includes(GameState.mode)) {
+            this.recordEvent('result', { result: 'wrong', left: GameState.timerLeft });
+            return;
+        }
+        this.recordEvent('result', { result: outcome, left: GameState.timerLeft });
+        this.round.outcome = outcome;
+        this.round.earned = earned;
+    },
+
+    finish() {
+        if (!this.run || !this.run.rounds.length) return;
+        this.run.score = GameState.score;
+        this.run.level = GameState.level;
+        StorageEngine.saveReplay(this.run);
+        this.run = null;
+        this.round = null;
+        this.log = null;
+    },
+};
+
+const ReplayViewer = {
+    runs: [],
+    run: null,
+    roundIndex: 0,
+    speed: 1,
+    timeouts: [],
+    playing: false,
+
+    open(runId) {
+        this.runs = StorageEngine.getReplays();
+        this.renderRunList();
+        const modal = document.getElementById('replay-modal');
+        modal.classList.remove('hidden');
+        modal.style.display = 'flex';
+        const target = this.runs.find(r => r.id === runId) || this.runs[0];
+        if (target) this.selectRun(target.id);
+        else this.setStatus('NO RECORDED RUNS', 'Finish a run to record it');
+    },
+
+    close() {
+        this.stop();
+        const modal = document.getElementById('replay-modal');
+        modal.classList.add('hidden');
+        modal.style.display = '';
+    },
+
+    renderRunList() {
+        const list = document.getElementById('replay-runs');
+        list.innerHTML = '';
+        this.runs.forEach(run => {
+            const li = document.createElement('li');
+            li.className = 'replay-run';
+            li.dataset.id = run.id;
+            li.innerHTML = `<span class="text-white font-bold truncate w-20"></span>
+                      <span class="text-gray-500"></span>
+                      <span class="text-cyber-cyan font-mono ml-auto">${(Number(run.score) || 0).toLocaleString()}</span>
+                      <span class="text-gray-600 ml-2">Lv${Number(run.level)}</span>`;
+            // Replays can arrive in an imported file: name and mode go in as text
+            li.children[0].textContent = run.name;
+            li.children[1].textContent = String(run.mode).toUpperCase();
+            li.addEventListener('click', () => this.selectRun(run.id));
+            list.appendChild(li);
+        });
+    },
 
-        const seqEl = this.els['go-sequence'];
-        seqEl.innerHTML = '';
-        gs.sequence.forEach(token => {
-            const chip = document.createElement('span');
-            chip.className = 'font-mono text-sm px-2 py-1 rounded border';
-            chip.style.cssText = 'background:rgba(0,255,159,0.06);border-color:rgba(0,255,159,0.3)';
-            chip.textContent = token;
-            seqEl.appendChild(chip);
+    selectRun(id) {
+        this.stop();
+        this.run = this.runs.find(r => r.id === id) || null;
+        document.querySelectorAll('#replay-runs .replay-run')
+            .forEach(li => li.classList.toggle('active', li.dataset.id === id));
+        if (!this.run) return;
+
+        const chips = document.getElementById('replay-rounds');
+        chips.innerHTML = '';
+        this.run.rounds.forEach((round, i) => {
+            const chip = document.createElement('button');
+            chip.className = `char-chip ${round.outcome === 'correct' ? 'match' : 'mismatch'}`;
+            chip.textContent = String(round.level).padStart(2, '0');
+            chip.title = `${round.label} · ${round.outcome || 'unfinished'}`;
+            chip.addEventListener('click', () => this.selectRound(i));
+            chips.appendChild(chip);
         });
+        this.selectRound(0);
+    },
 
-        const prevBest = StorageEngine.getBest();
-        this.els['go-new-best'].classList.toggle('hidden', gs.score <= prevBest || gs.score === 0);
-        this.els['game-over-screen'].classList.remove('hidden');
-        this.els['game-over-screen'].style.display = 'flex';
+    selectRound(i) {
+        this.stop();
+        this.roundIndex = i;
+        document.querySelectorAll('#replay-rounds .char-chip')
+            .forEach((chip, j) => chip.classList.toggle('selected', j === i));
+        const round = this.run.rounds[i];
+        this.renderRound(round);
+        this.setStatus(`LV ${String(round.level).padStart(2, '0')} · ${round.label}`,
+            `Seed ${this.run.seed} · ${round.outcome ? round.outcome.toUpperCase() : 'UNFINISHED'} · +${round.earned}`);
     },
 
-    hideGameOver() {
-        this.els['game-over-screen'].classList.add('hidden');
-        this.els['game-over-screen'].style.display = '';
+    setStatus(label, sub) {
+        document.getElementById('replay-status').textContent = label;
+        document.getElementById('replay-sub').textContent = sub;
     },
 
-    buildSequenceGrid(sequence) {
-        const grid = this.els['sequence-grid'];
+    renderRound(round) {
+        const grid = document.getElementById('replay-grid');
+        const inputs = document.getElementById('replay-inputs');
         grid.innerHTML = '';
-        sequence.forEach((token, i) => {
+        inputs.innerHTML = '';
+        round.sequence.forEach(token => {
             const node = document.createElement('div');
             node.className = 'sequence-node';
-            node.id = `node-${i}`;
             node.textContent = token;
-            node.dataset.token = token;
             grid.appendChild(node);
         });
+        // Recall modes expect a transformed answer; older recordings only kept the sequence
+        (round.answer || round.sequence).forEach(token => {
+            const box = document.createElement('input');
+            box.className = 'token-input' + (token.length > 1 ? ' wide' : '');
+            box.readOnly = true;
+            box.tabIndex = -1;
+            box.dataset.expected = token.toUpperCase();
+            inputs.appendChild(box);
+        });
     },
 
-    renderLeaderboard() {
-        const list = this.els['leaderboard-list'];
-        const scores = StorageEngine.getScores();
-        list.innerHTML = '';
-        if (!scores.length) {
-            list.innerHTML = '<li class="text-gray-600 text-xs italic px-2 py-1">No scores yet</li>';
-            return;
-        }
-        scores.slice(0, 8).forEach((entry, i) => {
-            const li = document.createElement('li');
-            li.className = `rank-${i + 1}`;
-            li.innerHTML = `<span class="text-gray-500">${i + 1}.</span>
-                      <span class="text-white font-bold ml-1 mr-auto truncate w-20 text-xs">${entry.name || 'GUEST'}</span>
-                      <span class="text-cyber-cyan font-mono">${entry.score.toLocaleString()}</span>
-                      <span class="text-gray-600 text-xs ml-2">Lv${entry.level}</span>`;
-            list.appendChild(li);
+    /** Schedule `fn` after `ms` of recorded time, scaled by playback speed. */
+    at(ms, fn) {
+        this.timeouts.push(setTimeout(fn, ms / this.speed));
+    },
+
+    play() {
+        if (!this.run) return;
+        this.stop();
+        this.playing = true;
+        document.getElementById('btn-replay-play').textContent = '■ STOP';
+        this.playRound(this.roundIndex);
+    },
+
+    playRound(i) {
+        const round = this.run.rounds[i];
+        if (!round) { this.stop(); return; }
+        this.selectRound(i);
+        this.playing = true;
+        document.getElementById('btn-replay-play').textContent = '■ STOP';
+
+        const nodes = [...document.querySelectorAll('#replay-grid .sequence-node')];
+        const boxes = [...document.querySelectorAll('#replay-inputs .token-input')];
+        nodes.forEach(n => { n.textContent = '?'; });
+
+        // Reveal: same rhythm as DisplayEngine.revealNext
+        const step = round.displayTime + NODE_GAP_TIME;
+        round.sequence.forEach((token, j) => {
+            this.at(j * step, () => { nodes[j].textContent = token; nodes[j].classList.add('active'); });
+            this.at(j * step + round.displayTime, () => {
+                nodes[j].classList.remove('active');
+                nodes[j].classList.add('completed');
+            });
+        });
+        const inputStart = round.sequence.length * step + 200;
+        this.at(inputStart, () => nodes.forEach(n => { n.classList.remove('completed'); n.textContent = '?'; }));
+
+        // Typed input at recorded timings
+        let end = inputStart;
+        round.events.forEach(ev => {
+            end = inputStart + ev.t;
+            this.at(end, () => this.applyEvent(ev, boxes, nodes, round));
+        });
+
+        this.at(end + 900, () => {
+            if (i + 1 < this.run.rounds.length) this.playRound(i + 1); else this.stop();
         });
     },
 
-    addHistoryEntry(level, result, score) {
-        const list = this.els['history-list'];
-        const li = document.createElement('li');
-        const color = result === 'correct' ? 'text-cyber-green' : 'text-cyber-red';
-        const cfg = getProgressiveConfig(level);
-        li.className = 'flex items-center justify-between py-1 border-b border-gray-800/50';
-        li.innerHTML = `<span class="text-gray-600">Lv${String(level).padStart(2, '0')}</span>
-                    <span class="text-gray-700 text-xs">${cfg.label}</span>
-                    <span class="${color} text-xs">${result === 'correct' ? '✓' : '✗'}</span>
-                    <span class="text-gray-500 font-mono">+${score}</span>`;
-        list.insertBefore(li, list.firstChild);
-        while (list.children.length > 20) list.removeChild(list.lastChild);
+    applyEvent(ev, boxes, nodes, round) {
+        if (ev.type === 'key') {
+            const box = boxes[ev.box];
+            box.value = ev.value;
+            box.classList.remove('prefix-match', 'prefix-wrong', 'filled-correct', 'filled-wrong');
+            const cls = InputBoxEngine.statusClass(ev.value, box.dataset.expected);
+            if (cls) box.classList.add(cls);
+        } else if (ev.type === 'clear') {
+            boxes.forEach(b => {
+                b.value = '';
+                b.classList.remove('prefix-match', 'prefix-wrong', 'filled-correct', 'filled-wrong');
+            });
+        } else if (ev.type === 'boost') {
+            document.getElementById('replay-sub').textContent = '⚡ BOOST — timer frozen';
+        } else if (ev.type === 'powerup') {
+            document.getElementById('replay-sub').textContent = `${POWERUPS[ev.id].icon} ${POWERUPS[ev.id].label}`;
+        } else if (ev.type === 'result') {
+            nodes.forEach((n, j) => { n.textContent = round.sequence[j]; });
+            document.getElementById('replay-sub').textContent = ev.result === 'correct'
+                ? `ACCESS GRANTED · +${round.earned}`
+                : ev.result === 'timeout' ? 'TIMER EXPIRED' : 'ACCESS DENIED';
+        }
     },
 
-    updatePowerupDisplay() {
-        const block = this.els['powerup-block'];
-        const btn = this.els['btn-powerup'];
-        this.els['powerup-count'].textContent = GameState.boosts;
-        block.style.opacity = GameState.status === 'input' ? '1' : '0';
-        btn.disabled = GameState.boosts === 0 || GameState.status !== 'input';
+    stop() {
+        this.timeouts.forEach(clearTimeout);
+        this.timeouts = [];
+        this.playing = false;
+        const btn = document.getElementById('btn-replay-play');
+        if (btn) btn.textContent = '▶ PLAY';
+    },
+
+    togglePlay() {
+        if (this.playing) this.stop(); else this.play();
+    },
+
+    setSpeed(speed) {
+        this.speed = speed;
+        document.getElementById('replay-speed').querySelectorAll('.radio-btn')
+            .forEach(btn => btn.classList.toggle('active', Number(btn.dataset.value) === speed));
     },
 };
 
 /* ================================================================
-   10. TIMER ENGINE
+   19. LAN RACE (WebSocket client for server/relay.js)
+   The relay hands every racer in a room the same seed and ruleset,
+   so each round's sequence matches. We report level / score / boxes
+   filled as we play and show everyone else's in the race HUD.
    ================================================================ */
-const TimerEngine = {
-    interval: null,
+const RACE_DEFAULT_PORT = 8787;
 
-    start(seconds, onExpire) {
-        this.clear();
-        GameState.timerTotal = seconds;
-        GameState.timerLeft = seconds;
-        UI.updateTimer(seconds, seconds);
+const RaceClient = {
+    ws: null,
+    relayUrl: '',
+    room: '',
+    id: null,
+    hostId: null,
+    players: [],
+    racing: false,     // we are still running in the room's race
+    raceOpen: false,   // the room's race has not finished yet
+    seed: '',          // seed of the last race, to tell its game over from a solo run's
+    standings: null,   // final standings of the last race
+    lastReport: '',
 
-        this.interval = setInterval(() => {
-            if (GameState.boostActive) return;
-            GameState.timerLeft--;
-            UI.updateTimer(GameState.timerLeft, GameState.timerTotal);
-            if (GameState.timerLeft <= 5 && GameState.timerLeft > 0) SoundEngine.tick();
-            if (GameState.timerLeft <= 0) { this.clear(); onExpire(); }
-        }, 1000);
+    defaultRelay() {
+        return `ws://${window.location.hostname || 'localhost'}:${RACE_DEFAULT_PORT}`;
     },
 
-    clear() {
-        if (this.interval) { clearInterval(this.interval); this.interval = null; }
+    connected() {
+        return this.id !== null;
     },
-};
 
-/* ================================================================
-   11. DISPLAY ENGINE
-   ================================================================ */
-const DisplayEngine = {
-    timeoutId: null,
+    isHost() {
+        return this.connected() && this.id === this.hostId;
+    },
 
-    start(sequence, onComplete) {
-        GameState.status = 'displaying';
-        UI.setPhase('ROUTING SEQUENCE...', 'Watch carefully — then enter each token');
-        UI.showInputZone(false);
-        UI.buildSequenceGrid(sequence);
-        this.revealNext(sequence, 0, onComplete);
+    opponents() {
+        return this.players.filter(p => p.id !== this.id);
     },
 
-    revealNext(sequence, i, onComplete) {
-        if (i >= sequence.length) {
-            this.timeoutId = setTimeout(() => { this.hideAll(sequence); onComplete(); }, 200);
+    connect(url, room, name) {
+        this.disconnect();
+        this.relayUrl = url;
+        this.room = room;
+        let ws;
+        try {
+            ws = new WebSocket(url);
+        } catch {
+            RaceView.setStatus('BAD RELAY ADDRESS', true);
             return;
         }
-        const node = document.getElementById(`node-${i}`);
-        if (!node) return;
-        node.classList.add('active');
-        SoundEngine.nodeReveal(i);
+        this.ws = ws;
+        RaceView.setStatus('CONNECTING…');
+        ws.onopen = () => this.send('join', { room, name });
+        ws.onmessage = (e) => {
+            let msg;
+            try { msg = JSON.parse(e.data); } catch { return; }
+            this.handle(msg);
+        };
+        ws.onclose = () => {
+            if (this.ws !== ws) return; // replaced by a newer connection
+            this.ws = null;
+            this.reset();
+            RaceView.setStatus('RELAY UNREACHABLE', true);
+            RaceView.render();
+        };
+    },
 
-        this.timeoutId = setTimeout(() => {
-            node.classList.remove('active');
-            node.classList.add('completed');
-            setTimeout(() => {
-                this.revealNext(sequence, i + 1, onComplete);
-            }, NODE_GAP_TIME);
-        }, GameState.getNodeDisplayTime());
+    disconnect() {
+        const ws = this.ws;
+        this.ws = null;
+        if (ws) ws.close();
+        this.reset();
+        RaceView.render();
+    },
+
+    reset() {
+        this.id = null;
+        this.hostId = null;
+        this.players = [];
+        this.racing = false;
+        this.raceOpen = false;
+    },
+
+    send(type, payload = {}) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify({ type, ...payload }));
+    },
+
+    handle(msg) {
+        switch (msg.type) {
+            case 'welcome':
+                this.id = msg.id;
+                this.room = msg.room;
+                Settings.save();
+                RaceView.setStatus(`IN ROOM ${msg.room}`);
+                break;
+            case 'players':
+                this.hostId = msg.hostId;
+                this.players = msg.players;
+                this.raceOpen = msg.racing;
+                break;
+            case 'start':
+                this.racing = true;
+                this.raceOpen = true;
+                this.seed = msg.seed;
+                this.standings = null;
+                this.lastReport = '';
+                Game.startRace(msg.seed, msg.rules);
+                break;
+            case 'over':
+                this.racing = false;
+                this.raceOpen = false;
+                this.standings = msg.standings;
+                // Back to our own settings unless a solo run is already under way
+                if (GameState.status === 'over' || GameState.status === 'idle') {
+                    Settings.load();
+                    UI.updateHUD();
+                }
+                break;
+            case 'error':
+                RaceView.setStatus(msg.message.toUpperCase(), true);
+                break;
+        }
+        RaceView.render();
     },
 
-    hideAll(sequence) {
-        sequence.forEach((_, i) => {
-            const node = document.getElementById(`node-${i}`);
-            if (node) { node.classList.remove('active', 'completed'); node.textContent = '?'; }
+    /** Ask the relay to start a race on our current settings (host only). */
+    start() {
+        this.send('start', {
+            rules: {
+                mode: GameState.mode,
+                progression: GameState.progression,
+                seqType: GameState.seqType,
+                difficulty: GameState.difficulty,
+                presentation: GameState.presentation,
+            },
+        });
+    },
+
+    /** Send level / score / boxes filled; unchanged progress is not resent. */
+    report() {
+        if (!this.racing) return;
+        const filled = GameState.status === 'input'
+            ? InputBoxEngine.boxes.filter(b => b.value.length >= b.dataset.expected.length).length
+            : 0;
+        const progress = { level: GameState.level, score: GameState.score, filled, total: GameState.answer.length };
+        const key = JSON.stringify(progress);
+        if (key === this.lastReport) return;
+        this.lastReport = key;
+        this.send('progress', progress);
+    },
+
+    /** We're out; the race goes on until the last racer fails. */
+    finish() {
+        if (!this.racing) return;
+        this.racing = false;
+        this.send('out', { level: GameState.level, score: GameState.score, filled: 0, total: 0 });
+    },
+};
+
+const RaceView = {
+    toggleLobby() {
+        const lobby = document.getElementById('race-lobby');
+        lobby.classList.toggle('hidden');
+        if (!lobby.classList.contains('hidden')) {
+            UI.els['race-relay-input'].value = RaceClient.relayUrl || RaceClient.defaultRelay();
+            UI.els['race-room-input'].value = RaceClient.room;
+            this.render();
+        }
+    },
+
+    /** JOIN / LEAVE button. Racing needs an alias, same as a solo run. */
+    toggleJoin() {
+        if (RaceClient.ws) {
+            RaceClient.disconnect();
+            this.setStatus('LEFT ROOM');
+            return;
+        }
+        const name = document.getElementById('player-name-input').value.trim().toUpperCase().slice(0, 12);
+        const room = UI.els['race-room-input'].value.trim().toUpperCase();
+        const url = UI.els['race-relay-input'].value.trim();
+        if (!name) { this.setStatus('ENTER AN ALIAS FIRST', true); return; }
+        if (!room) { this.setStatus('ENTER A ROOM CODE', true); return; }
+        RaceClient.connect(url, room, name);
+    },
+
+    setStatus(text, isError = false) {
+        const el = UI.els['race-status'];
+        el.textContent = text;
+        el.style.color = isError ? 'var(--red)' : '';
+    },
+
+    render() {
+        this.renderLobby();
+        this.renderHud();
+        this.renderResult();
+    },
+
+    renderLobby() {
+        UI.els['btn-race-join'].textContent = RaceClient.ws ? 'LEAVE' : 'JOIN';
+        const list = UI.els['race-players'];
+        list.innerHTML = '';
+        RaceClient.players.forEach(p => {
+            const li = document.createElement('li');
+            li.className = 'flex justify-between';
+            li.innerHTML = `<span class="${p.id === RaceClient.id ? 'text-white' : 'text-gray-400'}"></span>
+                      <span class="text-gray-600">${p.id === RaceClient.hostId ? 'HOST' : ''}</span>`;
+            li.children[0].textContent = p.name; // names come from other racers, via the relay
+            list.appendChild(li);
+        });
+
+        const btn = UI.els['btn-race-start'];
+        btn.classList.toggle('hidden', !RaceClient.isHost());
+        btn.disabled = RaceClient.players.length < 2 || RaceClient.raceOpen;
+        btn.classList.toggle('opacity-50', btn.disabled);
+    },
+
+    /** Opponent strip under the timer: name, level and boxes filled this round. */
+    renderHud() {
+        const hud = UI.els['race-hud'];
+        hud.classList.toggle('hidden', !RaceClient.raceOpen);
+        const wrap = UI.els['race-opponents'];
+        wrap.innerHTML = '';
+        RaceClient.opponents().forEach(p => {
+            const chip = document.createElement('div');
+            chip.className = `race-chip${p.alive ? '' : ' out'}`;
+            const pct = p.total ? Math.round((p.filled / p.total) * 100) : 0;
+            chip.innerHTML = `<span class="text-white font-bold truncate"></span>
+                      <span class="text-cyber-yellow">${p.alive ? `Lv${String(Number(p.level)).padStart(2, '0')}` : 'OUT'}</span>
+                      <div class="race-bar"><div class="race-bar-fill" style="width:${pct}%"></div></div>`;
+            chip.children[0].textContent = p.name;
+            wrap.appendChild(chip);
         });
     },
 
-    cancel() { if (this.timeoutId) { clearTimeout(this.timeoutId); this.timeoutId = null; } },
+    /** Standings on the game-over screen: live while others still run, final once the race ends. */
+    renderResult() {
+        const box = UI.els['go-race'];
+        const rows = RaceClient.raceOpen ? RaceClient.players : RaceClient.standings;
+        box.classList.toggle('hidden', !rows || GameState.seed !== RaceClient.seed);
+        if (!rows) return;
+
+        const running = RaceClient.players.filter(p => p.alive).length;
+        UI.els['go-race-title'].textContent = RaceClient.raceOpen
+            ? `RACE · WAITING FOR ${running} RACER${running === 1 ? '' : 'S'}…`
+            : 'RACE · FINAL STANDINGS';
+        const list = UI.els['go-race-list'];
+        list.innerHTML = '';
+        rows.forEach((p, i) => {
+            const li = document.createElement('li');
+            li.className = `flex justify-between ${p.id === RaceClient.id ? 'text-cyber-cyan' : 'text-gray-400'}`;
+            li.innerHTML = `<span></span>
+                      <span class="font-mono">Lv${Number(p.level)} · ${Number(p.score).toLocaleString()}${p.alive ? ' ▶' : ''}</span>`;
+            li.children[0].textContent = `${i + 1}. ${p.name}`;
+            list.appendChild(li);
+        });
+    },
 };
 
 /* ================================================================
-   12. GAME FLOW ENGINE
+   20. GAME FLOW ENGINE
    ================================================================ */
 const Game = {
     submitting: false,
+    pausedAt: 0,
 
     start() {
         const nameInput = document.getElementById('player-name-input').value.trim().toUpperCase();
         if (!nameInput) return; // Wait for valid name
 
         GameState.playerName = nameInput.slice(0, 12);
-        localStorage.setItem('memoryrouter_v2_last_name', GameState.playerName);
+        StorageEngine.setLastName(GameState.playerName);
+
+        document.getElementById('player-display').textContent = GameState.playerName;
+
+        SoundEngine.init();
+        this.seedRun();
+        this.enterRun();
+    },
+
+    /**
+     * The run saved at the last round boundary, or null. A session in a mode
+     * this page doesn't know (a plugin since removed, an edited save) can't be
+     * played on, and a Daily Route one (saved before they stopped being
+     * checkpointed) would leave the shared seed, so both are discarded.
+     */
+    savedSession() {
+        const session = StorageEngine.getSession();
+        if (session && (![...BUILTIN_MODES, ...PLUGIN_MODES].includes(session.mode) || SHARED_SEED_MODES.includes(session.mode))) {
+            StorageEngine.clearSession();
+            return null;
+        }
+        return session;
+    },
 
+    /**
+     * Continue the run saved at the last round boundary. The saved level,
+     * score, streak and boosts carry over, but the run gets a fresh seed so
+     * reloading can't be used to peek at a sequence.
+     */
+    resumeSession() {
+        const session = this.savedSession();
+        if (!session) return;
+
+        GameState.playerName = session.name || 'GUEST';
+        document.getElementById('player-display').textContent = GameState.playerName;
+
+        SoundEngine.init();
+        Core.restore(session, Rng.randomSeed());
+        this.enterRun(session.log, session.adaptive);
+    },
+
+    /** Relay said go: every racer starts the same seed on the host's rules. */
+    startRace(seed, rules) {
+        DisplayEngine.cancel(); // abandon whatever was on screen
+        const name = document.getElementById('player-name-input').value.trim().toUpperCase().slice(0, 12);
+        GameState.playerName = name || GameState.playerName || 'GUEST';
         document.getElementById('player-display').textContent = GameState.playerName;
 
+        Object.assign(GameState, rules);
         SoundEngine.init();
-        GameState.init();
+        Core.newRun(seed);
+        this.enterRun();
+    },
+
+    /**
+     * Shared tail of start() / resumeSession() / startRace(): show the board and begin the first round.
+     * @param {object} [priorLog]  run log of the session being resumed
+     * @param {object} [priorAdaptive]  that session's adaptive profile
+     */
+    enterRun(priorLog = null, priorAdaptive = null) {
+        // A resumed run picks up its span where it stopped; a new one starts no easier than a fresh calibration
+        GameState.adaptive = priorLog ? createAdaptiveProfile(priorAdaptive)
+            : adaptiveRunProfile(StorageEngine.getAdaptive(GameState.playerName));
+        ReplayRecorder.start(priorLog);
+        UI.showPause(false);
         UI.hideGameOver();
         this.hideStartOverlay();
+        UI.viewBoard = null;
         UI.updateHUD();
         UI.renderLeaderboard();
         document.getElementById('history-list').innerHTML = '';
         this.beginRound();
     },
 
+    /** INITIALIZE from a shortcut or gamepad: it needs an alias, so without one the name box gets focus. */
+    startFromMenu() {
+        if (!UI.els['btn-start'].disabled) this.start();
+        else document.getElementById('player-name-input').focus();
+    },
+
     restart() {
-        TimerEngine.clear();
         DisplayEngine.cancel();
-        GameState.init();
+        this.seedRun();
+        ReplayRecorder.start();
+        UI.showPause(false);
         UI.hideGameOver();
         UI.showInputZone(false);
         UI.updateHUD();
@@ -774,17 +2693,54 @@ const Game = {
     },
 
     showMainMenu() {
-        TimerEngine.clear();
+        Core.stopTimer();
+        Core.cancelBoost();
         DisplayEngine.cancel();
         GameState.status = 'idle';
+        GameState.paused = false;
+        UI.showPause(false);
         UI.hideGameOver();
         UI.showInputZone(false);
         UI.updateHUD();
+        UI.updateResumeButton();
         const overlay = document.getElementById('start-overlay');
         overlay.classList.remove('hidden');
         overlay.style.opacity = '1';
     },
 
+    /** Start a fresh run on today's seed in daily mode, else the typed seed, else a fresh one. */
+    seedRun() {
+        const typed = Rng.clean(document.getElementById('seed-input').value);
+        Core.newRun(GameState.mode === 'daily' ? Rng.dailySeed() : (typed || Rng.randomSeed()));
+    },
+
+    /** Link that replays the current run's seed under the same rules. */
+    getShareLink() {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('seed', GameState.seed);
+        // Daily plays by normal rules, so a pinned seed under normal replays it exactly
+        url.searchParams.set('mode', GameState.mode === 'daily' ? 'normal' : GameState.mode);
+        if (GameState.isCustom()) {
+            url.searchParams.set('type', GameState.seqType);
+            url.searchParams.set('diff', GameState.difficulty);
+        }
+        if (GameState.getPresentation() !== 'visual') url.searchParams.set('present', GameState.presentation);
+        return url.toString();
+    },
+
+    copyShareLink() {
+        const btn = UI.els['btn-copy-seed'];
+        const done = (label) => {
+            btn.textContent = label;
+            setTimeout(() => { btn.textContent = '⧉ COPY LINK'; }, 1500);
+        };
+        if (!navigator.clipboard) { done('COPY FAILED'); return; }
+        navigator.clipboard.writeText(this.getShareLink())
+            .then(() => done('✓ COPIED'), () => done('COPY FAILED'));
+    },
+
     hideStartOverlay() {
         const ol = document.getElementById('start-overlay');
         ol.style.transition = 'opacity 0.4s ease';
@@ -793,179 +2749,336 @@ const Game = {
     },
 
     beginRound() {
-        GameState.status = 'displaying';
-        const cfg = getProgressiveConfig(GameState.level);
-
-        // Detect phase transition — show banner
-        if (cfg.label !== GameState.lastPhaseLabel) {
-            if (GameState.lastPhaseLabel !== '') {
-                UI.showPhaseBanner(cfg.phase, cfg.label);
-            }
-            GameState.lastPhaseLabel = cfg.label;
+        // Round boundary — checkpoint progress so a reload can resume here (races and Daily Route can't be resumed)
+        if (!RaceClient.racing && !SHARED_SEED_MODES.includes(GameState.mode)) {
+            StorageEngine.saveSession({
+                ...Core.snapshot(), name: GameState.playerName, savedAt: Date.now(), log: ReplayRecorder.runLog(),
+                adaptive: { ...GameState.adaptive },
+            });
         }
 
-        // Override sequence type from progressive config
-        GameState.sequence = SequenceGenerator.generate(cfg.length, cfg.type);
+        Drill.prepare();
+        const { cfg, phaseChanged } = Core.beginRound();
+        RaceClient.report();
+        Achievements.roundCfg = cfg;
+        Achievements.track('phase');
+
+        // Phase transition — show banner
+        if (phaseChanged) UI.showPhaseBanner(cfg.phase, cfg.label);
+        ReplayRecorder.beginRound(cfg);
+        Plugins.emit('round:start', {
+            level: GameState.level, mode: GameState.mode, phase: cfg.phase, label: cfg.label,
+            type: cfg.type, length: cfg.length, timer: cfg.timer, sequence: [...GameState.sequence],
+        });
 
         UI.updateHUD();
-        UI.els['expected-length'].textContent = GameState.sequence.length;
+        UI.els['expected-length'].textContent = GameState.answer.length;
         UI.updatePowerupDisplay();
 
         // Brief pause then start display
-        setTimeout(() => {
+        DisplayEngine.schedule(() => {
             DisplayEngine.start(GameState.sequence, () => this.beginInputPhase());
         }, 350);
     },
 
     beginInputPhase() {
-        GameState.status = 'input';
-        const cfg = getProgressiveConfig(GameState.level);
-
-        UI.setPhase(
-            `ENTER ${cfg.length} TOKENS`,
-            `${cfg.label} · ${cfg.timer}s remaining`,
-        );
+        const cfg = Core.beginInput();
+
+        const recall = RECALL_MODES[GameState.mode];
+        // Dual only now reveals which stream counts
+        const channel = GameState.getPresentation() === 'dual'
+            ? ` · WHAT YOU ${GameState.channel === 'audio' ? 'HEARD' : 'SAW'}` : '';
+        const prompt = cfg.type === 'grid' ? `REPEAT THE ${cfg.length}-NODE PATH`
+            : `ENTER ${GameState.answer.length} TOKENS${channel}${recall ? ` · ${recall.label}` : ''}`;
+        UI.setPhase(prompt, `${cfg.label} · ${cfg.timer}s remaining`);
+        A11y.announce(`${prompt.toLowerCase()}. ${cfg.timer} seconds.`);
         UI.showInputZone(true);
 
         // Build the new per-token boxes
-        InputBoxEngine.build(GameState.sequence);
+        InputBoxEngine.build(GameState.answer);
+        TouchKeypad.build(cfg.type);
+        if (cfg.type === 'grid') RouterGrid.setInteractive(true);
+        ReplayRecorder.beginInput();
         UI.updatePowerupDisplay();
-
-        const timer = GameState.mode === 'practice' ? 9999 : cfg.timer;
-        TimerEngine.start(timer, () => {
-            if (GameState.status === 'input') this.handleTimerExpiry();
-        });
+        Plugins.renderWidgets();
     },
 
+    /** Core `expire` hook: the round timer ran out during input. */
     handleTimerExpiry() {
+        RouterGrid.setInteractive(false);
+        StatsEngine.recordAttempt();
+        ChunkTrainer.record(false);
+        Drill.review();
+        ReplayRecorder.endRound('timeout');
+        this.emitResult('timeout', GameState.level, 0);
         SoundEngine.fail();
         UI.shakeInputZone();
         UI.showFeedback('denied');
+        A11y.announce('Time is up. Access denied.', true);
         this.triggerGameOver();
     },
 
     /** Called by InputBoxEngine on last box fill, or btn-submit click. */
     submitBoxes() {
-        if (this.submitting || GameState.status !== 'input') return;
+        // The last box's auto-submit can land after a blur or hidden tab paused the round
+        if (this.submitting || GameState.status !== 'input' || GameState.paused) return;
         this.submitting = true;
         setTimeout(() => { this.submitting = false; }, 300);
 
-        const userTokens = InputBoxEngine.getValues();
-        const correctTokens = GameState.sequence.map(t => t.toUpperCase());
-
-        // Incomplete check
-        const incomplete = userTokens.some((t, i) => t.length < correctTokens[i].length);
-        if (incomplete) {
+        const outcome = Core.submit(InputBoxEngine.getValues());
+        if (!outcome) { this.submitting = false; return; } // the core refused it (paused)
+        if (outcome.result === 'incomplete') {
             UI.els['input-warning'].classList.remove('hidden');
             setTimeout(() => UI.els['input-warning'].classList.add('hidden'), 2000);
             InputBoxEngine.focusFirst();
             this.submitting = false;
             return;
         }
+        RouterGrid.setInteractive(false);
 
-        TimerEngine.clear();
-        const isCorrect = userTokens.every((t, i) => t === correctTokens[i]);
-        if (isCorrect) this.handleCorrect(); else this.handleWrong();
+        StatsEngine.recordAttempt(outcome.level);
+        if (outcome.result === 'correct') this.handleCorrect(outcome); else this.handleWrong(outcome);
     },
 
-    handleCorrect() {
-        GameState.status = 'feedback';
+    handleCorrect({ level, earned, boostEarned, powerups }) {
         SoundEngine.success();
         ParticleEngine.burstSuccess();
         UI.showFeedback('granted');
         UI.showLevelUp();
-
-        const cfg = getProgressiveConfig(GameState.level);
-        const basePoints = 100 * GameState.level;
-        const mult = GameState.getMultiplier();
-        const timeBonus = GameState.timerLeft > cfg.timer / 2
-            ? Math.floor(50 * (GameState.timerLeft / cfg.timer))
-            : 0;
-        const earned = basePoints * mult + timeBonus;
-        GameState.score += earned;
-        GameState.streak++;
-        GameState.maxStreak = Math.max(GameState.maxStreak, GameState.streak);
-
-        GameState.roundsSinceBoost++;
-        if (GameState.roundsSinceBoost >= 5) {
-            GameState.boosts++;
-            GameState.roundsSinceBoost = 0;
+        A11y.announce(`Access granted. Plus ${earned} points. Level ${GameState.level}.`, true);
+        ChunkTrainer.record(true);
+        Drill.review();
+        ReplayRecorder.endRound('correct', earned);
+        this.emitResult('correct', level, earned);
+        if (boostEarned) powerups = ['boost', ...powerups];
+        if (powerups.length) {
             SoundEngine.boost();
+            UI.flashPowerups(powerups);
+            A11y.announce(`Earned ${powerups.map(id => POWERUPS[id].label.toLowerCase()).join(', ')}`);
         }
 
-        UI.addHistoryEntry(GameState.level, 'correct', earned);
+        UI.addHistoryEntry(level, 'correct', earned);
         UI.updateHUD();
+        RaceClient.report();
+        Achievements.track('round', { level });
         SoundEngine.levelUp();
-        GameState.level++;
         UI.showInputZone(false);
 
-        setTimeout(() => { GameState.status = 'displaying'; this.beginRound(); }, 1400);
+        setTimeout(() => this.beginRound(), 1400);
     },
 
-    handleWrong() {
-        GameState.status = 'feedback';
+    handleWrong({ retry, shielded }) {
+        ChunkTrainer.record(false);
+        Drill.review();
+        ReplayRecorder.endRound('wrong');
+        this.emitResult('wrong', GameState.level, 0, { retry: !!retry, shielded: !!shielded });
         SoundEngine.fail();
         UI.showFeedback('denied');
+        A11y.announce(retry ? 'Access denied. Try again.'
+            : shielded ? 'Access denied. Shield absorbed it — new sequence.' : 'Access denied.', true);
         UI.shakeInputZone();
         UI.addHistoryEntry(GameState.level, 'wrong', 0);
 
-        if (GameState.mode === 'practice') {
-            GameState.streak = 0;
+        if (shielded) {
+            // The run survives: same level, fresh sequence, streak gone
+            UI.updateHUD();
+            UI.showInputZone(false);
+            setTimeout(() => this.beginRound(), 1400);
+        } else if (retry) {
             UI.updateHUD();
             setTimeout(() => {
-                GameState.status = 'input';
                 InputBoxEngine.clear();
-                const cfg = getProgressiveConfig(GameState.level);
-                TimerEngine.start(cfg.timer, () => {
-                    if (GameState.status === 'input') this.handleTimerExpiry();
-                });
+                Core.retry();
+                ReplayRecorder.recordEvent('retry');
+                UI.updatePowerupDisplay();
             }, 1200);
         } else {
             this.triggerGameOver();
         }
     },
 
+    /** Tell plugins how a round ended (`extra` carries retry / shielded for wrong answers). */
+    emitResult(result, level, earned, extra = {}) {
+        Plugins.emit('round:result', { level, result, earned, score: GameState.score, streak: GameState.streak, ...extra });
+    },
+
     triggerGameOver() {
-        GameState.status = 'over';
-        TimerEngine.clear();
+        Core.gameOver();
         DisplayEngine.cancel();
         UI.showInputZone(false);
+        RaceClient.finish();
 
-        StorageEngine.saveScore({
+        const entry = {
             name: GameState.playerName || 'GUEST',
             score: GameState.score,
             level: GameState.level,
             streak: GameState.maxStreak,
             mode: GameState.mode,
+            variant: GameState.getVariant(),
+            seed: GameState.seed,
             date: new Date().toISOString(),
+            log: ReplayRecorder.runLog(),
+        };
+        Plugins.emit('game:over', {
+            name: entry.name, score: entry.score, level: entry.level, maxStreak: entry.streak,
+            mode: entry.mode, variant: entry.variant, seed: entry.seed,
         });
+        const saved = StorageEngine.saveScore(entry);
+        const { log, ...shown } = entry;
+        Plugins.emit('score:saved', { ...saved, entry: shown });
+        Settings.syncLeaderboard();
+        ReplayRecorder.finish();
+        StorageEngine.clearSession();
+        Achievements.track('gameover');
 
         setTimeout(() => {
             UI.updateHUD();
+            UI.viewBoard = null;
             UI.renderLeaderboard();
-            UI.showGameOver();
+            UI.showGameOver(saved);
+            RaceView.renderResult();
+            A11y.announce(`Game over. Score ${GameState.score}, level ${GameState.level}`
+                + `${saved.newBest ? ', new high score' : ''}. Expected ${GameState.answer.map(t => A11y.spell(t)).join(', ')}.`);
         }, 600);
     },
 
+    /** Freeze timer, reveal chain and boost countdown; hides the grid so pausing can't be used to study it. */
+    pause() {
+        if (!Core.pause()) return;
+        this.pausedAt = performance.now();
+        DisplayEngine.pause();
+        UI.showPause(true);
+    },
+
+    resume() {
+        if (!Core.resume()) return;
+        const pausedFor = performance.now() - this.pausedAt;
+        ReplayRecorder.shift(pausedFor);
+        InputBoxEngine.lastMark += pausedFor;
+        DisplayEngine.resume();
+        UI.showPause(false);
+    },
+
+    togglePause() {
+        if (GameState.paused) this.resume(); else this.pause();
+    },
+
     activateBoost() {
-        if (GameState.boosts <= 0 || GameState.status !== 'input') return;
-        GameState.boosts--;
-        GameState.boostActive = true;
+        if (!Core.activateBoost()) return;
+        ReplayRecorder.recordEvent('boost');
+        SoundEngine.boost();
+        UI.updatePowerupDisplay();
+        Achievements.track('boost');
+    },
+
+    /** HUD slot, shortcut or gamepad shoulder button (boost). */
+    usePowerup(id) {
+        if (id === 'boost') { this.activateBoost(); return; }
+        if (!Core.usePowerup(id)) return;
+        ReplayRecorder.recordEvent('powerup', { id });
         SoundEngine.boost();
+        A11y.announce(`${POWERUPS[id].label.toLowerCase()} used`);
+        if (id === 'replay') this.replaySequence();
+        else if (id === 'reveal') InputBoxEngine.reveal();
         UI.updatePowerupDisplay();
-        setTimeout(() => { GameState.boostActive = false; UI.updatePowerupDisplay(); }, 8000);
+    },
+
+    /**
+     * Replay power-up: run the reveal again over the typed boxes, then pick up where input left off.
+     * The boxes stay locked meanwhile: the timer is held, so typing now would be free time.
+     */
+    replaySequence() {
+        const label = UI.els['phase-label'].textContent;
+        const sub = UI.els['phase-sub'].textContent;
+        RouterGrid.setInteractive(false);
+        InputBoxEngine.setDisabled(true);
+        DisplayEngine.start(GameState.sequence, () => {
+            Core.resumeInput();
+            ReplayRecorder.recordEvent('resume');
+            InputBoxEngine.setDisabled(false);
+            UI.setPhase(label, sub);
+            UI.showInputZone(true);
+            if (RouterGrid.size) RouterGrid.setInteractive(true);
+            UI.updatePowerupDisplay();
+        });
     },
 };
 
 /* ================================================================
-   13. SETTINGS MODULE
+   21. SETTINGS MODULE
    ================================================================ */
+// Radio groups that set the run's rules; verifyRun refuses a log that changes them after the first round
+const RULE_GROUPS = ['mode-selector', 'progression-selector', 'type-selector', 'diff-selector', 'presentation-selector'];
+
 const Settings = {
     tempMode: 'normal',
+    tempProgression: 'auto',
+    tempType: 'numbers',
+    tempDifficulty: 'medium',
+    tempPresentation: 'visual',
+    tempTheme: 'neon',
+
+    /** Restore persisted settings into GameState (unknown values are ignored). */
+    load() {
+        const saved = StorageEngine.getSettings();
+        if (MODE_DESC[saved.mode] && !Achievements.isModeLocked(saved.mode)) GameState.mode = saved.mode;
+        if (typeof saved.soundOn === 'boolean') GameState.soundOn = saved.soundOn;
+        if (['auto', 'custom', 'adaptive'].includes(saved.progression)) GameState.progression = saved.progression;
+        if (SEQUENCE_TYPE_LABELS[saved.seqType]) GameState.seqType = saved.seqType;
+        if (DIFFICULTY_PRESETS[saved.difficulty]) GameState.difficulty = saved.difficulty;
+        if (PRESENTATIONS[saved.presentation]) GameState.presentation = saved.presentation;
+        if (THEMES[saved.theme] && !Achievements.isThemeLocked(saved.theme)) ThemeEngine.current = saved.theme;
+        A11y.reducedMotion = typeof saved.reducedMotion === 'boolean' ? saved.reducedMotion : A11y.systemReducedMotion();
+        A11y.highContrast = saved.highContrast === true;
+        TouchKeypad.enabled = typeof saved.keypad === 'boolean' ? saved.keypad : TouchKeypad.systemCoarsePointer();
+        TouchKeypad.haptics = saved.haptics !== false;
+        if (typeof saved.raceRelay === 'string') RaceClient.relayUrl = saved.raceRelay;
+        if (typeof saved.raceRoom === 'string') RaceClient.room = saved.raceRoom;
+        StorageEngine.connect(typeof saved.leaderboardUrl === 'string' ? saved.leaderboardUrl : '');
+        Controls.keymap = createKeymap(saved.keymap);
+        this.syncSound();
+        A11y.apply();
+        ThemeEngine.apply(); // after A11y: particles take their colours from the palette shown
+        TouchKeypad.apply();
+        Controls.apply();
+    },
+
+    save() {
+        StorageEngine.saveSettings({
+            mode: GameState.mode,
+            soundOn: GameState.soundOn,
+            progression: GameState.progression,
+            seqType: GameState.seqType,
+            difficulty: GameState.difficulty,
+            presentation: GameState.presentation,
+            theme: ThemeEngine.current,
+            reducedMotion: A11y.reducedMotion,
+            highContrast: A11y.highContrast,
+            keypad: TouchKeypad.enabled,
+            haptics: TouchKeypad.haptics,
+            raceRelay: RaceClient.relayUrl,
+            raceRoom: RaceClient.room,
+            leaderboardUrl: StorageEngine.remote ? StorageEngine.remote.url : '',
+            keymap: Controls.keymap,
+        });
+    },
 
     open() {
         this.tempMode = GameState.mode;
+        this.tempProgression = GameState.progression;
+        this.tempType = GameState.seqType;
+        this.tempDifficulty = GameState.difficulty;
+        this.tempPresentation = GameState.presentation;
+        this.tempTheme = ThemeEngine.current;
+        this.syncLocks();
         this.syncGroup('mode-selector', this.tempMode);
+        this.syncGroup('progression-selector', this.tempProgression);
+        this.syncGroup('type-selector', this.tempType);
+        this.syncGroup('diff-selector', this.tempDifficulty);
+        this.syncGroup('presentation-selector', this.tempPresentation);
+        this.syncGroup('theme-selector', this.tempTheme);
+        this.syncProgressionPanels();
+        UI.els['leaderboard-url-input'].value = StorageEngine.remote ? StorageEngine.remote.url : '';
         document.getElementById('mode-desc').textContent = MODE_DESC[this.tempMode];
         document.getElementById('settings-modal').style.display = 'flex';
         document.getElementById('settings-modal').classList.remove('hidden');
@@ -981,22 +3094,323 @@ const Settings = {
             .forEach(btn => btn.classList.toggle('active', btn.dataset.value === value));
     },
 
+    /** A run is under way: its rules stay as they were when it started. */
+    midRun() {
+        return !['idle', 'over'].includes(GameState.status);
+    },
+
+    /**
+     * Disable modes and themes no achievement has unlocked yet; the tooltip says how to get them.
+     * Mid-run, every rule group is locked until the run ends.
+     */
+    syncLocks() {
+        [['mode-selector', 'mode', v => Achievements.isModeLocked(v)],
+            ['theme-selector', 'theme', v => Achievements.isThemeLocked(v)]].forEach(([groupId, kind, isLocked]) => {
+            document.getElementById(groupId).querySelectorAll('.radio-btn').forEach(btn => {
+                const locked = isLocked(btn.dataset.value);
+                btn.disabled = locked;
+                btn.classList.toggle('locked', locked);
+                const by = unlockedBy(kind, btn.dataset.value);
+                btn.title = locked ? `Locked: ${by.title} — ${by.desc}` : '';
+            });
+        });
+        const midRun = this.midRun();
+        RULE_GROUPS.forEach(groupId => {
+            document.getElementById(groupId).querySelectorAll('.radio-btn').forEach(btn => {
+                if (groupId === 'mode-selector' && btn.disabled && !midRun) return; // achievement lock, set above
+                btn.disabled = midRun;
+                btn.classList.toggle('locked', midRun);
+                btn.title = midRun ? 'Locked until this run ends' : '';
+            });
+        });
+    },
+
+    syncProgressionPanels() {
+        const progression = this.tempProgression;
+        document.getElementById('progression-auto-info').classList.toggle('hidden', progression !== 'auto');
+        document.getElementById('progression-custom').classList.toggle('hidden', progression !== 'custom');
+        document.getElementById('progression-adaptive').classList.toggle('hidden', progression !== 'adaptive');
+    },
+
+    syncSound() {
+        UI.els['btn-sound-toggle'].classList.toggle('active', GameState.soundOn);
+        UI.els['btn-sound-toggle'].setAttribute('aria-pressed', String(GameState.soundOn));
+        UI.els['sound-icon'].textContent = GameState.soundOn ? '🔊' : '🔇';
+        UI.els['sound-label'].textContent = GameState.soundOn ? 'ON' : 'OFF';
+    },
+
+    toggleSound() {
+        GameState.soundOn = !GameState.soundOn;
+        this.syncSound();
+        this.save();
+    },
+
+    /** @param {'reducedMotion'|'highContrast'} pref */
+    toggleA11y(pref) {
+        A11y[pref] = !A11y[pref];
+        A11y.apply();
+        ParticleEngine.retheme();
+        this.save();
+        UI.updateTimer(GameState.timerLeft, GameState.timerTotal); // repaint the ring in the new palette
+    },
+
+    /** @param {'enabled'|'haptics'} pref */
+    toggleTouch(pref) {
+        TouchKeypad[pref] = !TouchKeypad[pref];
+        TouchKeypad.apply();
+        this.save();
+        if (GameState.status === 'input' && pref === 'enabled') {
+            // Takes effect on the boxes mid-round too
+            InputBoxEngine.boxes.forEach(b => { if (!b.readOnly) b.inputMode = TouchKeypad.enabled ? 'none' : 'text'; });
+            TouchKeypad.build(Core.config().type);
+        }
+    },
+
     apply() {
-        GameState.mode = this.tempMode;
+        if (!this.midRun()) {
+            GameState.mode = this.tempMode;
+            GameState.progression = this.tempProgression;
+            GameState.seqType = this.tempType;
+            GameState.difficulty = this.tempDifficulty;
+            GameState.presentation = this.tempPresentation;
+        }
+        ThemeEngine.current = this.tempTheme;
+        ThemeEngine.apply();
+        UI.updateTimer(GameState.timerLeft, GameState.timerTotal); // repaint the ring in the new palette
+        this.save();
+        UI.viewBoard = null;
+        UI.updateHUD();
+        UI.renderLeaderboard();
         this.close();
     },
 
+    /** Download every score, profile, setting, stat and replay as one JSON file. */
+    exportData() {
+        const doc = StorageEngine.exportData();
+        const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `memory-router-${doc.exportedAt.slice(0, 10)}.json`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 0);
+        this.setDataStatus('✓ EXPORTED');
+    },
+
+    /** Replace all local data with an exported file, after confirmation. */
+    importFile(file) {
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const doc = JSON.parse(text);
+                if (!window.confirm('Replace ALL local scores, profiles, settings, stats and replays with this file?')) return;
+                StorageEngine.importData(doc, { modes: [...BUILTIN_MODES, ...PLUGIN_MODES] });
+                verifyScores();
+                StatsEngine.data = null;
+                UI.viewBoard = null;
+                this.load();
+                this.open();
+                UI.updateHUD();
+                UI.renderLeaderboard();
+                UI.updateResumeButton();
+                this.setDataStatus('✓ IMPORTED');
+            })
+            .catch(err => this.setDataStatus(err instanceof SyntaxError ? 'NOT A JSON FILE' : err.message.toUpperCase(), true));
+    },
+
+    /** Point score sync at a team leaderboard server; empty goes back to this device only. */
+    setLeaderboard(url) {
+        StorageEngine.connect(url);
+        this.save();
+        UI.renderLeaderboard();
+        if (!StorageEngine.remote) {
+            this.setLeaderboardStatus('LOCAL ONLY');
+            return;
+        }
+        this.setLeaderboardStatus('CONNECTING…');
+        StorageEngine.remote.getBoards()
+            .then(() => this.syncLeaderboard())
+            .catch(err => this.setLeaderboardStatus(err.message.toUpperCase(), true));
+    },
+
+    /** Send runs queued in the outbox; refreshes a team board view once they're in. */
+    syncLeaderboard() {
+        if (!StorageEngine.remote) return Promise.resolve();
+        return StorageEngine.sync().then(({ sent, refused, pending }) => {
+            refused.forEach(({ entry, error }) => console.warn(`Memory Router: server refused ${entry.name} ${entry.score}: ${error}`));
+            if (pending) {
+                this.setLeaderboardStatus(`SERVER UNREACHABLE · ${pending} RUN${pending > 1 ? 'S' : ''} WAITING`, true);
+            } else {
+                this.setLeaderboardStatus(`✓ CONNECTED${refused.length ? ` · ${refused.length} REFUSED` : ''}`, refused.length > 0);
+            }
+            if (sent && UI.viewWindow !== 'local') UI.renderLeaderboard();
+        });
+    },
+
+    setLeaderboardStatus(text, isError = false) {
+        const el = UI.els['leaderboard-status'];
+        el.textContent = text;
+        el.style.color = isError ? 'var(--red)' : '';
+    },
+
+    setDataStatus(text, isError = false) {
+        const el = document.getElementById('data-status');
+        el.textContent = text;
+        el.style.color = isError ? 'var(--red)' : '';
+    },
+
     handleRadio(groupId, value) {
+        if (RULE_GROUPS.includes(groupId) && this.midRun()) return;
         if (groupId === 'mode-selector') {
             this.tempMode = value;
             document.getElementById('mode-desc').textContent = MODE_DESC[value];
+        } else if (groupId === 'progression-selector') {
+            this.tempProgression = value;
+            this.syncProgressionPanels();
+        } else if (groupId === 'type-selector') {
+            this.tempType = value;
+        } else if (groupId === 'diff-selector') {
+            this.tempDifficulty = value;
+        } else if (groupId === 'presentation-selector') {
+            this.tempPresentation = value;
+        } else if (groupId === 'theme-selector') {
+            this.tempTheme = value;
         }
         this.syncGroup(groupId, value);
     },
 };
 
 /* ================================================================
-   14. EVENT WIRING
+   22. PLUGIN API
+   `window.MemoryRouter` is the entry point for scripts loaded after
+   this one (see plugins/). A plugin is { id, setup(api) }: setup
+   runs once, straight away, and its api can subscribe to the game
+   events (GAME_EVENTS in core.js), add modes and sequence types,
+   and put widgets in the top bar. Plugins watch a run through a
+   read-only state snapshot; they never drive the game.
+   ================================================================ */
+const Events = createEventBus(GAME_EVENTS);
+
+const Plugins = {
+    registered: [], // plugin ids, in registration order
+    widgets: [],    // { id, render, value } — value is the element showing render()'s text
+
+    register(plugin) {
+        if (!plugin || typeof plugin.id !== 'string' || !plugin.id || typeof plugin.setup !== 'function') {
+            throw new TypeError('A plugin needs an id and a setup(api) function');
+        }
+        if (this.registered.includes(plugin.id)) throw new Error(`Plugin "${plugin.id}" is already registered`);
+        this.registered.push(plugin.id);
+        try {
+            plugin.setup(this.api());
+        } catch (err) {
+            this.registered.splice(this.registered.indexOf(plugin.id), 1);
+            throw err;
+        }
+    },
+
+    api() {
+        return Object.freeze({
+            events: Events.types,
+            on: (event, fn) => Events.on(event, fn),
+            off: (event, fn) => Events.off(event, fn),
+            state: () => this.state(),
+            addMode: (id, def) => this.addMode(id, def),
+            addGenerator: (id, def) => this.addGenerator(id, def),
+            addHudWidget: (id, def) => this.addHudWidget(id, def),
+        });
+    },
+
+    /** Emit to plugin listeners, then refresh their widgets. */
+    emit(event, payload) {
+        Events.emit(event, payload);
+        this.renderWidgets();
+    },
+
+    state() {
+        return Object.freeze({
+            status: GameState.status,
+            name: GameState.playerName,
+            mode: GameState.mode,
+            level: GameState.level,
+            score: GameState.score,
+            streak: GameState.streak,
+            maxStreak: GameState.maxStreak,
+            multiplier: GameState.getMultiplier(),
+            seed: GameState.seed,
+        });
+    },
+
+    /**
+     * A mode with its own button in Settings (see registerMode in core.js for `def`).
+     * @param {string} id
+     * @param {{ label: string, desc: string }} def  plus registerMode's recall / strict / fast
+     */
+    addMode(id, def = {}) {
+        registerMode(id, def);
+        MODE_DESC[id] = String(def.desc || 'Added by a plugin.');
+        this.addRadio('mode-selector', id, def.label);
+    },
+
+    /** A sequence type for Custom progression (see registerGenerator in core.js). */
+    addGenerator(id, def = {}) {
+        registerGenerator(id, def);
+        this.addRadio('type-selector', id, SEQUENCE_TYPE_LABELS[id]);
+    },
+
+    addRadio(groupId, value, label) {
+        const btn = document.createElement('button');
+        btn.className = 'radio-btn';
+        btn.dataset.value = value;
+        btn.textContent = String(label || value).toUpperCase();
+        document.getElementById(groupId).appendChild(btn);
+    },
+
+    /**
+     * A stat in the top bar, redrawn with the HUD and after every game event.
+     * @param {string} id
+     * @param {{ label: string, title?: string, render: (state: object) => string|number }} def
+     */
+    addHudWidget(id, { label, title = '', render } = {}) {
+        if (typeof render !== 'function') throw new TypeError(`Widget "${id}" needs a render(state) function`);
+        if (this.widgets.some(w => w.id === id)) throw new Error(`A widget called "${id}" already exists`);
+        const block = document.createElement('div');
+        block.className = 'stat-block hidden sm:flex';
+        block.dataset.widget = id;
+        block.title = title;
+        const name = document.createElement('span');
+        name.className = 'stat-label';
+        name.textContent = String(label || id).toUpperCase();
+        const value = document.createElement('span');
+        value.className = 'stat-value text-cyber-cyan';
+        block.append(name, value);
+        const pause = document.getElementById('btn-pause');
+        pause.parentNode.insertBefore(block, pause);
+        this.widgets.push({ id, render, value });
+        this.renderWidgets();
+    },
+
+    renderWidgets() {
+        if (!this.widgets.length) return;
+        const state = this.state();
+        this.widgets.forEach(w => {
+            try {
+                w.value.textContent = String(w.render(state));
+            } catch (err) {
+                w.value.textContent = '—';
+                console.error(`Memory Router: widget "${w.id}" failed to render.`, err);
+            }
+        });
+    },
+};
+
+window.MemoryRouter = Object.freeze({
+    events: Events.types,
+    registerPlugin: (plugin) => Plugins.register(plugin),
+    plugins: () => [...Plugins.registered],
+});
+
+/* ================================================================
+   23. EVENT WIRING
    ================================================================ */
 function wireEvents() {
     const btnStart = UI.els['btn-start'];
@@ -1009,7 +3423,53 @@ function wireEvents() {
     UI.els['btn-close-settings'].addEventListener('click', () => Settings.close());
     UI.els['btn-apply-settings'].addEventListener('click', () => Settings.apply());
     UI.els['btn-submit'].addEventListener('click', () => Game.submitBoxes());
-    UI.els['btn-powerup'].addEventListener('click', () => Game.activateBoost());
+    UI.els['btn-copy-seed'].addEventListener('click', () => Game.copyShareLink());
+    UI.els['btn-replay-last'].addEventListener('click', () => ReplayViewer.open());
+    UI.els['btn-stats'].addEventListener('click', () => StatsView.open());
+    document.getElementById('btn-achievements').addEventListener('click', () => Achievements.openGallery());
+    document.getElementById('btn-close-achievements').addEventListener('click', () => Achievements.closeGallery());
+    UI.els['btn-pause'].addEventListener('click', () => Game.togglePause());
+    UI.els['btn-resume-session'].addEventListener('click', () => Game.resumeSession());
+    UI.els['btn-resume'].addEventListener('click', () => Game.resume());
+
+    // Auto-pause when the player looks away
+    document.addEventListener('visibilitychange', () => { if (document.hidden) Game.pause(); });
+    window.addEventListener('blur', () => Game.pause());
+    UI.els['btn-close-stats'].addEventListener('click', () => StatsView.close());
+    UI.els['btn-reset-stats'].addEventListener('click', () => {
+        if (!window.confirm('Erase ALL token stats (accuracy, confusions and timings)? This cannot be undone.')) return;
+        StatsEngine.reset();
+        StatsView.render();
+    });
+    UI.els['stats-profile-select'].addEventListener('change', (e) => StatsView.renderProfile(e.target.value));
+    UI.els['board-select'].addEventListener('change', (e) => {
+        UI.viewBoard = e.target.value;
+        UI.renderLeaderboard();
+    });
+    UI.els['board-window'].addEventListener('change', (e) => {
+        UI.viewWindow = e.target.value;
+        UI.renderLeaderboard();
+    });
+    UI.els['leaderboard-url-input'].addEventListener('change', (e) => Settings.setLeaderboard(e.target.value));
+    UI.els['btn-export-data'].addEventListener('click', () => Settings.exportData());
+    UI.els['btn-import-data'].addEventListener('click', () => UI.els['import-file'].click());
+    UI.els['import-file'].addEventListener('change', (e) => {
+        Settings.importFile(e.target.files[0]);
+        e.target.value = '';
+    });
+    UI.els['btn-open-replays'].addEventListener('click', () => ReplayViewer.open());
+    UI.els['btn-race-lobby'].addEventListener('click', () => RaceView.toggleLobby());
+    UI.els['btn-race-join'].addEventListener('click', () => RaceView.toggleJoin());
+    UI.els['btn-race-start'].addEventListener('click', () => RaceClient.start());
+    UI.els['race-room-input'].addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !RaceClient.ws) RaceView.toggleJoin();
+    });
+    UI.els['btn-close-replay'].addEventListener('click', () => ReplayViewer.close());
+    UI.els['btn-replay-play'].addEventListener('click', () => ReplayViewer.togglePlay());
+    document.getElementById('replay-speed').addEventListener('click', (e) => {
+        const btn = e.target.closest('.radio-btn');
+        if (btn) ReplayViewer.setSpeed(Number(btn.dataset.value));
+    });
 
     // Name input validation
     nameInput.addEventListener('input', (e) => {
@@ -1027,13 +3487,17 @@ function wireEvents() {
         if (e.key === 'Enter' && !btnStart.disabled) Game.start();
     });
 
+    UI.els['seed-input'].addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !btnStart.disabled) Game.start();
+    });
+
     // Close settings on backdrop click
     document.getElementById('settings-modal').addEventListener('click', (e) => {
         if (e.target === document.getElementById('settings-modal')) Settings.close();
     });
 
-    // Mode radio buttons (in settings — Sequence Type / Difficulty no longer manual; auto-progresses)
-    ['mode-selector'].forEach(gid => {
+    // Settings radio groups (Sequence Type / Difficulty only apply under Custom progression)
+    ['mode-selector', 'progression-selector', 'type-selector', 'diff-selector', 'presentation-selector', 'theme-selector'].forEach(gid => {
         document.getElementById(gid).addEventListener('click', (e) => {
             const btn = e.target.closest('.radio-btn');
             if (btn) Settings.handleRadio(gid, btn.dataset.value);
@@ -1041,19 +3505,38 @@ function wireEvents() {
     });
 
     // Sound toggle
-    UI.els['btn-sound-toggle'].addEventListener('click', () => {
-        GameState.soundOn = !GameState.soundOn;
-        UI.els['btn-sound-toggle'].classList.toggle('active', GameState.soundOn);
-        UI.els['sound-icon'].textContent = GameState.soundOn ? '🔊' : '🔇';
-        UI.els['sound-label'].textContent = GameState.soundOn ? 'ON' : 'OFF';
+    UI.els['btn-sound-toggle'].addEventListener('click', () => Settings.toggleSound());
+    document.getElementById('btn-motion-toggle').addEventListener('click', () => Settings.toggleA11y('reducedMotion'));
+    document.getElementById('btn-contrast-toggle').addEventListener('click', () => Settings.toggleA11y('highContrast'));
+    document.getElementById('btn-keypad-toggle').addEventListener('click', () => Settings.toggleTouch('enabled'));
+    document.getElementById('btn-haptics-toggle').addEventListener('click', () => Settings.toggleTouch('haptics'));
+
+    // Help overlay
+    document.getElementById('btn-help').addEventListener('click', () => Controls.openHelp());
+    document.getElementById('btn-close-help').addEventListener('click', () => Controls.closeHelp());
+    document.getElementById('btn-reset-keys').addEventListener('click', () => Controls.resetKeys());
+    document.getElementById('help-modal').addEventListener('click', (e) => {
+        if (e.target === document.getElementById('help-modal')) Controls.closeHelp();
     });
+    GamepadInput.init();
 
-    // Global keyboard shortcuts
+    // Global keyboard shortcuts (see Controls); capture phase so a key being bound reaches nothing else
+    document.addEventListener('keydown', (e) => Controls.captureKey(e), true);
     document.addEventListener('keydown', (e) => {
+        if (RouterGrid.handleKey(e)) return;
+        const modalOpen = Controls.modalOpen();
         if (e.key === 'Escape') {
-            if (!document.getElementById('settings-modal').classList.contains('hidden')) Settings.close();
+            if (modalOpen) Controls.closeModals();
+            else { e.preventDefault(); Game.togglePause(); }
+            return;
+        }
+        const action = shortcutFor(Controls.keymap, keyCombo(e));
+        if (action && !modalOpen && !Controls.typesIntoBox(e)) {
+            e.preventDefault();
+            Controls.run(action);
+            return;
         }
-        if ((e.key === ' ' || e.key === 'Enter') && GameState.status === 'idle') {
+        if ((e.key === ' ' || e.key === 'Enter') && GameState.status === 'idle' && !modalOpen) {
             const active = document.activeElement;
             const isInput = active && (active.tagName === 'INPUT' || active.tagName === 'BUTTON');
             if (!isInput && !btnStart.disabled) { e.preventDefault(); Game.start(); }
@@ -1062,23 +3545,52 @@ function wireEvents() {
 }
 
 /* ================================================================
-   15. INIT
+   24. INIT
    ================================================================ */
 document.addEventListener('DOMContentLoaded', () => {
     UI.cache();
+    UI.buildPowerupSlots();
+    verifyScores();
+    Settings.load();
+    GameState.adaptive = createAdaptiveProfile(StorageEngine.getAdaptive(StorageEngine.getLastName()));
     ParticleEngine.init();
     UI.renderLeaderboard();
     UI.updateHUD();
+    UI.updateResumeButton();
     wireEvents();
+    Settings.syncLeaderboard(); // runs finished while the server was away
+
+    // Offline play (see sw.js). Workers need http(s): opened from file:// the game simply runs uncached
+    if ('serviceWorker' in navigator && /^https?:$/.test(window.location.protocol)) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(err => console.warn('Memory Router: offline cache unavailable.', err));
+    }
 
     // Check if we have a previous name on load
-    const savedName = localStorage.getItem('memoryrouter_v2_last_name');
+    const savedName = StorageEngine.getLastName();
     if (savedName) {
         const inp = document.getElementById('player-name-input');
         inp.value = savedName;
         inp.dispatchEvent(new Event('input')); // trigger validation to enable button
     }
 
+    // Shared replay links: ?seed=XXXX&mode=strict[&type=hex&diff=hard][&present=dual]
+    const params = new URLSearchParams(window.location.search);
+    const urlSeed = Rng.clean(params.get('seed'));
+    if (urlSeed) UI.els['seed-input'].value = urlSeed;
+    if (MODE_DESC[params.get('mode')] && !Achievements.isModeLocked(params.get('mode'))) GameState.mode = params.get('mode');
+    if (SEQUENCE_TYPE_LABELS[params.get('type')] && DIFFICULTY_PRESETS[params.get('diff')]) {
+        GameState.progression = 'custom';
+        GameState.seqType = params.get('type');
+        GameState.difficulty = params.get('diff');
+    } else if (urlSeed) {
+        GameState.progression = 'auto';
+    }
+    if (PRESENTATIONS[params.get('present')]) GameState.presentation = params.get('present');
+    else if (urlSeed) GameState.presentation = 'visual';
+    UI.updateHUD();
+    UI.renderLeaderboard();
+
     console.log('%c MEMORY ROUTER v2 ', 'background:#00ffff;color:#000;font-weight:bold;padding:4px 8px;font-size:14px;');
     console.log('%c Token Box Input + Player Tracking', 'color:#00ff9f;font-size:12px');
 });
@@ -0,0 +1,260 @@
+/**
+ * ================================================================
+ *  MEMORY ROUTER — server/leaderboard.js
+ *  Optional team leaderboard. Clients with a server URL configured
+ *  submit every finished run; the server replays its run log with
+ *  the game's own rules (verifyRun in core.js) before accepting it,
+ *  and serves per-board rankings for today, this week and all time,
+ *  plus player profiles. Runs are kept in one JSON file.
+ *
+ *    npm run leaderboard                 # http://<this-machine>:8790
+ *    PORT=9000 DATA_FILE=./scores.json npm run leaderboard
+ *
+ *  REST API (JSON in, JSON out, CORS open to any origin):
+ *    POST /api/runs                        submit a finished run
+ *    GET  /api/boards                      boards with runs, busiest first
+ *    GET  /api/boards/:board?window=&limit= ranking: daily | weekly | all
+ *    GET  /api/players/:name               profile and recent runs
+ * ================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { verifyRun } = require('../core.js');
+const { boardKey, boardLabel, addRunToProfile } = require('../storage.js');
+
+const DEFAULT_PORT = 8790;
+const DEFAULT_FILE = path.join(__dirname, 'leaderboard.json');
+const MAX_BODY = 1024 * 1024; // run logs of long runs are tens of KB
+const BOARD_LIMIT = 10;
+const MAX_LIMIT = 50;
+const WINDOWS = ['daily', 'weekly', 'all'];
+
+class HttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+/** Names end up in other players' leaderboards, so no markup characters. */
+function cleanName(name) {
+    return String(name || '').replace(/[<>&"'`]/g, '').trim().toUpperCase().slice(0, 12) || 'GUEST';
+}
+
+/**
+ * Start of a ranking window in UTC: midnight today, or midnight on this
+ * week's Monday. null for all time.
+ */
+function windowStart(window, now) {
+    if (window === 'all') return null;
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (window === 'weekly') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start.toISOString();
+}
+
+/** Each player's best run on `board` since `since`, best first. */
+function rankRuns(runs, board, since) {
+    const best = new Map();
+    runs.forEach(run => {
+        if (run.board !== board || (since && run.receivedAt < since)) return;
+        const prev = best.get(run.name);
+        if (!prev || run.score > prev.score) best.set(run.name, run);
+    });
+    return [...best.values()].sort((a, b) => b.score - a.score || a.receivedAt.localeCompare(b.receivedAt));
+}
+
+function publicRun({ id, name, score, level, streak, mode, variant, seed, date, receivedAt }) {
+    return { id, name, score, level, streak, mode, variant, seed, date, receivedAt };
+}
+
+/** Runs on disk: loaded once, rewritten whole (via a temp file) after each accepted run. */
+function createJsonStore(file) {
+    let runs = [];
+    try {
+        const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (Array.isArray(doc.runs)) runs = doc.runs;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+    let writing = Promise.resolve();
+
+    return {
+        runs,
+        append(run) {
+            runs.push(run);
+            const doc = JSON.stringify({ version: 1, runs });
+            writing = writing.then(async () => {
+                await fs.promises.writeFile(`${file}.tmp`, doc);
+                await fs.promises.rename(`${file}.tmp`, file);
+            });
+            return writing;
+        },
+        flush: () => writing,
+    };
+}
+
+function decodePart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch {
+        throw new HttpError(400, 'Bad path.');
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY) { reject(new HttpError(413, 'Run too large.')); req.destroy(); return; }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch {
+                reject(new HttpError(400, 'Body is not JSON.'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Start a leaderboard server.
+ * @param {{ port?: number, host?: string, file?: string, now?: () => Date }} [options]
+ *        port 0 picks a free port; `now` lets tests move the clock
+ * @returns {Promise<{ port: number, runs: object[], close: () => Promise<void> }>}
+ */
+function startLeaderboard({ port = DEFAULT_PORT, host = '0.0.0.0', file = DEFAULT_FILE, now = () => new Date() } = {}) {
+    const store = createJsonStore(file);
+    let nextId = store.runs.reduce((max, r) => Math.max(max, r.id || 0), 0) + 1;
+
+    // [method, path pattern, handler(req, match, query)]
+    const routes = [
+        ['POST', /^\/api\/runs$/, async (req) => {
+            const entry = await readBody(req);
+            if (!entry || typeof entry !== 'object') throw new HttpError(400, 'Expected a run.');
+            const name = cleanName(entry.name);
+            const duplicate = store.runs.find(r => r.name === name && r.seed === entry.seed
+                && r.date === entry.date && r.score === entry.score);
+            if (duplicate) return [200, { ...accepted(duplicate), duplicate: true }];
+
+            const verdict = verifyRun(entry);
+            if (!verdict.ok) throw new HttpError(422, 'Run failed verification.', { flags: verdict.flags });
+
+            const run = {
+                id: nextId++,
+                name,
+                score: verdict.score,
+                level: verdict.level,
+                streak: verdict.maxStreak,
+                mode: entry.mode,
+                variant: entry.variant,
+                seed: entry.seed,
+                date: typeof entry.date === 'string' ? entry.date : now().toISOString(),
+                receivedAt: now().toISOString(),
+                board: boardKey(entry),
+            };
+            await store.append(run);
+            return [201, accepted(run)];
+        }],
+
+        ['GET', /^\/api\/boards$/, () => {
+            const counts = {};
+            store.runs.forEach(r => { counts[r.board] = (counts[r.board] || 0) + 1; });
+            const boards = Object.entries(counts)
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([board, runs]) => ({ board, label: boardLabel(board), runs }));
+            return [200, { boards }];
+        }],
+
+        ['GET', /^\/api\/boards\/([^/]+)$/, (req, [, board], query) => {
+            const window = query.get('window') || 'all';
+            if (!WINDOWS.includes(window)) throw new HttpError(400, `window must be one of ${WINDOWS.join(', ')}.`);
+            const limit = Math.min(MAX_LIMIT, parseInt(query.get('limit'), 10) || BOARD_LIMIT);
+            const since = windowStart(window, now());
+            const entries = rankRuns(store.runs, board, since).slice(0, limit)
+                .map((run, i) => ({ rank: i + 1, ...publicRun(run) }));
+            return [200, { board, label: boardLabel(board), window, since, entries }];
+        }],
+
+        ['GET', /^\/api\/players\/([^/]+)$/, (req, [, name]) => {
+            const runs = store.runs.filter(r => r.name === cleanName(name));
+            if (!runs.length) throw new HttpError(404, 'No runs for this player.');
+            const profile = runs.reduce((p, r) => addRunToProfile(p, r), null);
+            const recent = runs.slice(-10).reverse().map(r => ({ ...publicRun(r), board: r.board }));
+            return [200, { profile, recent }];
+        }],
+    ];
+
+    /** Where a newly accepted run stands in each window. */
+    const accepted = (run) => {
+        const ranks = {};
+        WINDOWS.forEach(window => {
+            const ranked = rankRuns(store.runs, run.board, windowStart(window, now()));
+            ranks[window] = ranked.findIndex(r => r.id === run.id) + 1; // 0: the player has a better run
+        });
+        return { id: run.id, board: run.board, ranks };
+    };
+
+
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type',
+            });
+            res.end(body === null ? '' : JSON.stringify(body));
+        };
+        if (req.method === 'OPTIONS') { send(204, null); return; }
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            let match = null;
+            const found = routes.find(([method, pattern]) => method === req.method && (match = pattern.exec(url.pathname)));
+            if (!found) throw new HttpError(404, 'Not found.');
+            const [status, body] = await found[2](req, match.map(decodePart), url.searchParams);
+            send(status, body);
+        } catch (err) {
+            if (!(err instanceof HttpError)) console.error('Memory Router leaderboard:', err);
+            const status = err instanceof HttpError ? err.status : 500;
+            send(status, { error: err instanceof HttpError ? err.message : 'Server error.', ...(err.extra || {}) });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            resolve({
+                port: server.address().port,
+                runs: store.runs,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(() => store.flush().then(done, done));
+                }),
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    const file = process.env.DATA_FILE ? path.resolve(process.env.DATA_FILE) : DEFAULT_FILE;
+    startLeaderboard({ port, file }).then(board => {
+        console.log(`Memory Router leaderboard listening on port ${board.port} (${board.runs.length} runs in ${file})`);
+    }, err => {
+        console.error(`Could not start leaderboard: ${err.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { startLeaderboard, windowStart, rankRuns, DEFAULT_PORT, WINDOWS };
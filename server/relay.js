@@ -0,0 +1,220 @@
+/**
+ * ================================================================
+ *  MEMORY ROUTER — server/relay.js
+ *  LAN race relay. Players join a room by code; the host starts a
+ *  race and every client gets the same seed and ruleset, so each
+ *  round's sequence is identical for everyone. Clients report their
+ *  progress, the relay fans it out, and the race ends for the room
+ *  when the last player is out. Needs no internet access.
+ *
+ *    npm run relay              # ws://<this-machine>:8787
+ *    PORT=9000 npm run relay
+ * ================================================================
+ */
+
+'use strict';
+
+const os = require('os');
+const { WebSocketServer } = require('ws');
+const { Rng, SEQUENCE_TYPE_LABELS, DIFFICULTY_PRESETS, PRESENTATIONS } = require('../core.js');
+
+const DEFAULT_PORT = 8787;
+const MAX_PLAYERS = 8;
+const HEARTBEAT_MS = 15000;
+const RACE_MODES = ['normal', 'strict', 'speed', 'grid', 'reverse', 'sorted', 'alternate', 'plusone', 'hardcore'];
+
+/** Room codes are short, case-insensitive and typed by hand. */
+function cleanRoom(code) {
+    return String(code || '').trim().toUpperCase().replace(/[^0-9A-Z]/g, '').slice(0, 8);
+}
+
+/** Names are shown in every racer's lobby and standings, so no markup characters. */
+function cleanName(name) {
+    return String(name || '').replace(/[<>&"'`]/g, '').trim().toUpperCase().slice(0, 12) || 'GUEST';
+}
+
+/**
+ * Everyone races on the host's ruleset. Practice and Daily Route make no
+ * sense head-to-head (no game over / fixed seed), so they fall back to Normal.
+ */
+function cleanRules(rules) {
+    const r = rules && typeof rules === 'object' ? rules : {};
+    const custom = r.progression === 'custom'
+        && SEQUENCE_TYPE_LABELS[r.seqType] && DIFFICULTY_PRESETS[r.difficulty];
+    return {
+        mode: RACE_MODES.includes(r.mode) ? r.mode : 'normal',
+        progression: custom ? 'custom' : 'auto',
+        seqType: custom ? r.seqType : 'numbers',
+        difficulty: custom ? r.difficulty : 'medium',
+        // Everyone sees and hears the same streams
+        presentation: PRESENTATIONS[r.presentation] ? r.presentation : 'visual',
+    };
+}
+
+/** Best first: furthest level reached, then score. */
+function standings(room) {
+    return [...room.players.values()]
+        .map(publicPlayer)
+        .sort((a, b) => b.level - a.level || b.score - a.score);
+}
+
+function publicPlayer(p) {
+    return { id: p.id, name: p.name, level: p.level, score: p.score, filled: p.filled, total: p.total, alive: p.alive };
+}
+
+/**
+ * Start a relay.
+ * @param {{ port?: number, host?: string }} [options]  port 0 picks a free port
+ * @returns {Promise<{ port: number, rooms: Map, close: () => Promise<void> }>}
+ */
+function startRelay({ port = DEFAULT_PORT, host = '0.0.0.0' } = {}) {
+    const rooms = new Map();
+    const wss = new WebSocketServer({ port, host });
+    let nextId = 1;
+
+    const send = (ws, type, payload = {}) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type, ...payload }));
+    };
+
+    const broadcast = (room, type, payload = {}) => {
+        room.players.forEach(p => send(p.ws, type, payload));
+    };
+
+    const sendPlayers = (room) => {
+        broadcast(room, 'players', { hostId: room.hostId, racing: !!room.race, players: standings(room) });
+    };
+
+    /** Close the race once nobody is left running. */
+    const checkRaceOver = (room) => {
+        if (!room.race || [...room.players.values()].some(p => p.alive)) return;
+        broadcast(room, 'over', { seed: room.race.seed, standings: standings(room) });
+        room.race = null;
+        sendPlayers(room);
+    };
+
+    const leave = (client) => {
+        const room = client.room && rooms.get(client.room);
+        if (!room) return;
+        room.players.delete(client.id);
+        client.room = null;
+        if (!room.players.size) { rooms.delete(room.code); return; }
+        if (room.hostId === client.id) room.hostId = room.players.keys().next().value;
+        sendPlayers(room);
+        checkRaceOver(room);
+    };
+
+    const handlers = {
+        join(client, msg) {
+            const code = cleanRoom(msg.room);
+            if (!code) return send(client.ws, 'error', { message: 'Enter a room code.' });
+            leave(client);
+
+            const room = rooms.get(code) || { code, hostId: client.id, players: new Map(), race: null };
+            if (room.race) return send(client.ws, 'error', { message: 'A race is already running in this room.' });
+            if (room.players.size >= MAX_PLAYERS) return send(client.ws, 'error', { message: 'Room is full.' });
+            rooms.set(code, room);
+
+            Object.assign(client, { name: cleanName(msg.name), room: code, level: 1, score: 0, filled: 0, total: 0, alive: false });
+            room.players.set(client.id, client);
+            send(client.ws, 'welcome', { id: client.id, room: code });
+            sendPlayers(room);
+        },
+
+        leave(client) {
+            leave(client);
+        },
+
+        start(client, msg) {
+            const room = rooms.get(client.room);
+            if (!room || room.hostId !== client.id) return send(client.ws, 'error', { message: 'Only the host can start.' });
+            if (room.race) return send(client.ws, 'error', { message: 'Race already running.' });
+            if (room.players.size < 2) return send(client.ws, 'error', { message: 'Need at least 2 racers.' });
+
+            room.race = { seed: `RACE-${Rng.randomSeed()}`, rules: cleanRules(msg.rules) };
+            room.players.forEach(p => Object.assign(p, { level: 1, score: 0, filled: 0, total: 0, alive: true }));
+            broadcast(room, 'start', room.race);
+            sendPlayers(room);
+        },
+
+        progress(client, msg) {
+            const room = rooms.get(client.room);
+            if (!room || !room.race || !client.alive) return;
+            const num = (v) => (Number.isInteger(v) && v >= 0 ? v : 0);
+            Object.assign(client, { level: num(msg.level) || 1, score: num(msg.score), filled: num(msg.filled), total: num(msg.total) });
+            sendPlayers(room);
+        },
+
+        out(client, msg) {
+            const room = rooms.get(client.room);
+            if (!room || !room.race || !client.alive) return;
+            handlers.progress(client, msg);
+            client.alive = false;
+            sendPlayers(room);
+            checkRaceOver(room);
+        },
+    };
+
+    wss.on('connection', (ws) => {
+        const client = { id: nextId++, ws, room: null };
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('message', (data) => {
+            let msg;
+            try { msg = JSON.parse(data); } catch { return; }
+            if (!msg || !Object.prototype.hasOwnProperty.call(handlers, msg.type)) return;
+            // One malformed message must not take every room down with it
+            try {
+                handlers[msg.type](client, msg);
+            } catch (err) {
+                console.error('Memory Router relay:', err);
+                send(ws, 'error', { message: 'Bad message.' });
+            }
+        });
+        ws.on('close', () => leave(client));
+        ws.on('error', () => {});
+    });
+
+    // Drop clients whose machine went to sleep or left the network
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) { ws.terminate(); return; }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT_MS);
+
+    return new Promise((resolve, reject) => {
+        wss.once('error', (err) => { clearInterval(heartbeat); reject(err); });
+        wss.once('listening', () => {
+            resolve({
+                port: wss.address().port,
+                rooms,
+                close: () => new Promise(done => {
+                    clearInterval(heartbeat);
+                    wss.clients.forEach(ws => ws.terminate());
+                    wss.close(() => done());
+                }),
+            });
+        });
+    });
+}
+
+/** IPv4 addresses other machines on the LAN can reach this relay at. */
+function lanAddresses() {
+    return Object.values(os.networkInterfaces()).flat()
+        .filter(i => i && i.family === 'IPv4' && !i.internal)
+        .map(i => i.address);
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    startRelay({ port }).then(relay => {
+        console.log(`Memory Router race relay listening on port ${relay.port}`);
+        ['localhost', ...lanAddresses()].forEach(addr => console.log(`  ws://${addr}:${relay.port}`));
+    }, err => {
+        console.error(`Could not start relay: ${err.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { startRelay, cleanRules, DEFAULT_PORT, MAX_PLAYERS };
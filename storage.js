@@ -0,0 +1,662 @@
+/**
+ * ================================================================
+ *  MEMORY ROUTER — storage.js
+ *  Versioned persistence: schema migrations, per-mode leaderboards,
+ *  player profiles, JSON export/import and optional sync with a team
+ *  leaderboard server (server/leaderboard.js). DOM-free — works on
+ *  any localStorage-like store (getItem / setItem / removeItem), so
+ *  it runs in the browser and under Node for tests.
+ * ================================================================
+ */
+
+'use strict';
+
+/* ================================================================
+   1. SCHEMA
+   ================================================================ */
+const SCHEMA_VERSION = 4;
+const BOARD_SIZE = 10;
+
+const STORAGE_KEYS = {
+    version: 'memoryrouter_schema',
+    boards: 'memoryrouter_v3_boards',
+    profiles: 'memoryrouter_v3_profiles',
+    settings: 'memoryrouter_v3_settings',
+    replays: 'memoryrouter_v3_replays',
+    stats: 'memoryrouter_v3_stats',
+    session: 'memoryrouter_v3_session',
+    lastName: 'memoryrouter_v3_last_name',
+    adaptive: 'memoryrouter_v3_adaptive',
+    achievements: 'memoryrouter_v3_achievements',
+    rejected: 'memoryrouter_v4_rejected',
+    outbox: 'memoryrouter_v4_outbox',
+    chunking: 'memoryrouter_v4_chunking',
+    drill: 'memoryrouter_v4_drill',
+};
+
+/** Keys written by v2 (single mixed top-10 + a global best). */
+const V2_KEYS = {
+    scores: 'memoryrouter_v2_scores',
+    best: 'memoryrouter_v2_best',
+    settings: 'memoryrouter_v2_settings',
+    replays: 'memoryrouter_v2_replays',
+    stats: 'memoryrouter_v2_stats',
+    session: 'memoryrouter_v2_session',
+    lastName: 'memoryrouter_v2_last_name',
+};
+
+/**
+ * Leaderboard a score belongs to: one per mode, one per Custom setting
+ * (e.g. 'strict:hex-hard') and one per Daily Route day ('daily:2026-10-19').
+ * @param {{ mode?: string, variant?: string, seed?: string }} entry
+ */
+function boardKey({ mode = 'normal', variant = 'auto', seed = '' }) {
+    if (mode === 'daily') {
+        const day = /^DAILY-(\d{4}-\d{2}-\d{2})$/.exec(seed || '');
+        return day ? `daily:${day[1]}` : 'daily';
+    }
+    return variant && variant !== 'auto' ? `${mode}:${variant}` : mode;
+}
+
+/** Human-readable board name: 'normal:hex-hard' → 'NORMAL · HEX HARD'. */
+function boardLabel(key) {
+    return key.split(':').map(part => part.replace(/-(?!\d)/g, ' ').toUpperCase()).join(' · ');
+}
+
+function rankBoard(entries) {
+    return [...entries].sort((a, b) => b.score - a.score).slice(0, BOARD_SIZE);
+}
+
+/** Fold one finished run into a player profile (creating it if needed). */
+function addRunToProfile(profile, entry) {
+    const p = profile || {
+        name: entry.name,
+        runs: 0,
+        totalScore: 0,
+        bestScore: 0,
+        bestLevel: 0,
+        modes: {},
+        firstPlayed: entry.date,
+        lastPlayed: entry.date,
+    };
+    p.runs++;
+    p.totalScore += entry.score;
+    p.bestScore = Math.max(p.bestScore, entry.score);
+    p.bestLevel = Math.max(p.bestLevel, entry.level || 0);
+    p.modes[entry.mode] = (p.modes[entry.mode] || 0) + 1;
+    if (entry.date < p.firstPlayed) p.firstPlayed = entry.date;
+    if (entry.date > p.lastPlayed) p.lastPlayed = entry.date;
+    return p;
+}
+
+/* ================================================================
+   2. MIGRATIONS
+   Each step upgrades a store from `version - 1` to `version`.
+   A store with no version marker but v2 keys is treated as v2;
+   a store with neither is a fresh install.
+   ================================================================ */
+function readJSON(store, key, fallback) {
+    try {
+        const raw = store.getItem(key);
+        return raw === null || raw === undefined ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+const MIGRATIONS = [
+    {
+        version: 3,
+        description: 'split the mixed v2 top-10 into per-mode boards, build profiles, rename keys',
+        up(store) {
+            const boards = {};
+            const profiles = {};
+            readJSON(store, V2_KEYS.scores, []).forEach(raw => {
+                if (!raw || typeof raw.score !== 'number') return;
+                const entry = {
+                    name: raw.name || 'GUEST',
+                    score: raw.score,
+                    level: raw.level || 1,
+                    streak: raw.streak || 0,
+                    mode: raw.mode || 'normal',
+                    variant: raw.variant || 'auto',
+                    seed: raw.seed || '',
+                    date: raw.date || new Date(0).toISOString(),
+                };
+                const key = boardKey(entry);
+                boards[key] = rankBoard([...(boards[key] || []), entry]);
+                profiles[entry.name] = addRunToProfile(profiles[entry.name], entry);
+            });
+            store.setItem(STORAGE_KEYS.boards, JSON.stringify(boards));
+            store.setItem(STORAGE_KEYS.profiles, JSON.stringify(profiles));
+
+            ['settings', 'replays', 'stats', 'session', 'lastName'].forEach(name => {
+                const value = store.getItem(V2_KEYS[name]);
+                if (value !== null && value !== undefined) store.setItem(STORAGE_KEYS[name], value);
+            });
+            // KEY_BEST is derivable from the boards now
+            Object.values(V2_KEYS).forEach(key => store.removeItem(key));
+        },
+    },
+    {
+        version: 4,
+        description: 'mark scores saved before run logs as legacy: kept, but shown as unverified',
+        up(store) {
+            const boards = readJSON(store, STORAGE_KEYS.boards, {});
+            Object.values(boards).forEach(entries => {
+                if (Array.isArray(entries)) entries.forEach(e => { if (e && !e.log) e.legacy = true; });
+            });
+            store.setItem(STORAGE_KEYS.boards, JSON.stringify(boards));
+        },
+    },
+];
+
+/**
+ * Bring a store up to SCHEMA_VERSION.
+ * @returns {number} the version the store was at before migrating
+ */
+function migrateStore(store) {
+    const marker = parseInt(store.getItem(STORAGE_KEYS.version), 10);
+    const hasV2 = Object.values(V2_KEYS).some(key => store.getItem(key) !== null && store.getItem(key) !== undefined);
+    const from = Number.isInteger(marker) ? marker : (hasV2 ? 2 : SCHEMA_VERSION);
+
+    if (from > SCHEMA_VERSION) {
+        throw new Error(`Data is from a newer version of Memory Router (schema ${from}).`);
+    }
+    MIGRATIONS.filter(m => m.version > from).forEach(m => m.up(store));
+    store.setItem(STORAGE_KEYS.version, String(SCHEMA_VERSION));
+    return from;
+}
+
+/** Names end up on boards and in the replay list, so no markup characters. */
+function cleanName(name) {
+    return name.replace(/[<>&"'`]/g, '').trim().toUpperCase().slice(0, 12) || 'GUEST';
+}
+
+/** Stats and drill decks are keyed by sequence tokens: 1–4 digits or capitals (isToken in core.js). */
+const STORED_TOKEN = /^[0-9A-Z]{1,4}$/;
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/** Keep the `[key, value]` pairs of a plain object that pass `keep`; anything else becomes {}. */
+function pickEntries(obj, keep) {
+    return Object.fromEntries(Object.entries(isPlainObject(obj) ? obj : {}).filter(([k, v]) => keep(k, v)));
+}
+
+/**
+ * Weed out of an imported store what this game never writes: scores,
+ * replays and queued runs whose name isn't a string or whose mode isn't
+ * one of `modes`, profile counts for unknown modes, a saved session in an
+ * unknown mode, stats and drill cards that aren't about real tokens, and
+ * any store that isn't the object or list the game expects. Names left in
+ * are cleaned of markup.
+ * @param {string[]} [modes]  every mode the game knows; any mode passes when left out
+ */
+function cleanImport(store, modes) {
+    const knownMode = (mode) => typeof mode === 'string' && (!modes || modes.includes(mode));
+    const tally = (v, fields) => isPlainObject(v) && fields.every(f => Number.isFinite(v[f]) && v[f] >= 0);
+    /** `fn` gets the parsed value and returns the cleaned one, or null to drop the store. */
+    const rewrite = (name, fn) => {
+        const key = STORAGE_KEYS[name];
+        const raw = store.getItem(key);
+        if (raw === null || raw === undefined) return;
+        const value = fn(readJSON(store, key, null));
+        if (value === null) store.removeItem(key); else store.setItem(key, JSON.stringify(value));
+    };
+    const objects = (fn) => (value) => (isPlainObject(value) ? fn(value) : null);
+    const lists = (fn) => (value) => (Array.isArray(value) ? fn(value) : null);
+    const cleanEntries = (list) => list
+        .filter(e => isPlainObject(e) && typeof e.name === 'string' && knownMode(e.mode))
+        .map(e => ({ ...e, name: cleanName(e.name) }));
+    /** Per-player stores ({ NAME: data }): keyed by the cleaned name, each player's data run through `clean`. */
+    const perPlayer = (clean = v => v) => objects(all => {
+        const kept = {};
+        Object.entries(all).forEach(([name, data]) => { if (isPlainObject(data)) kept[cleanName(name)] = clean(data); });
+        return kept;
+    });
+
+    rewrite('boards', objects(boards => {
+        const kept = {};
+        Object.keys(boards).forEach(key => {
+            const entries = Array.isArray(boards[key]) ? cleanEntries(boards[key]) : [];
+            if (entries.length) kept[key] = entries;
+        });
+        return kept;
+    }));
+    ['replays', 'rejected', 'outbox'].forEach(name => rewrite(name, lists(cleanEntries)));
+    rewrite('profiles', objects(profiles => {
+        const kept = {};
+        Object.values(profiles).forEach(p => {
+            if (!isPlainObject(p) || typeof p.name !== 'string' || !isPlainObject(p.modes)) return;
+            const counts = Object.entries(p.modes).filter(([mode]) => knownMode(mode));
+            if (!counts.length) return;
+            const name = cleanName(p.name);
+            kept[name] = { ...p, name, modes: Object.fromEntries(counts) };
+        });
+        return kept;
+    }));
+
+    // Token keys reach the stats modal and the drill deck list
+    const statsFields = {
+        positions: (list) => (Array.isArray(list) ? list : []).map(p => (tally(p, ['seen', 'correct']) ? p : null)),
+        tokens: (tokens) => pickEntries(tokens, (token, t) => STORED_TOKEN.test(token) && tally(t, ['seen', 'correct'])),
+        confusions: (pairs) => pickEntries(pairs, (pair, n) => {
+            const tokens = pair.split('>');
+            return tokens.length === 2 && tokens.every(t => STORED_TOKEN.test(t)) && Number.isInteger(n) && n > 0;
+        }),
+        phases: (phases) => pickEntries(phases, (phase, p) => tally(p, ['rounds', 'correct'])),
+    };
+    rewrite('stats', objects(stats => Object.fromEntries(Object.keys(statsFields)
+        .filter(field => field in stats)
+        .map(field => [field, statsFields[field](stats[field])]))));
+    rewrite('drill', perPlayer(deck => pickEntries(deck, (token, card) =>
+        STORED_TOKEN.test(token) && tally(card, ['ease', 'interval', 'reps', 'lapses', 'due']))));
+    ['adaptive', 'chunking', 'achievements'].forEach(name => rewrite(name, perPlayer()));
+    rewrite('settings', objects(settings => settings));
+
+    const session = readJSON(store, STORAGE_KEYS.session, null);
+    if (isPlainObject(session) && typeof session.name === 'string') session.name = cleanName(session.name);
+    if (!isPlainObject(session) || !knownMode(session.mode) || ('name' in session && typeof session.name !== 'string')) {
+        store.removeItem(STORAGE_KEYS.session);
+    } else {
+        store.setItem(STORAGE_KEYS.session, JSON.stringify(session));
+    }
+    const lastName = store.getItem(STORAGE_KEYS.lastName);
+    if (lastName !== null && lastName !== undefined) store.setItem(STORAGE_KEYS.lastName, cleanName(lastName));
+}
+
+/** Plain in-memory store with the localStorage interface (import staging, tests). */
+function createMemoryStore(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: (key) => { data.delete(key); },
+        keys: () => [...data.keys()],
+    };
+}
+
+/* ================================================================
+   3. LEADERBOARD SERVER
+   REST client for server/leaderboard.js. Local boards stay the
+   source of truth for this device; finished runs queue in an
+   outbox and are sent when the server can be reached.
+   ================================================================ */
+const REMOTE_WINDOWS = ['daily', 'weekly', 'all'];
+const REMOTE_TIMEOUT = 8000;
+
+/**
+ * @param {string} baseUrl  e.g. 'http://192.168.1.10:8790'
+ * @param {Function} [fetchFn]  fetch-compatible; the global fetch by default
+ */
+function createLeaderboardClient(baseUrl, fetchFn = (...args) => fetch(...args)) {
+    const url = String(baseUrl).trim().replace(/\/+$/, '');
+
+    /** @throws {Error} with `status` (0 when unreachable) and the server's `data` */
+    const request = async (method, path, body) => {
+        let res;
+        try {
+            res = await fetchFn(`${url}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined,
+                signal: typeof AbortSignal !== 'undefined' && AbortSignal.timeout ? AbortSignal.timeout(REMOTE_TIMEOUT) : undefined,
+            });
+        } catch (err) {
+            throw Object.assign(new Error(`Leaderboard server unreachable (${err.message}).`), { status: 0, data: {} });
+        }
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw Object.assign(new Error(data.error || `Leaderboard server answered ${res.status}.`), { status: res.status, data });
+        return data;
+    };
+
+    return {
+        url,
+        submitRun: (entry) => request('POST', '/api/runs', entry),
+        getBoards: () => request('GET', '/api/boards'),
+        /** @param {'daily'|'weekly'|'all'} window */
+        getBoard: (board, window = 'all', limit = BOARD_SIZE) =>
+            request('GET', `/api/boards/${encodeURIComponent(board)}?window=${window}&limit=${limit}`),
+        getProfile: (name) => request('GET', `/api/players/${encodeURIComponent(name)}`),
+    };
+}
+
+/* ================================================================
+   4. STORAGE ENGINE
+   ================================================================ */
+
+/**
+ * @param {{ getItem: Function, setItem: Function, removeItem: Function }} store
+ */
+function createStorageEngine(store) {
+    return {
+        store,
+        MAX_REPLAYS: 10,
+        MAX_REJECTED: 20,
+        MAX_OUTBOX: 50,
+        remote: null,   // leaderboard client while a server URL is configured
+        syncing: null,  // the sync() in flight
+
+        migrate() {
+            return migrateStore(store);
+        },
+
+        read(name, fallback) {
+            return readJSON(store, STORAGE_KEYS[name], fallback);
+        },
+
+        write(name, value) {
+            store.setItem(STORAGE_KEYS[name], JSON.stringify(value));
+        },
+
+        /* ── Leaderboards ── */
+
+        getBoards() {
+            return this.read('boards', {});
+        },
+
+        /** Top entries of one board, best first. */
+        getScores(board) {
+            return this.getBoards()[board] || [];
+        },
+
+        getBest(board) {
+            const top = this.getScores(board)[0];
+            return top ? top.score : 0;
+        },
+
+        /**
+         * Record a finished run on its board and in the player's profile.
+         * @returns {{ board: string, rank: number, newBest: boolean }} rank is 0 when it missed the board
+         */
+        saveScore(entry) {
+            const board = boardKey(entry);
+            const boards = this.getBoards();
+            const prevBest = (boards[board] && boards[board][0]) ? boards[board][0].score : 0;
+            boards[board] = rankBoard([...(boards[board] || []), entry]);
+            this.write('boards', boards);
+
+            const profiles = this.getProfiles();
+            const name = entry.name || 'GUEST';
+            profiles[name] = addRunToProfile(profiles[name], { ...entry, name });
+            this.write('profiles', profiles);
+
+            if (this.remote) this.write('outbox', [...this.getOutbox(), entry].slice(-this.MAX_OUTBOX));
+
+            return {
+                board,
+                rank: boards[board].indexOf(entry) + 1,
+                newBest: entry.score > prevBest && entry.score > 0,
+            };
+        },
+
+        /**
+         * Re-check every board entry with `verify` (verifyRun in core.js). Entries
+         * that fail leave their board and are kept, without their run log, under
+         * `rejected` with the reasons; legacy entries have no log and are let be.
+         * @param {(entry: object) => { ok: boolean, flags: object[] }} verify
+         * @returns {object[]} what this pass rejected
+         */
+        verifyBoards(verify, date = new Date().toISOString()) {
+            const boards = this.getBoards();
+            const rejected = [];
+            Object.keys(boards).forEach(board => {
+                const kept = (Array.isArray(boards[board]) ? boards[board] : []).filter(entry => {
+                    if (entry && entry.legacy) return true;
+                    const { ok, flags } = verify(entry || {});
+                    if (!ok) {
+                        const { log, ...rest } = entry || {};
+                        rejected.push({ ...rest, board, flags, rejectedAt: date });
+                    }
+                    return ok;
+                });
+                if (kept.length) boards[board] = kept; else delete boards[board];
+            });
+            if (rejected.length) {
+                this.write('boards', boards);
+                this.write('rejected', [...rejected, ...this.getRejected()].slice(0, this.MAX_REJECTED));
+            }
+            return rejected;
+        },
+
+        /* ── Leaderboard server ── */
+
+        /** Sync with the server at `url` from now on; an empty url goes back to local-only. */
+        connect(url, fetchFn) {
+            this.remote = url && String(url).trim() ? createLeaderboardClient(url, fetchFn) : null;
+            return this.remote;
+        },
+
+        /** Finished runs not yet accepted by the server, oldest first. */
+        getOutbox() {
+            return this.read('outbox', []) || [];
+        },
+
+        /**
+         * Send queued runs, oldest first. Stops at the first the server can't take
+         * right now (unreachable, 5xx) and keeps it and the rest queued; runs it
+         * refuses outright (e.g. failed verification) are dropped and reported.
+         * @returns {Promise<{ sent: number, refused: { entry: object, error: string }[], pending: number }>}
+         */
+        sync() {
+            if (!this.remote) return Promise.resolve({ sent: 0, refused: [], pending: this.getOutbox().length });
+            if (this.syncing) return this.syncing;
+            const remote = this.remote;
+            this.syncing = (async () => {
+                let sent = 0;
+                const refused = [];
+                for (let entry = this.getOutbox()[0]; entry; entry = this.getOutbox()[0]) {
+                    try {
+                        await remote.submitRun(entry);
+                        sent++;
+                    } catch (err) {
+                        if (!err.status || err.status >= 500) break;
+                        refused.push({ entry, error: err.message });
+                    }
+                    // saveScore() only appends, so the head is still the run just sent
+                    this.write('outbox', this.getOutbox().slice(1));
+                }
+                return { sent, refused, pending: this.getOutbox().length };
+            })().finally(() => { this.syncing = null; });
+            return this.syncing;
+        },
+
+        /** Entries verifyBoards() took off the boards, newest first. */
+        getRejected() {
+            return this.read('rejected', []) || [];
+        },
+
+        /* ── Profiles ── */
+
+        getProfiles() {
+            return this.read('profiles', {});
+        },
+
+        getProfile(name) {
+            return this.getProfiles()[name] || null;
+        },
+
+        getLastName() {
+            return store.getItem(STORAGE_KEYS.lastName) || '';
+        },
+
+        setLastName(name) {
+            store.setItem(STORAGE_KEYS.lastName, name);
+        },
+
+        /** Adaptive-progression span estimate for one player, or null. */
+        getAdaptive(name) {
+            return (this.read('adaptive', {}) || {})[name] || null;
+        },
+
+        saveAdaptive(name, profile) {
+            const all = this.read('adaptive', {}) || {};
+            all[name || 'GUEST'] = profile;
+            this.write('adaptive', all);
+        },
+
+        /** Chunk Trainer fade and chunked/baseline tallies for one player, or null. */
+        getChunking(name) {
+            return (this.read('chunking', {}) || {})[name] || null;
+        },
+
+        saveChunking(name, profile) {
+            const all = this.read('chunking', {}) || {};
+            all[name || 'GUEST'] = profile;
+            this.write('chunking', all);
+        },
+
+        /** Drill mode's spaced-repetition deck for one player (token → card), or null. */
+        getDrillDeck(name) {
+            return (this.read('drill', {}) || {})[name] || null;
+        },
+
+        saveDrillDeck(name, deck) {
+            const all = this.read('drill', {}) || {};
+            all[name || 'GUEST'] = deck;
+            this.write('drill', all);
+        },
+
+        /** Achievements one player has earned: id → ISO date. */
+        getAchievements(name) {
+            return (this.read('achievements', {}) || {})[name] || {};
+        },
+
+        /** Record achievements for a player; ids they already have keep their first date. */
+        awardAchievements(name, ids, date = new Date().toISOString()) {
+            const all = this.read('achievements', {}) || {};
+            const key = name || 'GUEST';
+            all[key] = { ...all[key] };
+            ids.forEach(id => { if (!all[key][id]) all[key][id] = date; });
+            this.write('achievements', all);
+            return all[key];
+        },
+
+        /**
+         * Everything earned by anyone on this device, with the earliest date.
+         * Rewards (themes, modes) unlock per device, not per alias.
+         */
+        getAllAchievements() {
+            const merged = {};
+            Object.values(this.read('achievements', {}) || {}).forEach(earned => {
+                Object.entries(earned || {}).forEach(([id, date]) => {
+                    if (!merged[id] || date < merged[id]) merged[id] = date;
+                });
+            });
+            return merged;
+        },
+
+        /* ── Settings, stats, session ── */
+
+        getSettings() {
+            return this.read('settings', {}) || {};
+        },
+
+        saveSettings(settings) {
+            this.write('settings', settings);
+        },
+
+        getStats() {
+            return this.read('stats', null);
+        },
+
+        saveStats(stats) {
+            this.write('stats', stats);
+        },
+
+        /** In-progress run saved at the last round boundary, or null. */
+        getSession() {
+            return this.read('session', null);
+        },
+
+        saveSession(session) {
+            this.write('session', session);
+        },
+
+        clearSession() {
+            store.removeItem(STORAGE_KEYS.session);
+        },
+
+        /* ── Replays ── */
+
+        /** Saved run recordings, newest first. */
+        getReplays() {
+            return this.read('replays', []) || [];
+        },
+
+        saveReplay(run) {
+            const runs = [run, ...this.getReplays()].slice(0, this.MAX_REPLAYS);
+            // Recordings are the bulkiest thing we store — shed old runs until it fits
+            while (runs.length) {
+                try { this.write('replays', runs); return; } catch { runs.pop(); }
+            }
+        },
+
+        /* ── Export / import ── */
+
+        /** Everything we store, as one JSON-serialisable document. */
+        exportData() {
+            const data = {};
+            Object.keys(STORAGE_KEYS).forEach(name => {
+                if (name === 'version') return;
+                const raw = store.getItem(STORAGE_KEYS[name]);
+                if (raw !== null && raw !== undefined) data[name] = raw;
+            });
+            return {
+                app: 'memory-router',
+                schema: SCHEMA_VERSION,
+                exportedAt: new Date().toISOString(),
+                data,
+            };
+        },
+
+        /**
+         * Replace all local data with an export. Older exports are migrated
+         * in a staging store first, so nothing is touched if they are invalid;
+         * then entries with a bad name or an unknown mode are left out.
+         * @param {{ modes?: string[] }} [options]  the modes the game knows
+         * @throws {Error} when the document is not a Memory Router export
+         */
+        importData(doc, { modes } = {}) {
+            if (!doc || doc.app !== 'memory-router' || !doc.data || typeof doc.data !== 'object') {
+                throw new Error('Not a Memory Router export file.');
+            }
+            const schema = Number(doc.schema);
+            if (!Number.isInteger(schema) || schema < 3) {
+                throw new Error('Unsupported export version.');
+            }
+
+            const staging = createMemoryStore({ [STORAGE_KEYS.version]: String(schema) });
+            Object.keys(STORAGE_KEYS).forEach(name => {
+                if (name !== 'version' && typeof doc.data[name] === 'string') {
+                    staging.setItem(STORAGE_KEYS[name], doc.data[name]);
+                }
+            });
+            migrateStore(staging);
+            cleanImport(staging, modes);
+
+            Object.values(STORAGE_KEYS).forEach(key => {
+                const value = staging.getItem(key);
+                if (value === null) store.removeItem(key); else store.setItem(key, value);
+            });
+        },
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCHEMA_VERSION,
+        BOARD_SIZE,
+        STORAGE_KEYS,
+        V2_KEYS,
+        MIGRATIONS,
+        boardKey,
+        boardLabel,
+        addRunToProfile,
+        migrateStore,
+        createMemoryStore,
+        REMOTE_WINDOWS,
+        createLeaderboardClient,
+        createStorageEngine,
+    };
+}
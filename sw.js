@@ -0,0 +1,75 @@
+/**
+ * ================================================================
+ *  MEMORY ROUTER — sw.js
+ *  Service worker for offline play. Precaches the whole app shell
+ *  on install and serves it cache-first, refreshing each cached
+ *  file in the background so the next load picks up updates.
+ *  Bump CACHE_VERSION when PRECACHE changes.
+ * ================================================================
+ */
+
+'use strict';
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `memory-router-v${CACHE_VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'style.css',
+    'tailwind.css',
+    'core.js',
+    'storage.js',
+    'script.js',
+    'plugins/stats-logger.js',
+    'manifest.webmanifest',
+    'fonts/orbitron-latin-400-normal.woff2',
+    'fonts/orbitron-latin-600-normal.woff2',
+    'fonts/orbitron-latin-700-normal.woff2',
+    'fonts/orbitron-latin-900-normal.woff2',
+    'fonts/share-tech-mono-latin-400-normal.woff2',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png',
+];
+
+if (typeof self !== 'undefined' && typeof self.addEventListener === 'function') {
+    self.addEventListener('install', (event) => {
+        event.waitUntil(caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting()));
+    });
+
+    // Drop caches left by older versions
+    self.addEventListener('activate', (event) => {
+        event.waitUntil(caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k.startsWith('memory-router-') && k !== CACHE_NAME).map(k => caches.delete(k))))
+            .then(() => self.clients.claim()));
+    });
+
+    self.addEventListener('fetch', (event) => {
+        const { request } = event;
+        if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+        event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+            // Shared links (?seed=…&mode=…) are all the same page
+            const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+            const refresh = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request.mode === 'navigate' ? request.url.split('?')[0] : request, response.clone());
+                    return response;
+                });
+            if (cached) {
+                event.waitUntil(refresh.catch(() => {})); // offline: keep serving the cached copy
+                return cached;
+            }
+            return refresh;
+        }));
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CACHE_NAME, PRECACHE };
+}
@@ -0,0 +1,32 @@
+/**
+ * Tailwind build for the UI. `npm run build:css` scans index.html and
+ * script.js and writes tailwind.css, which is committed so the game runs
+ * straight from the folder (or offline) without a build step.
+ */
+module.exports = {
+    content: ['./index.html', './script.js'],
+    theme: {
+        extend: {
+            // Fonts and accent colours follow the active theme (CSS variables set by ThemeEngine)
+            fontFamily: {
+                orbitron: ['var(--font-display)'],
+                mono: ['var(--font-mono)'],
+            },
+            colors: {
+                cyber: {
+                    bg: '#0b0b12',
+                    panel: 'rgba(15, 23, 42, 0.75)',
+                    border: 'rgba(0, 191, 255, 0.3)',
+                    cyan: 'var(--cyan)',
+                    blue: 'var(--blue)',
+                    green: 'var(--green)',
+                    magenta: 'var(--magenta)',
+                    yellow: 'var(--yellow)',
+                    red: 'var(--red)',
+                    lime: 'var(--lime)',
+                    dim: '#1a2332',
+                },
+            },
+        },
+    },
+};
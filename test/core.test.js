@@ -0,0 +1,1397 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getProgressiveConfig,
+    getRoundConfig,
+    getMultiplier,
+    getMultiplierProgress,
+    scoreRound,
+    recallAnswer,
+    ADAPTIVE,
+    createAdaptiveProfile,
+    adaptiveRunProfile,
+    adaptiveChance,
+    adaptiveChars,
+    adaptiveRate,
+    updateAdaptive,
+    tokenVoice,
+    tokenVoices,
+    presentationOf,
+    CHUNKING,
+    chunkSizes,
+    chunkMnemonic,
+    createChunkProfile,
+    chunkStage,
+    isBaselineRound,
+    updateChunkProfile,
+    chunkComparison,
+    DRILL,
+    DAY_MS,
+    isToken,
+    tokenFits,
+    createDrillDeck,
+    drillQuality,
+    reviewDrillCard,
+    drillProgress,
+    drillSet,
+    cleanDrillSet,
+    drillSequence,
+    Rng,
+    SequenceGenerator,
+    createGameCore,
+    ROUNDS_PER_BOOST,
+    BOOST_DURATION,
+    PRACTICE_TIMER,
+    NODE_DISPLAY_TIME,
+    SLOWMO_FACTOR,
+    POWERUPS,
+    powerupsEarned,
+    powerupPenalty,
+    ACHIEVEMENTS,
+    phaseNumber,
+    checkAchievements,
+    achievementRewards,
+    unlockedBy,
+    SHORTCUTS,
+    keyCombo,
+    bindableCombo,
+    comboLabel,
+    createKeymap,
+    rebindKey,
+    shortcutFor,
+    GAMEPAD,
+    readGamepad,
+    createEventBus,
+    registerMode,
+    registerGenerator,
+    recallWeight,
+    createManualClock,
+    RUN_LOG_VERSION,
+    runRules,
+    verifyRun,
+} = require('../core.js');
+
+function setup(mode = 'normal', hooks = {}) {
+    const clock = createManualClock();
+    const core = createGameCore({ clock, rng: { ...Rng }, hooks });
+    core.state.mode = mode;
+    core.newRun('TEST-SEED');
+    return { clock, core };
+}
+
+/** Play one round through to the input phase and answer it. */
+function playRound(core, answer = 'correct') {
+    core.beginRound();
+    core.beginInput();
+    const tokens = answer === 'correct'
+        ? [...core.state.sequence]
+        : core.state.sequence.map(t => (t === 'Z'.repeat(t.length) ? 'Y' : 'Z').repeat(t.length));
+    return core.submit(tokens);
+}
+
+test('progressive config: phase boundaries', () => {
+    assert.equal(getProgressiveConfig(1).phase, 'PHASE 01');
+    assert.equal(getProgressiveConfig(4).phase, 'PHASE 01');
+    assert.equal(getProgressiveConfig(5).phase, 'PHASE 02');
+    assert.equal(getProgressiveConfig(9).type, 'alpha');
+    assert.equal(getProgressiveConfig(15).type, 'hex');
+    assert.equal(getProgressiveConfig(15).tokenLen, 2);
+    assert.equal(getProgressiveConfig(21).type, 'mixed');
+});
+
+test('progressive config: length growth and caps', () => {
+    assert.deepEqual([5, 6, 7, 8].map(l => getProgressiveConfig(l).length), [5, 5, 6, 6]);
+    assert.equal(getProgressiveConfig(14).length, 7);
+    assert.equal(getProgressiveConfig(20).length, 8);
+    assert.equal(getProgressiveConfig(99).length, 12);
+});
+
+test('progressive config: router grid has its own phase, grid and path grow', () => {
+    const sizes = [1, 6, 7, 14, 15, 99].map(l => getProgressiveConfig(l, 'grid').gridSize);
+    assert.deepEqual(sizes, [3, 3, 4, 4, 5, 5]);
+    assert.deepEqual([1, 2, 3, 5, 7, 14, 15, 99].map(l => getProgressiveConfig(l, 'grid').length),
+        [3, 3, 4, 5, 5, 8, 8, 12]);
+    const cfg = getProgressiveConfig(7, 'grid');
+    assert.equal(cfg.type, 'grid');
+    assert.equal(cfg.phase, 'PHASE GR');
+    assert.equal(cfg.label, 'ROUTER GRID 4×4');
+
+    // Custom progression doesn't apply to grid rounds
+    const custom = { progression: 'custom', mode: 'grid', seqType: 'hex', difficulty: 'hard' };
+    assert.deepEqual(getRoundConfig(7, custom), cfg);
+});
+
+test('round config: custom settings pin type and scale by difficulty', () => {
+    const custom = { progression: 'custom', mode: 'normal', seqType: 'hex', difficulty: 'hard' };
+    const cfg = getRoundConfig(1, custom);
+    assert.equal(cfg.type, 'hex');
+    assert.equal(cfg.tokenLen, 2);
+    assert.equal(cfg.length, 5);
+    assert.equal(cfg.timer, 8);
+    assert.equal(cfg.phase, 'CUSTOM');
+
+    // Daily Route ignores custom settings
+    assert.deepEqual(getRoundConfig(1, { ...custom, mode: 'daily' }), getProgressiveConfig(1));
+});
+
+test('adaptive: rounds are sized for the target success rate', () => {
+    assert.equal(adaptiveChars(ADAPTIVE.startSpan), 4);
+    const p = adaptiveChance(adaptiveChars(9), 9);
+    assert.ok(Math.abs(p - ADAPTIVE.targetRate) < 0.1, `chance ${p}`);
+
+    const profile = createAdaptiveProfile();
+    const hex = getRoundConfig(15, { progression: 'adaptive', mode: 'normal', adaptive: profile });
+    assert.equal(hex.type, 'hex');
+    assert.equal(hex.length, 3); // never below 3 tokens, even for 2-char tokens
+    assert.equal(hex.phase, 'ADAPTIVE');
+
+    // Daily Route and Router Grid keep their fixed phases
+    assert.deepEqual(getRoundConfig(3, { progression: 'adaptive', mode: 'daily', adaptive: profile }), getProgressiveConfig(3));
+    assert.deepEqual(getRoundConfig(3, { progression: 'adaptive', mode: 'grid', adaptive: profile }),
+        getProgressiveConfig(3, 'grid'));
+});
+
+test('adaptive: the span estimate converges on a simulated player', () => {
+    const rng = { ...Rng };
+    rng.seed('SIM');
+    [6, 9, 12].forEach(trueSpan => {
+        const profile = createAdaptiveProfile();
+        let correct = 0;
+        for (let round = 0; round < 400; round++) {
+            const chars = adaptiveChars(profile.span);
+            const ok = rng.next() < adaptiveChance(chars, trueSpan);
+            if (round >= 100) correct += ok ? 1 : 0;
+            updateAdaptive(profile, { correct: ok, chars, timeUsed: 0.6 });
+        }
+        assert.ok(Math.abs(profile.span - trueSpan) < 1.5, `span ${profile.span} for ${trueSpan}`);
+        assert.ok(Math.abs(correct / 300 - ADAPTIVE.targetRate) < 0.08, `rate ${correct / 300}`);
+    });
+});
+
+test('adaptive: tempo follows response times within its bounds', () => {
+    const profile = createAdaptiveProfile();
+    updateAdaptive(profile, { correct: true, chars: 4, timeUsed: 0.2 });
+    assert.equal(profile.tempo, 0.95);
+    updateAdaptive(profile, { correct: false, chars: 4, timeUsed: 1, timedOut: true });
+    assert.equal(profile.tempo, 1.05);
+    updateAdaptive(profile, { correct: true, chars: 4, timeUsed: null });
+    assert.equal(profile.tempo, 1.05);
+    for (let i = 0; i < 50; i++) updateAdaptive(profile, { correct: true, chars: 4, timeUsed: 0.1 });
+    assert.equal(profile.tempo, ADAPTIVE.minTempo);
+
+    assert.equal(profile.history.length, ADAPTIVE.window);
+    assert.equal(adaptiveRate(profile), 1);
+    assert.equal(adaptiveRate(createAdaptiveProfile()), null);
+    assert.deepEqual(createAdaptiveProfile({ span: 'x', tempo: 99, rounds: -1 }), createAdaptiveProfile());
+});
+
+test('multiplier thresholds', () => {
+    const table = [[0, 1], [1, 1], [2, 2], [3, 2], [4, 3], [6, 3], [7, 5], [10, 5], [11, 8], [50, 8]];
+    for (const [streak, mult] of table) assert.equal(getMultiplier(streak), mult, `streak ${streak}`);
+    assert.equal(getMultiplierProgress(1), 0);
+    assert.equal(getMultiplierProgress(3), 0.5);
+    assert.equal(getMultiplierProgress(11), 1);
+});
+
+test('scoreRound: base × multiplier plus speed bonus over half the timer', () => {
+    assert.equal(scoreRound({ level: 3, multiplier: 2, timerLeft: 10, timerTotal: 10 }), 650);
+    assert.equal(scoreRound({ level: 3, multiplier: 2, timerLeft: 8, timerTotal: 10 }), 640);
+    assert.equal(scoreRound({ level: 3, multiplier: 2, timerLeft: 5, timerTotal: 10 }), 600);
+});
+
+test('scoreRound: recall weight scales the whole round', () => {
+    assert.equal(scoreRound({ level: 3, multiplier: 2, timerLeft: 10, timerTotal: 10, weight: 2 }), 1300);
+    assert.equal(scoreRound({ level: 1, multiplier: 1, timerLeft: 0, timerTotal: 10, weight: 1.25 }), 125);
+});
+
+test('recall modes transform the expected answer', () => {
+    const seq = ['7', '2', '9', '4', '0'];
+    assert.deepEqual(recallAnswer(seq, 'normal', 'numbers'), seq);
+    assert.deepEqual(recallAnswer(seq, 'reverse', 'numbers'), ['0', '4', '9', '2', '7']);
+    assert.deepEqual(recallAnswer(seq, 'sorted', 'numbers'), ['0', '2', '4', '7', '9']);
+    assert.deepEqual(recallAnswer(seq, 'alternate', 'numbers'), ['7', '9', '0']);
+    assert.deepEqual(recallAnswer(seq, 'plusone', 'numbers'), ['8', '3', '0', '5', '1']);
+
+    // +1 wraps within each token's own alphabet
+    assert.deepEqual(recallAnswer(['Z', 'H', '9', 'A'], 'plusone', 'mixed'), ['A', 'J', '0', 'B']);
+    assert.deepEqual(recallAnswer(['0F', 'A9', 'FF'], 'plusone', 'hex'), ['10', 'BA', '00']);
+    assert.deepEqual(recallAnswer(['K', '3', 'B'], 'sorted', 'mixed'), ['3', 'B', 'K']);
+});
+
+test('+1 steps over the I and O the letter pool leaves out', () => {
+    assert.deepEqual(recallAnswer(['H', 'N', 'G', 'M'], 'plusone', 'alpha'), ['J', 'P', 'H', 'N']);
+    assert.deepEqual(recallAnswer(['H8', 'N9'], 'plusone', 'mixed'), ['J9', 'P0']);
+    const answers = recallAnswer(SequenceGenerator.pools.alpha, 'plusone', 'alpha');
+    assert.ok(answers.every(ch => SequenceGenerator.pools.alpha.includes(ch)));
+});
+
+test('presentation: every digit and letter has its own voice', () => {
+    const symbols = [...SequenceGenerator.getPool('mixed'), 'I', 'O'];
+    const voices = symbols.map(ch => `${tokenVoice(ch).wave}:${tokenVoice(ch).freq}`);
+    assert.equal(new Set(voices).size, symbols.length);
+    assert.equal(tokenVoice('0').freq, 261.63);
+    assert.equal(tokenVoice('a').wave, 'triangle');
+    assert.equal(tokenVoice('-'), null);
+    assert.equal(tokenVoices('3F').length, 2);
+
+    assert.equal(presentationOf({ mode: 'normal', presentation: 'dual' }), 'dual');
+    assert.equal(presentationOf({ mode: 'grid', presentation: 'audio' }), 'visual');
+    assert.equal(presentationOf({ mode: 'daily', presentation: 'audio' }), 'visual');
+    assert.equal(presentationOf({ mode: 'normal', presentation: 'bogus' }), 'visual');
+});
+
+test('chunking: groups of three, pairs of hex codes, larger groups first', () => {
+    assert.deepEqual(chunkSizes(4), [2, 2]);
+    assert.deepEqual(chunkSizes(8), [3, 3, 2]);
+    assert.deepEqual(chunkSizes(9), [3, 3, 3]);
+    assert.deepEqual(chunkSizes(12), [3, 3, 3, 3]);
+    assert.deepEqual(chunkSizes(7, 2), [2, 2, 2, 1]);
+    assert.deepEqual(chunkSizes(0), []);
+    for (let n = 1; n <= 12; n++) assert.equal(chunkSizes(n).reduce((a, b) => a + b, 0), n);
+});
+
+test('chunking: hooks name patterns, otherwise a word per character', () => {
+    assert.equal(chunkMnemonic(['3', '4', '5']), 'RUN UP 3→5');
+    assert.equal(chunkMnemonic(['C', 'B', 'A']), 'RUN DOWN C→A');
+    assert.equal(chunkMnemonic(['7', '7']), '2× 7');
+    assert.equal(chunkMnemonic(['1', '2', '9']), 'BUN · SHOE · LINE');
+    assert.equal(chunkMnemonic(['A7', '3f']), 'ALFA HEAVEN · TREE FOXTROT');
+    assert.equal(chunkMnemonic(['9', 'A', 'B']), 'LINE · ALFA · BRAVO'); // 9→A is not a run
+});
+
+test('chunking: scaffolding fades with correct rounds and comes back after misses', () => {
+    const profile = createChunkProfile();
+    assert.equal(chunkStage(profile), 'hooks');
+    const round = (correct) => updateChunkProfile(profile, { chunked: true, chars: 9, correct });
+    for (let i = 0; i < CHUNKING.stageRounds; i++) round(true);
+    assert.equal(chunkStage(profile), 'groups');
+    round(false);
+    assert.equal(chunkStage(profile), 'hooks');
+    for (let i = 0; i < 100; i++) round(true);
+    assert.equal(chunkStage(profile), 'flat');
+    round(false); // a long streak doesn't bank fade beyond 'flat'
+    assert.equal(chunkStage(profile), 'gaps');
+
+    // Unchunked rounds only feed the baseline
+    updateChunkProfile(profile, { chunked: false, chars: 9, correct: true });
+    assert.deepEqual(profile.baseline, { 9: { rounds: 1, correct: 1 } });
+    assert.equal(profile.chunked[9].rounds, 110);
+
+    assert.deepEqual(createChunkProfile({ fade: -4, chunked: { 9: { rounds: 2, correct: 5 }, x: {} }, baseline: 'bad' }),
+        { fade: 0, chunked: {}, baseline: {} });
+    assert.deepEqual(createChunkProfile(JSON.parse(JSON.stringify(profile))), profile);
+});
+
+test('chunking: only plain in-order visual rounds make the baseline', () => {
+    assert.equal(isBaselineRound({ mode: 'normal', presentation: 'visual' }), true);
+    assert.equal(isBaselineRound({ mode: 'daily', presentation: 'audio' }), true); // Daily is always visual
+    assert.equal(isBaselineRound({ mode: 'normal', presentation: 'audio' }), false);
+    assert.equal(isBaselineRound({ mode: 'reverse', presentation: 'visual' }), false);
+    assert.equal(isBaselineRound({ mode: 'grid', presentation: 'visual' }), false);
+    assert.equal(isBaselineRound({ mode: 'chunk', presentation: 'visual' }), false);
+    assert.equal(presentationOf({ mode: 'chunk', presentation: 'dual' }), 'visual');
+});
+
+test('chunking: comparison against the baseline needs enough rounds at a size', () => {
+    const profile = createChunkProfile({
+        chunked: { 12: { rounds: 10, correct: 7 }, 8: { rounds: 4, correct: 4 }, 6: { rounds: 1, correct: 1 } },
+        baseline: { 12: { rounds: 20, correct: 8 }, 8: { rounds: 2, correct: 1 }, 4: { rounds: 5, correct: 5 } },
+    });
+    const { rows, overall } = chunkComparison(profile);
+    assert.deepEqual(rows.map(r => [r.chars, r.gain]), [[12, 30], [8, null], [6, null], [4, null]]);
+    assert.deepEqual(rows[0].chunked, { rounds: 10, rate: 0.7 });
+    assert.equal(rows[3].chunked, null);
+    assert.deepEqual(overall, { chunked: 0.7, baseline: 0.4, gain: 30 });
+    assert.equal(chunkComparison(createChunkProfile()).overall, null);
+});
+
+test('chunk trainer plays by normal rules on its own board', () => {
+    const core = createGameCore({ clock: createManualClock(), rng: { ...Rng } });
+    core.state.mode = 'chunk';
+    core.newRun('CHUNK');
+    core.beginRound();
+    assert.deepEqual(core.state.answer, core.state.sequence);
+    core.beginInput();
+    assert.equal(core.submit(core.state.answer).result, 'correct');
+    assert.equal(core.state.getVariant(), 'auto');
+    assert.equal(runRules(core.state).mode, 'chunk');
+});
+
+test('isToken: digits and capitals only, as stored stats and decks key them', () => {
+    ['7', 'K', 'A9', 'FF'].forEach(t => assert.equal(isToken(t), true, t));
+    ['', '>', 'a', 'A>B', '<img>', 'ABCDE', 7, null].forEach(t => assert.equal(isToken(t), false, String(t)));
+});
+
+test('drill: SM-2 spaces correct reviews out and restarts a card on a miss', () => {
+    const now = 1e12;
+    const card = reviewDrillCard(null, 4, now);
+    assert.deepEqual(card, { ease: DRILL.startEase, interval: 1, reps: 1, lapses: 0, due: now + DAY_MS });
+    reviewDrillCard(card, 5, now);
+    assert.equal(card.interval, 6);
+    assert.equal(card.ease, 2.6);
+    reviewDrillCard(card, 3, now);
+    assert.equal(card.interval, 16);
+    assert.equal(card.ease, 2.46);
+
+    reviewDrillCard(card, 1, now);
+    assert.deepEqual(card, { ease: 2.46, interval: 0, reps: 0, lapses: 1, due: now });
+    assert.equal(reviewDrillCard(card, 4, now).interval, 1);
+
+    const hard = { ease: 1.35, interval: 6, reps: 2, lapses: 0, due: 0 };
+    assert.equal(reviewDrillCard(hard, 3, now).ease, DRILL.minEase);
+});
+
+test('drill: answers are graded by correctness and speed', () => {
+    assert.equal(drillQuality('A', 'A', 900), 5);
+    assert.equal(drillQuality('A', 'A', 2500), 4);
+    assert.equal(drillQuality('A', 'A', 0), 4);
+    assert.equal(drillQuality('A', 'A', 6000), 3);
+    assert.equal(drillQuality('3F', '3', 800), 2);
+    assert.equal(drillQuality('3F', '3E', 800), 1);
+    assert.equal(drillQuality('A', '', 0), 0);
+    assert.ok(tokenFits('3F', 'hex') && !tokenFits('3', 'hex') && !tokenFits('3F', 'mixed'));
+    assert.ok(tokenFits('Q', 'mixed') && !tokenFits('Q', 'numbers') && !tokenFits('A1', 'grid'));
+});
+
+test('drill: saved cards of the wrong shape load as fresh, renderable cards', () => {
+    const deck = createDrillDeck({ 7: {}, 8: { ease: 'high', lapses: '2', due: 'soon' }, 9: 'card', '<b>': { ease: 2 } });
+    assert.deepEqual(Object.keys(deck).sort(), ['7', '8']);
+    assert.deepEqual(deck[8], { ease: DRILL.startEase, interval: 0, reps: 0, lapses: 0, due: 0 });
+    assert.equal(deck[7].ease.toFixed(2), '2.50');
+    assert.deepEqual(createDrillDeck('nonsense'), {});
+});
+
+test('drill: due cards come first, then error-prone tokens, then the cards due soonest', () => {
+    const now = 50 * DAY_MS;
+    const deck = createDrillDeck({
+        7: { ease: 2.5, interval: 0, reps: 0, lapses: 3, due: now - 10 },
+        2: { ease: 2.5, interval: 1, reps: 1, lapses: 0, due: now - 5 },
+        5: { ease: 2.5, interval: 6, reps: 2, lapses: 0, due: now + DAY_MS },
+        B: { ease: 2.5, interval: 0, reps: 0, lapses: 1, due: 0 },
+        bad: { ease: 9 },
+    });
+    assert.deepEqual(Object.keys(deck).sort(), ['2', '5', '7', 'B']);
+    const stats = {
+        tokens: { 4: { seen: 4, correct: 1 }, 8: { seen: 6, correct: 5 }, 9: { seen: 2, correct: 0 }, 2: { seen: 9, correct: 0 } },
+        confusions: { '8>3': 2 },
+        positions: [{ seen: 9, correct: 9 }, { seen: 9, correct: 3 }, null, { seen: 9, correct: 6 }, { seen: 1, correct: 0 }],
+    };
+    const set = drillSet(deck, stats, 'numbers', now);
+    assert.deepEqual(set.items, [{ token: '7', weight: 5 }, { token: '2', weight: 2 }, { token: '4', weight: 4 }, { token: '8', weight: 4 }]);
+    assert.deepEqual(set.positions, [1, 3]);
+
+    assert.deepEqual(drillSet(deck, {}, 'numbers', 0).items, [{ token: '7', weight: 1 }, { token: '2', weight: 1 }, { token: '5', weight: 1 }]);
+    assert.deepEqual(drillProgress(deck, now), { due: 3, learning: 4, mastered: 0 });
+    assert.deepEqual(cleanDrillSet({ items: [{ token: '<b>', weight: 1 }, { token: '4', weight: 2, extra: 1 }], positions: [2, -1, 'x'] }),
+        { items: [{ token: '4', weight: 2 }], positions: [2] });
+});
+
+test('drill: sequences put the drilled tokens on the weakest positions, reproducibly', () => {
+    const seeded = (seed) => { const rng = { ...Rng }; rng.seed(seed); return rng; };
+    const set = { items: [{ token: '7', weight: 1 }], positions: [4, 1] };
+    const make = () => drillSequence(6, 'numbers', set, seeded('DRILL'));
+    const sequence = make();
+    assert.deepEqual(sequence, make());
+    assert.equal(sequence.length, 6);
+    assert.equal(sequence[4], '7');
+    assert.equal(sequence[1], '7');
+    assert.equal(sequence[0], '7');
+    assert.deepEqual(drillSequence(4, 'hex', set, seeded('X')), SequenceGenerator.generate(4, 'hex', seeded('X')));
+});
+
+test('drill plays by practice rules on sequences from its drill set', () => {
+    const { core } = setup('drill');
+    core.state.drill = { items: [{ token: '7', weight: 1 }], positions: [] };
+    core.beginRound();
+    core.beginInput();
+    assert.equal(core.state.timerTotal, PRACTICE_TIMER);
+    assert.equal(core.state.sequence[0], '7');
+    const sequence = [...core.state.sequence];
+    assert.equal(core.submit(sequence.map(t => (t === '9' ? '8' : '9'))).retry, true);
+    core.retry();
+    assert.deepEqual(core.state.sequence, sequence);
+    assert.equal(isBaselineRound(core.state), false);
+});
+
+test('seeded generator reproduces sequences', () => {
+    const a = { ...Rng };
+    const b = { ...Rng };
+    a.seed('ABC');
+    b.seed('ABC');
+    const seqA = SequenceGenerator.generate(12, 'mixed', a);
+    assert.deepEqual(SequenceGenerator.generate(12, 'mixed', b), seqA);
+
+    b.seed('ABD');
+    assert.notDeepEqual(SequenceGenerator.generate(12, 'mixed', b), seqA);
+});
+
+test('generator: no immediate repeats, hex tokens are 2 chars', () => {
+    const rng = { ...Rng };
+    rng.seed('REPEATS');
+    const seq = SequenceGenerator.generate(200, 'numbers', rng);
+    seq.forEach((t, i) => { if (i) assert.notEqual(t, seq[i - 1]); });
+    SequenceGenerator.generate(20, 'hex', rng).forEach(t => assert.match(t, /^[0-9A-F]{2}$/));
+});
+
+test('generator: grid paths use each cell at most once', () => {
+    assert.deepEqual(SequenceGenerator.gridCells(3), ['A1', 'B1', 'C1', 'A2', 'B2', 'C2', 'A3', 'B3', 'C3']);
+    const rng = { ...Rng };
+    rng.seed('CORSI');
+    for (let i = 0; i < 50; i++) {
+        const path = SequenceGenerator.generate(12, 'grid', rng, 5);
+        assert.equal(path.length, 12);
+        assert.equal(new Set(path).size, 12);
+        path.forEach(cell => assert.match(cell, /^[A-E][1-5]$/));
+    }
+    assert.equal(SequenceGenerator.generate(20, 'grid', rng, 3).length, 9);
+});
+
+test('router grid mode scores like any other round', () => {
+    const { core } = setup('grid');
+    assert.deepEqual(playRound(core), { result: 'correct', level: 1, earned: 150, boostEarned: false, powerups: ['reveal'] });
+    assert.equal(core.state.sequence.length, 3);
+    core.state.sequence.forEach(cell => assert.match(cell, /^[A-C][1-3]$/));
+    assert.equal(playRound(core, 'wrong').retry, false);
+});
+
+test('round lifecycle: correct answer scores and advances', () => {
+    const { core } = setup();
+    const { cfg } = core.beginRound();
+    assert.equal(core.state.status, 'displaying');
+    assert.equal(core.state.sequence.length, cfg.length);
+
+    core.beginInput();
+    assert.equal(core.state.status, 'input');
+    assert.equal(core.state.timerLeft, cfg.timer);
+
+    const out = core.submit([...core.state.sequence]);
+    assert.deepEqual(out, { result: 'correct', level: 1, earned: 150, boostEarned: false, powerups: ['reveal'] });
+    assert.equal(core.state.score, 150);
+    assert.equal(core.state.level, 2);
+    assert.equal(core.state.streak, 1);
+    assert.equal(core.state.status, 'feedback');
+});
+
+test('recall modes check against the transformed answer and weight the score', () => {
+    const { core } = setup('reverse');
+    core.beginRound();
+    core.beginInput();
+    const seq = [...core.state.sequence];
+    assert.deepEqual(core.state.answer, [...seq].reverse());
+    assert.equal(core.typeKey(0, seq[seq.length - 1]).prefixOk, true);
+    const outcome = core.submit([...seq].reverse());
+    assert.equal(outcome.result, 'correct');
+    assert.equal(outcome.earned, Math.round(150 * 1.5));
+
+    const alt = setup('alternate').core;
+    alt.beginRound();
+    alt.beginInput();
+    assert.equal(alt.state.answer.length, Math.ceil(alt.state.sequence.length / 2));
+    assert.equal(alt.submit([...alt.state.sequence]).result, 'wrong');
+});
+
+test('adaptive progression tunes each round and reports the profile', () => {
+    const reported = [];
+    const { clock, core } = setup('normal', { adapt: (p) => reported.push(p.span) });
+    core.state.progression = 'adaptive';
+    assert.equal(core.state.getVariant(), 'adaptive');
+
+    const { cfg } = core.beginRound();
+    assert.equal(cfg.length, 4);
+    core.beginInput();
+    clock.advance(1000);
+    core.submit([...core.state.sequence]);
+    assert.equal(reported.length, 1);
+    assert.ok(core.state.adaptive.span > ADAPTIVE.startSpan);
+    assert.ok(core.state.getNodeDisplayTime() < 700); // answered fast → quicker reveal
+
+    assert.equal(playRound(core, 'wrong').result, 'wrong');
+    assert.equal(reported.length, 2);
+    assert.ok(reported[1] < reported[0]);
+
+    // Auto progression leaves the profile alone
+    const auto = setup('normal').core;
+    playRound(auto);
+    assert.deepEqual(auto.state.adaptive, createAdaptiveProfile());
+});
+
+test('dual presentation plays a conflicting stream without changing the shown one', () => {
+    const visual = setup().core;
+    const dual = setup().core;
+    dual.state.presentation = 'dual';
+    assert.equal(dual.state.getVariant(), 'dual');
+
+    const channels = new Set();
+    for (let round = 0; round < 12; round++) {
+        visual.beginRound();
+        dual.beginRound();
+        const { sequence, played, channel, answer } = dual.state;
+        assert.deepEqual(sequence, visual.state.sequence);
+        assert.equal(played.length, sequence.length);
+        played.forEach((token, i) => assert.notEqual(token, sequence[i]));
+        assert.deepEqual(answer, channel === 'audio' ? played : sequence);
+        channels.add(channel);
+        dual.state.level++;
+        visual.state.level++;
+    }
+    assert.deepEqual([...channels].sort(), ['audio', 'visual']);
+
+    // Audio only: the played stream is the sequence, and that is what is recalled
+    const audio = setup('reverse').core;
+    audio.state.presentation = 'audio';
+    audio.state.progression = 'custom';
+    assert.equal(audio.state.getVariant(), 'numbers-medium-audio');
+    audio.beginRound();
+    assert.equal(audio.state.channel, 'audio');
+    assert.deepEqual(audio.state.answer, [...audio.state.sequence].reverse());
+});
+
+test('incomplete answers keep the round open', () => {
+    const { core } = setup();
+    core.beginRound();
+    core.beginInput();
+    assert.deepEqual(core.submit(['1']), { result: 'incomplete' });
+    assert.equal(core.state.status, 'input');
+});
+
+test('submit outside the input phase is ignored', () => {
+    const { core } = setup();
+    core.beginRound();
+    assert.equal(core.submit([...core.state.sequence]), null);
+});
+
+test('wrong answer ends the run outside practice', () => {
+    const { core } = setup();
+    assert.deepEqual(playRound(core, 'wrong'), { result: 'wrong', level: 1, retry: false });
+    core.gameOver();
+    assert.equal(core.state.status, 'over');
+});
+
+test('timer expiry fires the expire hook', () => {
+    let expired = 0;
+    const ticks = [];
+    const { clock, core } = setup('normal', { expire: () => expired++, tick: (left) => ticks.push(left) });
+    core.beginRound();
+    core.beginInput();
+    clock.advance(9000);
+    assert.equal(expired, 0);
+    assert.equal(core.state.timerLeft, 1);
+    clock.advance(1000);
+    assert.equal(expired, 1);
+    assert.equal(core.state.status, 'feedback');
+    assert.equal(ticks[0], 10);
+    assert.equal(ticks[ticks.length - 1], 0);
+});
+
+test('speed bonus shrinks as the timer runs', () => {
+    const { clock, core } = setup();
+    core.beginRound();
+    core.beginInput();
+    clock.advance(3000);
+    assert.equal(core.submit([...core.state.sequence]).earned, 100 + 35);
+});
+
+test('boost accrues every ROUNDS_PER_BOOST correct rounds', () => {
+    const { core } = setup();
+    for (let i = 1; i < ROUNDS_PER_BOOST; i++) assert.equal(playRound(core).boostEarned, false);
+    assert.equal(playRound(core).boostEarned, true);
+    assert.equal(core.state.boosts, 1);
+    assert.equal(core.state.roundsSinceBoost, 0);
+});
+
+test('boost freezes the timer for BOOST_DURATION', () => {
+    let ended = 0;
+    const { clock, core } = setup('normal', { boostEnd: () => ended++ });
+    core.state.boosts = 1;
+    core.beginRound();
+    assert.equal(core.activateBoost(), false, 'not during the reveal');
+    core.beginInput();
+    assert.equal(core.activateBoost(), true);
+    assert.equal(core.state.boosts, 0);
+
+    clock.advance(BOOST_DURATION - 1);
+    assert.equal(core.state.timerLeft, 10);
+    clock.advance(1);
+    assert.equal(ended, 1);
+    assert.equal(core.state.boostActive, false);
+    clock.advance(1000);
+    assert.ok(core.state.timerLeft < 10);
+    assert.equal(core.activateBoost(), false, 'no boosts left');
+});
+
+/* ── Power-ups ── */
+
+test('power-up earn rules respect mode and caps', () => {
+    const round = (over) => ({ mode: 'normal', streak: 1, multiplier: 1, prevMultiplier: 1, timeShare: 0.5, ...over });
+    const empty = { replay: 0, reveal: 0, slowmo: 0, shield: 0 };
+    assert.deepEqual(powerupsEarned(round({ streak: 3 }), empty), ['replay']);
+    assert.deepEqual(powerupsEarned(round({ timeShare: 0.8 }), empty), ['reveal']);
+    assert.deepEqual(powerupsEarned(round({ multiplier: 2 }), empty), ['slowmo']);
+    assert.deepEqual(powerupsEarned(round({ streak: 30 }), empty), ['replay', 'shield']);
+    assert.deepEqual(powerupsEarned(round({ mode: 'strict', streak: 30 }), empty), ['replay']);
+    assert.deepEqual(powerupsEarned(round({ streak: 3 }), { ...empty, replay: POWERUPS.replay.max }), []);
+    assert.deepEqual(powerupsEarned(round({ mode: 'practice', streak: 3, timeShare: 1 }), empty), []);
+    assert.deepEqual(powerupsEarned(round({ mode: 'hardcore', streak: 3 }), empty), []);
+});
+
+test('used power-ups cut the round score', () => {
+    assert.equal(powerupPenalty({}), 1);
+    assert.equal(powerupPenalty({ boost: true }), 1);
+    assert.ok(Math.abs(powerupPenalty({ replay: true, reveal: true }) - 0.42) < 1e-9);
+
+    const { core } = setup();
+    core.state.powerups.reveal = 1;
+    core.beginRound();
+    core.beginInput();
+    assert.equal(core.usePowerup('reveal'), true);
+    assert.equal(core.usePowerup('reveal'), false, 'once per round');
+    assert.equal(core.submit([...core.state.sequence]).earned, Math.round(150 * 0.7));
+});
+
+test('a boosted round forfeits its speed bonus', () => {
+    const { core } = setup();
+    core.state.boosts = 1;
+    core.beginRound();
+    core.beginInput();
+    core.usePowerup('boost');
+    assert.equal(core.submit([...core.state.sequence]).earned, 100);
+});
+
+test('replay holds the timer until input resumes', () => {
+    const { clock, core } = setup();
+    core.state.powerups.replay = 1;
+    core.beginRound();
+    core.beginInput();
+    clock.advance(2500);
+    assert.equal(core.usePowerup('replay'), true);
+    assert.equal(core.state.status, 'displaying');
+    clock.advance(10000);
+    assert.equal(core.state.timerLeft, 8);
+    assert.equal(core.submit([...core.state.sequence]), null, 'no answers during the replay');
+
+    core.resumeInput();
+    assert.equal(core.state.status, 'input');
+    clock.advance(500);
+    assert.equal(core.state.timerLeft, 7, 'the half-second left on the tick carries over');
+});
+
+test('slow-mo slows the next reveal and charges that round', () => {
+    const { core } = setup();
+    core.state.powerups.slowmo = 1;
+    core.beginRound();
+    const normal = core.state.getNodeDisplayTime();
+    core.beginInput();
+    assert.equal(core.usePowerup('slowmo'), true);
+    const first = core.submit([...core.state.sequence]);
+    assert.equal(first.earned, 150, 'the round it was bought in is unaffected');
+
+    core.beginRound();
+    assert.equal(core.state.slowmo, true);
+    assert.equal(core.state.getNodeDisplayTime(), Math.round(NODE_DISPLAY_TIME * SLOWMO_FACTOR - 15));
+    assert.ok(core.state.getNodeDisplayTime() > normal);
+    core.beginInput();
+    assert.equal(core.submit([...core.state.sequence]).earned, Math.round((200 + 50) * 0.8));
+});
+
+test('an armed shield absorbs one wrong answer in normal mode', () => {
+    const { core } = setup();
+    core.state.powerups.shield = 1;
+    playRound(core);
+    core.beginRound();
+    core.beginInput();
+    assert.equal(core.usePowerup('shield'), true);
+    const wrong = core.submit(core.state.sequence.map(t => (t === 'Z' ? 'Y' : 'Z')));
+    assert.deepEqual(wrong, { result: 'wrong', level: 2, retry: false, shielded: true });
+    assert.equal(core.state.streak, 0);
+    assert.equal(core.state.shieldArmed, false);
+    assert.equal(playRound(core, 'wrong').shielded, undefined, 'only once');
+
+    const strict = setup('strict').core;
+    strict.state.powerups.shield = 1;
+    strict.beginRound();
+    strict.beginInput();
+    assert.equal(strict.usePowerup('shield'), false);
+});
+
+test('power-up inventory survives a resume', () => {
+    const { core } = setup();
+    Object.assign(core.state.powerups, { replay: 2, shield: 1 });
+    core.state.slowmoNext = true;
+    const other = setup().core;
+    other.restore(JSON.parse(JSON.stringify(core.snapshot())), 'X');
+    assert.deepEqual(other.state.powerups, { replay: 2, reveal: 0, slowmo: 0, shield: 1 });
+    assert.equal(other.state.slowmoNext, true);
+    other.restore({ powerups: { replay: 99, reveal: -1 } }, 'Y');
+    assert.equal(other.state.powerups.replay, POWERUPS.replay.max);
+    assert.equal(other.state.powerups.reveal, 0);
+});
+
+test('strict mode fails on the first wrong prefix', () => {
+    const { clock, core } = setup('strict');
+    core.beginRound();
+    core.beginInput();
+    const first = core.state.sequence[0];
+    assert.deepEqual(core.typeKey(0, first), { prefixOk: true, failed: null });
+
+    const wrong = first === '0' ? '1' : '0';
+    const { prefixOk, failed } = core.typeKey(1, core.state.sequence[1] === wrong ? '2' : wrong);
+    assert.equal(prefixOk, false);
+    assert.deepEqual(failed, { result: 'wrong', level: 1, retry: false });
+    assert.equal(core.state.status, 'feedback');
+
+    // Timer was stopped by the failure
+    const left = core.state.timerLeft;
+    clock.advance(5000);
+    assert.equal(core.state.timerLeft, left);
+});
+
+test('normal mode only flags a wrong prefix', () => {
+    const { core } = setup('normal');
+    core.beginRound();
+    core.beginInput();
+    const wrong = core.state.sequence[0] === '0' ? '1' : '0';
+    assert.deepEqual(core.typeKey(0, wrong), { prefixOk: false, failed: null });
+    assert.equal(core.state.status, 'input');
+});
+
+test('hardcore mode fails on a wrong prefix, reveals fast and earns no boosts', () => {
+    const { core } = setup('hardcore');
+    const normal = setup('normal').core;
+    assert.equal(core.state.getNodeDisplayTime(), normal.state.getNodeDisplayTime() - 100);
+    for (let i = 0; i < ROUNDS_PER_BOOST; i++) assert.equal(playRound(core).boostEarned, false);
+    assert.equal(core.state.boosts, 0);
+
+    core.beginRound();
+    core.beginInput();
+    const wrong = core.state.sequence[0] === '0' ? '1' : '0';
+    assert.equal(core.typeKey(0, wrong).failed.result, 'wrong');
+});
+
+test('practice mode: wrong answer resets the streak and retries the same sequence', () => {
+    const { core } = setup('practice');
+    playRound(core);
+    assert.equal(core.state.streak, 1);
+
+    core.beginRound();
+    core.beginInput();
+    assert.equal(core.state.timerTotal, PRACTICE_TIMER);
+    const sequence = [...core.state.sequence];
+    const out = core.submit(sequence.map(t => (t === '9' ? '8' : '9')));
+    assert.deepEqual(out, { result: 'wrong', level: 2, retry: true });
+    assert.equal(core.state.streak, 0);
+    assert.equal(core.state.status, 'feedback');
+
+    core.retry();
+    assert.equal(core.state.status, 'input');
+    assert.deepEqual(core.state.sequence, sequence);
+    assert.equal(core.state.level, 2);
+    assert.equal(core.submit(sequence).result, 'correct');
+});
+
+test('newRun resets state and reseeds', () => {
+    const { core } = setup();
+    playRound(core);
+    const first = core.state.sequence;
+    core.newRun('TEST-SEED');
+    assert.equal(core.state.level, 1);
+    assert.equal(core.state.score, 0);
+    core.beginRound();
+    assert.deepEqual(core.state.sequence, first);
+});
+
+test('pause freezes the timer without losing sub-second progress', () => {
+    const { clock, core } = setup();
+    core.beginRound();
+    core.beginInput();
+    clock.advance(2600);
+    assert.equal(core.state.timerLeft, 8);
+
+    assert.equal(core.pause(), true);
+    assert.equal(core.pause(), false, 'already paused');
+    clock.advance(60000);
+    assert.equal(core.state.timerLeft, 8);
+    assert.equal(core.submit([...core.state.sequence]), null, 'no answers while paused');
+
+    core.resume();
+    clock.advance(399);
+    assert.equal(core.state.timerLeft, 8);
+    clock.advance(1);
+    assert.equal(core.state.timerLeft, 7);
+});
+
+test('pause holds the boost countdown', () => {
+    let ended = 0;
+    const { clock, core } = setup('normal', { boostEnd: () => ended++ });
+    core.state.boosts = 1;
+    core.beginRound();
+    core.beginInput();
+    core.activateBoost();
+    clock.advance(5000);
+    core.pause();
+    clock.advance(BOOST_DURATION);
+    assert.equal(ended, 0);
+    assert.equal(core.state.boostActive, true);
+    core.resume();
+    clock.advance(BOOST_DURATION - 5000 - 1);
+    assert.equal(ended, 0);
+    assert.equal(core.state.timerLeft, 10);
+    clock.advance(1);
+    assert.equal(ended, 1);
+});
+
+test('a timer started while paused waits for resume', () => {
+    const { clock, core } = setup('practice');
+    core.beginRound();
+    core.pause();
+    core.beginInput();
+    clock.advance(5000);
+    assert.equal(core.state.timerLeft, PRACTICE_TIMER);
+    core.resume();
+    clock.advance(1000);
+    assert.equal(core.state.timerLeft, PRACTICE_TIMER - 1);
+});
+
+test('only running rounds can pause', () => {
+    const { core } = setup();
+    assert.equal(core.pause(), false);
+    core.beginRound();
+    assert.equal(core.pause(), true);
+    core.newRun('OTHER');
+    assert.equal(core.state.paused, false);
+});
+
+test('snapshot/restore carries progress into a fresh sequence', () => {
+    const { core } = setup('strict');
+    for (let i = 0; i < 6; i++) playRound(core);
+    const snap = core.snapshot();
+    assert.equal(snap.level, 7);
+    assert.equal(snap.boosts, 1);
+    assert.equal(snap.mode, 'strict');
+    assert.equal(snap.sequence, undefined);
+
+    const other = setup().core;
+    other.restore(JSON.parse(JSON.stringify(snap)), 'RESUMED');
+    assert.equal(other.state.level, 7);
+    assert.equal(other.state.score, core.state.score);
+    assert.equal(other.state.streak, 6);
+    assert.equal(other.state.roundsSinceBoost, 1);
+    assert.equal(other.state.mode, 'strict');
+    assert.equal(other.state.seed, 'RESUMED');
+    assert.equal(other.state.status, 'idle');
+    assert.equal(other.beginRound().phaseChanged, false);
+});
+
+test('restore ignores malformed snapshot fields', () => {
+    const { core } = setup();
+    core.restore({ level: -3, score: 'lots', boosts: 2.5 }, 'X');
+    assert.equal(core.state.level, 1);
+    assert.equal(core.state.score, 0);
+    assert.equal(core.state.boosts, 0);
+});
+
+/* ── Achievements ── */
+
+const run = (over = {}) => ({
+    mode: 'normal', level: 1, phase: 'PHASE 01', type: 'numbers', gridSize: 0, multiplier: 1,
+    timerLeft: 5, timerTotal: 10, boostsUsed: 0, score: 0, presentation: 'visual', ...over,
+});
+const ids = (list) => list.map(a => a.id);
+
+test('achievement ids are unique and every reward names its unlock', () => {
+    assert.equal(new Set(ids(ACHIEVEMENTS)).size, ACHIEVEMENTS.length);
+    assert.equal(unlockedBy('theme', 'amber').id, 'deep-protocol');
+    assert.equal(unlockedBy('mode', 'hardcore').id, 'no-safety-net');
+    assert.equal(unlockedBy('mode', 'normal'), null);
+});
+
+test('phase achievements count phases reached, including skipped ones', () => {
+    assert.equal(phaseNumber('PHASE 05'), 5);
+    assert.equal(phaseNumber('CUSTOM'), 0);
+    assert.deepEqual(ids(checkAchievements('phase', run({ phase: 'PHASE 02' }))), []);
+    assert.deepEqual(ids(checkAchievements('phase', run({ phase: 'PHASE 05' }))), ['alpha-route', 'deep-protocol']);
+    assert.deepEqual(ids(checkAchievements('phase', run({ phase: 'PHASE GR', gridSize: 5 }))), ['network-architect']);
+});
+
+test('round achievements follow the example goals', () => {
+    const earned = { 'first-packet': '2026-10-01' };
+    assert.deepEqual(ids(checkAchievements('round', run({ multiplier: 8 }), earned)), ['overclocked']);
+    assert.deepEqual(ids(checkAchievements('round', run({ type: 'hex', timerLeft: 17, timerTotal: 20 }), earned)), ['hex-sprinter']);
+    assert.deepEqual(ids(checkAchievements('round', run({ type: 'hex', timerLeft: 16, timerTotal: 20 }), earned)), []);
+    assert.deepEqual(ids(checkAchievements('round', run({ mode: 'strict', level: 10 }), earned)), ['no-safety-net']);
+    assert.deepEqual(ids(checkAchievements('round', run({ mode: 'strict', level: 10, boostsUsed: 1 }), earned)), []);
+});
+
+test('nothing is earned twice, or in practice', () => {
+    assert.deepEqual(ids(checkAchievements('round', run())), ['first-packet']);
+    assert.deepEqual(checkAchievements('round', run(), { 'first-packet': '2026-10-01' }), []);
+    assert.deepEqual(checkAchievements('round', run({ mode: 'practice', multiplier: 8 })), []);
+    assert.deepEqual(ids(checkAchievements('gameover', run({ mode: 'daily', score: 12000 }))), ['five-figures', 'daily-driver']);
+});
+
+test('achievementRewards lists the themes and modes unlocked', () => {
+    assert.deepEqual(achievementRewards({}), { themes: [], modes: [] });
+    assert.deepEqual(achievementRewards({ 'overclocked': 'd', 'no-safety-net': 'd', 'rewind': 'd' }),
+        { themes: ['matrix'], modes: ['hardcore'] });
+});
+
+test('boostsUsed counts boosts spent this run and survives a resume', () => {
+    const { core } = setup();
+    core.state.boosts = 2;
+    core.beginRound();
+    core.beginInput();
+    core.activateBoost();
+    assert.equal(core.state.boostsUsed, 1);
+    const other = setup().core;
+    other.restore(core.snapshot(), 'X');
+    assert.equal(other.state.boostsUsed, 1);
+    other.newRun('Y');
+    assert.equal(other.state.boostsUsed, 0);
+});
+
+test('key combos name the physical key after its modifiers', () => {
+    assert.equal(keyCombo({ code: 'KeyP', key: 'p' }), 'KeyP');
+    assert.equal(keyCombo({ code: 'Digit1', key: '!', shiftKey: true }), 'Shift+Digit1');
+    assert.equal(keyCombo({ code: 'KeyK', ctrlKey: true, altKey: true, shiftKey: true, metaKey: true }), 'Ctrl+Alt+Shift+Meta+KeyK');
+    assert.equal(keyCombo({ code: 'ShiftLeft', shiftKey: true }), null);
+
+    assert.ok(bindableCombo('Alt+KeyR') && bindableCombo('F2') && bindableCombo('Shift+Slash'));
+    ['Escape', 'Shift+Enter', 'Space', 'ArrowUp', 'Shift+Ctrl+KeyR', 'Hyper+KeyR', 'keyR', '', null]
+        .forEach(combo => assert.equal(bindableCombo(combo), false, combo));
+
+    assert.equal(comboLabel('Shift+Digit1'), '⇧1');
+    assert.equal(comboLabel('Ctrl+KeyR'), 'Ctrl+R');
+    assert.equal(comboLabel('Slash'), '/');
+    assert.equal(comboLabel('Numpad5'), 'Num 5');
+    assert.equal(comboLabel(null), '—');
+});
+
+test('keymaps cover every action, and rebinding swaps a taken key', () => {
+    const keymap = createKeymap();
+    assert.deepEqual(Object.keys(keymap), Object.keys(SHORTCUTS));
+    ['pause', 'restart', 'menu', 'settings', 'sound', 'help', ...Object.keys(POWERUPS)]
+        .forEach(action => assert.ok(keymap[action], action));
+    assert.equal(new Set(Object.values(keymap)).size, Object.keys(keymap).length);
+    assert.equal(shortcutFor(keymap, 'Shift+Digit1'), 'boost');
+    assert.equal(shortcutFor(keymap, 'KeyZ'), null);
+
+    assert.equal(rebindKey(keymap, 'restart', 'F5'), null);
+    assert.equal(shortcutFor(keymap, 'F5'), 'restart');
+    assert.equal(rebindKey(keymap, 'sound', 'KeyP'), 'pause');
+    assert.equal(keymap.sound, 'KeyP');
+    assert.equal(keymap.pause, 'KeyS');
+    assert.equal(rebindKey(keymap, 'sound', 'Escape'), false);
+    assert.equal(rebindKey(keymap, 'jump', 'KeyJ'), false);
+
+    const saved = createKeymap({ ...keymap, menu: null, stats: 'Escape', achievements: 'KeyP', bogus: 'KeyB' });
+    assert.equal(saved.restart, 'F5');
+    assert.equal(saved.menu, null);
+    assert.equal(saved.stats, SHORTCUTS.stats.key);
+    assert.equal(saved.achievements, null); // KeyP already went to sound
+    assert.equal('bogus' in saved, false);
+});
+
+test('gamepad polls report new presses and repeat held directions', () => {
+    const pad = (pressed = [], axes = [0, 0]) => ({
+        buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) })),
+        axes,
+    });
+    let { presses, state } = readGamepad(pad([0, 9]), null, 0);
+    assert.deepEqual(presses, ['a', 'start']);
+    ({ presses, state } = readGamepad(pad([0, 9, 4]), state, 16));
+    assert.deepEqual(presses, ['lb']);
+    ({ presses, state } = readGamepad(pad([]), state, 32));
+    assert.deepEqual(presses, []);
+    ({ presses } = readGamepad(pad([0]), state, 48));
+    assert.deepEqual(presses, ['a']);
+
+    // The stick past its dead zone is a direction; holding it repeats after a delay
+    let t = 0;
+    ({ presses, state } = readGamepad(pad([], [0.9, 0.2]), null, t));
+    assert.deepEqual(presses, ['right']);
+    const fired = [];
+    for (t = 16; t <= GAMEPAD.repeatDelay + 3 * GAMEPAD.repeatMs; t += 16) {
+        ({ presses, state } = readGamepad(pad([], [0.9, 0.2]), state, t));
+        if (presses.length) fired.push(t);
+    }
+    assert.equal(fired.length, 3);
+    assert.ok(fired[0] >= GAMEPAD.repeatDelay);
+    ({ presses } = readGamepad(pad([15], [0.9, 0]), state, t));
+    assert.deepEqual(presses, []); // D-pad and stick are the same direction
+    assert.deepEqual(readGamepad(pad([], [-0.3, -0.7]), null, 0).presses, ['up']);
+});
+
+test('the event bus delivers frozen payloads and unsubscribes', () => {
+    const bus = createEventBus({ ping: ['n'] });
+    const seen = [];
+    const off = bus.on('ping', (p, event) => seen.push([event, p.n, Object.isFrozen(p)]));
+    bus.emit('ping', { n: 1 });
+    off();
+    bus.emit('ping', { n: 2 });
+    assert.deepEqual(seen, [['ping', 1, true]]);
+    assert.equal(bus.listenerCount('ping'), 0);
+});
+
+test('the event bus rejects unknown events and incomplete payloads', () => {
+    const bus = createEventBus({ ping: ['n', 'm'] });
+    assert.throws(() => bus.on('pong', () => {}), /Unknown event "pong"/);
+    assert.throws(() => bus.emit('pong'), /Unknown event/);
+    assert.throws(() => bus.emit('ping', { n: 1 }), /missing m/);
+    assert.throws(() => bus.on('ping', 'nope'), TypeError);
+});
+
+test('a failing listener does not stop the others', () => {
+    const errors = [];
+    const bus = createEventBus({ ping: [] }, { onError: (err, event) => errors.push([event, err.message]) });
+    let reached = false;
+    bus.on('ping', () => { throw new Error('boom'); });
+    bus.on('ping', () => { reached = true; });
+    bus.emit('ping');
+    assert.equal(reached, true);
+    assert.deepEqual(errors, [['ping', 'boom']]);
+});
+
+test('plugin modes add recall tasks and strict / fast rules', () => {
+    registerMode('mirror', { recall: { label: 'mirrored', weight: 1.5, answer: (seq) => [...seq, ...[...seq].reverse()] } });
+    assert.deepEqual(recallAnswer(['1', '2'], 'mirror', 'numbers'), ['1', '2', '2', '1']);
+    assert.equal(recallWeight('mirror'), 1.5);
+
+    registerMode('blitz', { strict: true, fast: true });
+    const { core } = setup('blitz');
+    assert.equal(core.state.getNodeDisplayTime(), setup('normal').core.state.getNodeDisplayTime() - 100);
+    core.beginRound();
+    core.beginInput();
+    const wrong = core.state.sequence[0] === '0' ? '1' : '0';
+    assert.equal(core.typeKey(0, wrong).failed.result, 'wrong');
+});
+
+test('registerMode refuses bad and taken ids', () => {
+    assert.throws(() => registerMode('strict'), /already exists/);
+    assert.throws(() => registerMode('Bad Id'), /Invalid mode id/);
+    assert.throws(() => registerMode('norecall', { recall: { weight: 2 } }), /answer\(\) function/);
+    registerMode('twice');
+    assert.throws(() => registerMode('twice'), /already exists/);
+});
+
+test('plugin sequence types feed Custom progression', () => {
+    registerGenerator('binary', { label: 'Binary', pool: ['0', '1'] });
+    const cfg = getRoundConfig(1, { progression: 'custom', mode: 'normal', seqType: 'binary', difficulty: 'medium' });
+    assert.equal(cfg.label, 'BINARY · MEDIUM');
+    assert.equal(cfg.tokenLen, 1);
+    const seq = SequenceGenerator.generate(8, 'binary', { ...Rng, state: 7 });
+    assert.equal(seq.length, 8);
+    assert.ok(seq.every(t => t === '0' || t === '1'));
+
+    registerGenerator('octets', { label: 'Octets', pool: ['AA', 'BB', 'CC'], generate: (n, rng, pool) => Array(n).fill(pool[2]) });
+    assert.equal(SequenceGenerator.tokenLength('octets'), 2);
+    assert.deepEqual(SequenceGenerator.generate(3, 'octets'), ['CC', 'CC', 'CC']);
+});
+
+test('registerGenerator validates the pool', () => {
+    assert.throws(() => registerGenerator('hex', { pool: ['0', '1'] }), /already exists/);
+    assert.throws(() => registerGenerator('lower', { pool: ['a', 'b'] }), /upper-case/);
+    assert.throws(() => registerGenerator('ragged', { pool: ['A', 'BB'] }), /equal-length/);
+    assert.throws(() => registerGenerator('spaced', { pool: ['A B', 'CDE'] }), /no spaces|upper-case/);
+    assert.throws(() => registerGenerator('lonely', { pool: ['A'] }), /2\+/);
+});
+
+/** Play a run on a manual clock, logging it the way the replay recorder does. */
+function loggedRun(seed = 'VERIFY', mode = 'normal') {
+    const clock = createManualClock();
+    const core = createGameCore({ clock, rng: { ...Rng } });
+    core.state.mode = mode;
+    core.newRun(seed);
+    const segment = { seed, rules: runRules(core.state), adaptive: null, events: [] };
+    const log = { v: RUN_LOG_VERSION, segments: [segment] };
+    const record = (type, data = {}) => segment.events.push({ t: clock.now(), type, ...data });
+
+    return {
+        core,
+        clock,
+        log,
+        record,
+        /** Reveal a round for `reveal` ms (long enough by default), then open input. */
+        round(reveal = core.state.sequence.length * 1000 + 9000) {
+            core.beginRound();
+            record('round');
+            clock.advance(reveal);
+            core.beginInput();
+            record('input');
+        },
+        /** Type `tokens` a character at a time. */
+        type(tokens = core.state.answer, { first = 450, gap = 220 } = {}) {
+            tokens.forEach((token, box) => {
+                for (let n = 1; n <= token.length; n++) {
+                    clock.advance(box === 0 && n === 1 ? first : gap);
+                    record('key', { box, value: token.slice(0, n) });
+                    core.typeKey(box, token.slice(0, n));
+                }
+            });
+        },
+        submit(tokens = core.state.answer) {
+            const outcome = core.submit(tokens);
+            record('result', { result: outcome.result, left: core.state.timerLeft });
+            return outcome;
+        },
+        /** A correct round, then the pause before the next. */
+        pass(timing) {
+            this.round();
+            this.type(undefined, timing);
+            this.submit();
+            clock.advance(1400);
+        },
+        /** A wrong answer, which ends a normal run. */
+        fail(timing) {
+            const wrong = core.state.answer.map(t => (t[0] === '0' ? '1' : '0') + t.slice(1));
+            this.type(wrong, timing);
+            return this.submit(wrong);
+        },
+        entry() {
+            const { state } = core;
+            return {
+                name: 'NEO', score: state.score, level: state.level, streak: state.maxStreak,
+                mode: state.mode, variant: state.getVariant(), seed: state.seed, log,
+            };
+        },
+    };
+}
+
+/** Three correct rounds, then a wrong answer ends it. */
+function honestRun(seed) {
+    const run = loggedRun(seed);
+    for (let i = 0; i < 3; i++) run.pass();
+    run.round();
+    run.fail();
+    return run;
+}
+
+test('an honest run log replays to the same score', () => {
+    const run = honestRun();
+    const entry = run.entry();
+    assert.ok(entry.score > 0);
+    const verdict = verifyRun(entry);
+    assert.deepEqual(verdict.flags, []);
+    assert.equal(verdict.ok, true);
+    assert.equal(verdict.score, entry.score);
+    assert.equal(verdict.level, 4);
+    assert.equal(verdict.maxStreak, 3);
+});
+
+test('a score the rules do not produce is rejected', () => {
+    assert.deepEqual(verifyRun({ score: 999999 }).flags.map(f => f.code), ['no-log']);
+
+    const verdict = verifyRun({ ...honestRun().entry(), score: 999999 });
+    assert.equal(verdict.ok, false);
+    assert.match(verdict.flags[0].detail, /score 999999 does not match the replayed/);
+
+    // A wrong answer logged as correct
+    const run = loggedRun();
+    run.round();
+    const wrong = run.core.state.answer.map(() => 'X');
+    run.type(wrong);
+    run.core.submit(wrong);
+    run.record('result', { result: 'correct', left: run.core.state.timerLeft });
+    const flags = verifyRun(run.entry()).flags;
+    assert.deepEqual(flags[0], { code: 'score', round: 1, detail: 'logged correct, the answer was wrong' });
+});
+
+test('superhuman typing and input during the reveal are flagged', () => {
+    const fast = loggedRun();
+    fast.pass({ first: 450, gap: 5 });
+    fast.round();
+    fast.fail({ first: 20 });
+    const flags = verifyRun(fast.entry()).flags;
+    assert.deepEqual(flags.map(f => [f.code, f.round]), [['superhuman', 1], ['superhuman', 2]]);
+    assert.match(flags[0].detail, /inputs 5ms apart/);
+    assert.match(flags[1].detail, /first input 20ms/);
+
+    const early = loggedRun();
+    early.round(300);
+    early.fail();
+    assert.deepEqual(verifyRun(early.entry()).flags.map(f => f.code), ['early-input']);
+});
+
+test('power-ups must be held, and replays must run their reveal', () => {
+    const run = loggedRun();
+    run.round();
+    run.core.state.powerups.reveal = 1; // never earned, as far as the log shows
+    run.core.usePowerup('reveal');
+    run.record('powerup', { id: 'reveal' });
+    run.fail();
+    assert.deepEqual(verifyRun(run.entry()).flags.map(f => [f.code, f.round]), [['illegal', 1]]);
+
+    const replay = loggedRun();
+    for (let i = 0; i < 3; i++) replay.pass(); // three in a row earns a Replay
+    replay.round();
+    replay.clock.advance(2000);
+    assert.ok(replay.core.usePowerup('replay'));
+    replay.record('powerup', { id: 'replay' });
+    replay.type([replay.core.state.answer[0]]); // typing over the reveal…
+    replay.core.resumeInput();
+    replay.record('resume'); // …which also ended far too soon
+    replay.fail();
+    const flags = verifyRun(replay.entry()).flags;
+    assert.deepEqual(flags.map(f => [f.code, f.round]), [['early-input', 4]]);
+    assert.equal(flags[0].detail, 'typed while the sequence was on screen');
+});
+
+test('time left on the clock must match the log', () => {
+    const run = loggedRun();
+    run.round();
+    run.type();
+    run.core.state.timerLeft += 5;
+    run.submit();
+    run.clock.advance(1400);
+    run.round();
+    run.fail();
+    const flags = verifyRun(run.entry()).flags;
+    assert.deepEqual(flags.map(f => [f.code, f.round]), [['timer', 1], ['score', null]]);
+    assert.match(flags[0].detail, /answered with \d+s left on a clock showing \d+s/);
+});
+
+test('a resumed run verifies across its segments', () => {
+    const first = loggedRun('FIRST');
+    first.pass();
+    first.pass();
+    // Reload as the third round begins: the session holds the checkpoint and the log so far
+    const session = first.core.snapshot();
+
+    const run = loggedRun('SECOND');
+    run.core.restore(session, 'SECOND');
+    run.log.segments.unshift(first.log.segments[0]);
+    run.pass();
+    run.round();
+    run.fail();
+
+    const entry = run.entry();
+    assert.equal(entry.level, 4);
+    const verdict = verifyRun(entry);
+    assert.deepEqual(verdict.flags, []);
+    assert.equal(verdict.score, entry.score);
+
+    // Progress can only come from the earlier segments, not from a doctored checkpoint
+    run.log.segments.shift();
+    assert.ok(!verifyRun(entry).ok);
+});
+
+test('a Daily Route run cannot be resumed onto a fresh seed', () => {
+    const first = loggedRun('DAILY-2026-10-19', 'daily');
+    first.pass();
+    first.pass();
+
+    const run = loggedRun('RESUMED', 'daily');
+    run.core.restore(first.core.snapshot(), 'RESUMED');
+    run.log.segments.unshift(first.log.segments[0]);
+    run.pass();
+    run.round();
+    run.fail();
+    const verdict = verifyRun(run.entry());
+    assert.equal(verdict.ok, false);
+    assert.deepEqual(verdict.flags.map(f => [f.code, f.detail]), [['bad-log', "a daily run can't be resumed"]]);
+
+    // Played through in one go, it verifies on the shared seed
+    first.round();
+    first.fail();
+    assert.deepEqual(verifyRun(first.entry()).flags, []);
+});
+
+test('strict runs end on the first wrong key, as logged', () => {
+    const run = loggedRun('STRICT', 'strict');
+    run.pass();
+    run.round();
+    run.clock.advance(500);
+    const wrong = run.core.state.answer[0] === '0' ? '1' : '0';
+    run.record('key', { box: 0, value: wrong });
+    const { failed } = run.core.typeKey(0, wrong);
+    run.record('result', { result: failed.result, left: run.core.state.timerLeft });
+
+    const entry = run.entry();
+    assert.equal(entry.level, 2);
+    assert.deepEqual(verifyRun(entry).flags, []);
+    assert.equal(verifyRun({ ...entry, mode: 'normal' }).flags[0].detail, 'mode normal does not match the replayed strict');
+});
+
+// Strict rounds end on the first wrong key rather than on submit
+function strictMiss(run) {
+    run.clock.advance(500);
+    const wrong = run.core.state.answer[0] === '0' ? '1' : '0';
+    run.record('key', { box: 0, value: wrong });
+    const { failed } = run.core.typeKey(0, wrong);
+    run.record('result', { result: failed.result, left: run.core.state.timerLeft });
+}
+
+test('adaptive runs start no easier than a fresh calibration', () => {
+    assert.deepEqual(adaptiveRunProfile({ span: 3, tempo: 1.5, rounds: 80, history: [{ correct: true }] }),
+        { span: ADAPTIVE.startSpan, tempo: 1, rounds: 0, history: [] });
+    assert.deepEqual(adaptiveRunProfile({ span: 9.5, tempo: 0.8, rounds: 80 }), { span: 9.5, tempo: 0.8, rounds: 0, history: [] });
+
+    const adaptiveRun = (start) => {
+        const run = loggedRun('ADAPT');
+        run.log.segments[0].adaptive = start;
+        run.core.state.adaptive = createAdaptiveProfile(start);
+        run.core.state.progression = 'adaptive';
+        run.record('rules', runRules(run.core.state));
+        for (let i = 0; i < 3; i++) run.pass();
+        run.round();
+        run.fail();
+        return run.entry();
+    };
+    // A strong player's span carries over: the run is harder, and verifies
+    assert.deepEqual(verifyRun(adaptiveRun(adaptiveRunProfile({ span: 9, tempo: 0.9, rounds: 40 }))).flags, []);
+
+    // Claiming a span of 3 and a slow tempo buys short, easy rounds: refused
+    const forged = verifyRun(adaptiveRun({ span: 3, tempo: 1.5, rounds: 0, history: [] }));
+    assert.equal(forged.ok, false);
+    assert.match(forged.flags.find(f => f.code === 'adaptive').detail, /started from span 3 at tempo 1.5/);
+});
+
+test('rules switched after the first round are refused', () => {
+    // Untimed practice rounds with free retries, then Strict for the score
+    const run = loggedRun('LAUNDER', 'practice');
+    for (let i = 0; i < 4; i++) run.pass();
+    run.core.state.mode = 'strict';
+    run.record('rules', runRules(run.core.state));
+    run.round();
+    strictMiss(run);
+    const entry = run.entry();
+    assert.equal(entry.mode, 'strict');
+    const verdict = verifyRun(entry);
+    assert.equal(verdict.ok, false);
+    assert.deepEqual(verdict.flags.map(f => f.code), ['rules']);
+    assert.match(verdict.flags[0].detail, /switched to strict .* after round 4/);
+
+    // Settings logged before the first round are part of the run's rules
+    const early = loggedRun('EARLY');
+    early.core.state.mode = 'strict';
+    early.record('rules', runRules(early.core.state));
+    early.pass();
+    early.round();
+    strictMiss(early);
+    assert.deepEqual(verifyRun(early.entry()).flags, []);
+});
+
+test('drill sets are part of the run log', () => {
+    const run = loggedRun('DRILL', 'drill');
+    const set = { items: [{ token: '7', weight: 3 }], positions: [1] };
+    for (let i = 0; i < 3; i++) {
+        run.core.state.drill = set;
+        run.record('drill', set);
+        run.pass();
+    }
+    assert.equal(run.core.state.sequence[1], '7');
+    // Drill rounds are untimed, so a run only ends if the practice timer runs out
+    run.record('drill', set);
+    run.round();
+    run.clock.advance(PRACTICE_TIMER * 1000);
+    run.record('result', { result: 'timeout', left: 0 });
+    const entry = run.entry();
+    assert.deepEqual(verifyRun(entry).flags, []);
+    assert.equal(verifyRun(entry).score, entry.score);
+
+    // Without its drill sets the log replays different sequences
+    const events = entry.log.segments[0].events;
+    const stripped = { ...entry, log: { ...entry.log, segments: [{ ...entry.log.segments[0], events: events.filter(e => e.type !== 'drill') }] } };
+    assert.equal(verifyRun(stripped).ok, false);
+});
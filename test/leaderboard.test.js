@@ -0,0 +1,200 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startLeaderboard, windowStart } = require('../server/leaderboard.js');
+const { createGameCore, createManualClock, Rng, RUN_LOG_VERSION, runRules } = require('../core.js');
+const { createMemoryStore, createStorageEngine } = require('../storage.js');
+
+/**
+ * A finished run with a genuine run log: `rounds` correct answers, then a
+ * wrong one. Typing is human-paced so the server's verifier accepts it.
+ * `switchTo` ({ round, mode }) changes the mode in Settings before that round.
+ */
+function playRun(name, seed, rounds, mode = 'normal', switchTo = null) {
+    const clock = createManualClock();
+    const core = createGameCore({ clock, rng: { ...Rng } });
+    core.state.mode = mode;
+    core.newRun(seed);
+    const rules = runRules(core.state);
+    const events = [];
+    const record = (type, data = {}) => events.push({ t: clock.now(), type, ...data });
+    const answer = (tokens) => {
+        clock.advance(core.state.sequence.length * 1000 + 9000);
+        core.beginInput();
+        record('input');
+        tokens.forEach((value, box) => {
+            clock.advance(400);
+            record('key', { box, value });
+        });
+        const outcome = core.submit(tokens);
+        record('result', { result: outcome.result, left: core.state.timerLeft });
+        clock.advance(1400);
+    };
+    for (let i = 0; i <= rounds; i++) {
+        if (switchTo && switchTo.round === i) {
+            core.state.mode = switchTo.mode;
+            record('rules', runRules(core.state));
+        }
+        core.beginRound();
+        record('round');
+        answer(i < rounds ? core.state.answer : core.state.answer.map(t => (t === '0' ? '1' : '0')));
+    }
+    const { state } = core;
+    return {
+        name, score: state.score, level: state.level, streak: state.maxStreak, mode: state.mode,
+        variant: state.getVariant(), seed, date: '2026-10-14T09:00:00.000Z',
+        log: { v: RUN_LOG_VERSION, segments: [{ seed, rules, adaptive: null, events }] },
+    };
+}
+
+async function withServer(fn, { file, now } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-board-'));
+    let clock = new Date('2026-10-14T12:00:00.000Z'); // a Wednesday
+    const server = await startLeaderboard({
+        port: 0, host: '127.0.0.1', file: file || path.join(dir, 'runs.json'), now: now || (() => clock),
+    });
+    const base = `http://127.0.0.1:${server.port}`;
+    const api = async (method, url, body) => {
+        const res = await fetch(`${base}${url}`, {
+            method, body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+        });
+        return { status: res.status, body: await res.json() };
+    };
+    try {
+        await fn({ server, base, api, dir, setNow: (iso) => { clock = new Date(iso); } });
+    } finally {
+        await server.close();
+    }
+}
+
+test('windowStart: UTC midnight today, or this week\'s Monday', () => {
+    const wed = new Date('2026-10-14T12:00:00.000Z');
+    assert.equal(windowStart('daily', wed), '2026-10-14T00:00:00.000Z');
+    assert.equal(windowStart('weekly', wed), '2026-10-12T00:00:00.000Z');
+    assert.equal(windowStart('weekly', new Date('2026-10-18T23:00:00.000Z')), '2026-10-12T00:00:00.000Z'); // Sunday
+    assert.equal(windowStart('all', wed), null);
+});
+
+test('verified runs are ranked per board, one line per player', async () => {
+    await withServer(async ({ api }) => {
+        const ada = playRun('ada', 'SEED-A', 3);
+        const posted = await api('POST', '/api/runs', ada);
+        assert.equal(posted.status, 201);
+        assert.deepEqual(posted.body, { id: 1, board: 'normal', ranks: { daily: 1, weekly: 1, all: 1 } });
+
+        // Sending the same run again (a client retrying) doesn't duplicate it
+        const again = await api('POST', '/api/runs', ada);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.duplicate, true);
+
+        await api('POST', '/api/runs', playRun('BOB', 'SEED-B', 4));
+        await api('POST', '/api/runs', playRun('ADA', 'SEED-C', 1));
+        await api('POST', '/api/runs', playRun('BOB', 'SEED-D', 2, 'strict'));
+
+        const board = await api('GET', '/api/boards/normal?window=all');
+        assert.equal(board.status, 200);
+        assert.equal(board.body.label, 'NORMAL');
+        assert.deepEqual(board.body.entries.map(e => [e.rank, e.name, e.level]), [[1, 'BOB', 5], [2, 'ADA', 4]]);
+        assert.equal('log' in board.body.entries[0], false);
+
+        const boards = await api('GET', '/api/boards');
+        assert.deepEqual(boards.body.boards, [
+            { board: 'normal', label: 'NORMAL', runs: 3 },
+            { board: 'strict', label: 'STRICT', runs: 1 },
+        ]);
+
+        const profile = await api('GET', '/api/players/Ada');
+        assert.equal(profile.body.profile.runs, 2);
+        assert.equal(profile.body.profile.bestLevel, 4);
+        assert.deepEqual(profile.body.recent.map(r => r.seed), ['SEED-C', 'SEED-A']);
+        assert.equal((await api('GET', '/api/players/NOBODY')).status, 404);
+    });
+});
+
+test('daily and weekly boards only count runs received in that window', async () => {
+    await withServer(async ({ api, setNow }) => {
+        const names = async (window) => (await api('GET', `/api/boards/normal?window=${window}`)).body.entries.map(e => e.name);
+        await api('POST', '/api/runs', playRun('ADA', 'WED', 4));
+        setNow('2026-10-16T08:00:00.000Z'); // Friday, same week
+        await api('POST', '/api/runs', playRun('BOB', 'FRI', 2));
+        assert.deepEqual(await names('daily'), ['BOB']);
+        assert.deepEqual(await names('weekly'), ['ADA', 'BOB']);
+
+        setNow('2026-10-19T08:00:00.000Z'); // next Monday
+        await api('POST', '/api/runs', playRun('CAT', 'NEXT', 1));
+        assert.deepEqual(await names('daily'), ['CAT']);
+        assert.deepEqual(await names('weekly'), ['CAT']);
+        assert.deepEqual(await names('all'), ['ADA', 'BOB', 'CAT']);
+        assert.equal((await api('GET', '/api/boards/normal?window=yearly')).status, 400);
+    });
+});
+
+test('runs that fail verification or are not runs are refused', async () => {
+    await withServer(async ({ api, server }) => {
+        const forged = await api('POST', '/api/runs', { ...playRun('EVE', 'SEED-E', 2), score: 999999 });
+        assert.equal(forged.status, 422);
+        assert.equal(forged.body.flags[0].code, 'score');
+
+        const bare = await api('POST', '/api/runs', { name: 'EVE', score: 999999, mode: 'normal' });
+        assert.equal(bare.status, 422);
+        assert.equal(bare.body.flags[0].code, 'no-log');
+
+        // Practice rounds, then a switch to Normal for the last one
+        const laundered = await api('POST', '/api/runs', playRun('EVE', 'SEED-P', 3, 'practice', { round: 3, mode: 'normal' }));
+        assert.equal(laundered.status, 422);
+        assert.deepEqual(laundered.body.flags.map(f => f.code), ['rules']);
+
+        assert.equal((await api('POST', '/api/runs', '{not json')).status, 400);
+        assert.equal((await api('GET', '/api/nothing')).status, 404);
+        assert.equal(server.runs.length, 0);
+    });
+});
+
+test('runs survive a server restart', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mr-board-')), 'runs.json');
+    await withServer(async ({ api }) => {
+        await api('POST', '/api/runs', playRun('ADA', 'SEED-A', 2));
+    }, { file });
+    await withServer(async ({ api, server }) => {
+        assert.equal(server.runs.length, 1);
+        const posted = await api('POST', '/api/runs', playRun('BOB', 'SEED-B', 1));
+        assert.equal(posted.body.id, 2);
+    }, { file });
+});
+
+test('StorageEngine queues runs while the server is away and syncs them later', async () => {
+    const storage = createStorageEngine(createMemoryStore());
+    // Local-only until a server is configured
+    storage.saveScore(playRun('ADA', 'LOCAL', 1));
+    assert.deepEqual(await storage.sync(), { sent: 0, refused: [], pending: 0 });
+
+    // A server that isn't there: the run stays queued
+    storage.connect('http://127.0.0.1:9/');
+    storage.saveScore(playRun('ADA', 'SEED-A', 2));
+    assert.deepEqual(await storage.sync(), { sent: 0, refused: [], pending: 1 });
+
+    await withServer(async ({ base, api }) => {
+        storage.connect(`${base}/`);
+        assert.equal(storage.remote.url, base);
+        storage.saveScore({ ...playRun('EVE', 'SEED-E', 1), score: 999999 });
+        const result = await storage.sync();
+        assert.equal(result.sent, 1);
+        assert.deepEqual(result.refused.map(r => [r.entry.name, r.error]), [['EVE', 'Run failed verification.']]);
+        assert.equal(result.pending, 0);
+        assert.deepEqual(storage.getOutbox(), []);
+
+        const board = await storage.remote.getBoard('normal', 'daily');
+        assert.deepEqual(board.entries.map(e => e.name), ['ADA']);
+        assert.equal((await storage.remote.getProfile('ADA')).profile.runs, 1);
+        // Local boards keep everything saved on this device
+        assert.equal(storage.getScores('normal').length, 3);
+        assert.equal((await api('GET', '/api/boards')).body.boards[0].runs, 1);
+    });
+    storage.connect('');
+    assert.equal(storage.remote, null);
+});
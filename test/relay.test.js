@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { startRelay, cleanRules } = require('../server/relay.js');
+const { createGameCore, Rng } = require('../core.js');
+
+/** A racer connected to the relay that queues every message it receives. */
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+        const inbox = [];
+        const waiters = [];
+        ws.on('message', (data) => {
+            const msg = JSON.parse(data);
+            const i = waiters.findIndex(w => w.match(msg));
+            if (i >= 0) waiters.splice(i, 1)[0].resolve(msg); else inbox.push(msg);
+        });
+        ws.on('error', reject);
+        ws.on('open', () => resolve({
+            send: (type, payload = {}) => ws.send(JSON.stringify({ type, ...payload })),
+            /** Next message of `type` (optionally also satisfying `pred`). */
+            next: (type, pred = () => true) => {
+                const match = (m) => m.type === type && pred(m);
+                const i = inbox.findIndex(match);
+                if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+                return new Promise(res => waiters.push({ match, resolve: res }));
+            },
+            close: () => ws.close(),
+        }));
+    });
+}
+
+async function withRelay(fn) {
+    const relay = await startRelay({ port: 0, host: '127.0.0.1' });
+    const clients = [];
+    /** Connect and join a room; resolves once the relay answers with `reply`. */
+    const join = async (name, room = 'LAN1', reply = 'welcome') => {
+        const c = await connect(relay.port);
+        clients.push(c);
+        c.send('join', { room, name });
+        c[reply] = await c.next(reply);
+        return c;
+    };
+    try {
+        await fn({ relay, join });
+    } finally {
+        clients.forEach(c => c.close());
+        await relay.close();
+    }
+}
+
+test('cleanRules: falls back to Normal/auto for modes and settings that cannot race', () => {
+    assert.deepEqual(cleanRules({ mode: 'practice' }),
+        { mode: 'normal', progression: 'auto', seqType: 'numbers', difficulty: 'medium', presentation: 'visual' });
+    assert.deepEqual(cleanRules({ mode: 'strict', progression: 'custom', seqType: 'hex', difficulty: 'hard', presentation: 'dual' }),
+        { mode: 'strict', progression: 'custom', seqType: 'hex', difficulty: 'hard', presentation: 'dual' });
+    assert.equal(cleanRules({ progression: 'custom', seqType: 'bogus', difficulty: 'hard' }).progression, 'auto');
+    assert.equal(cleanRules(null).mode, 'normal');
+    assert.equal(cleanRules('strict').mode, 'normal');
+});
+
+test('lobby: first player hosts, room codes are normalised', async () => {
+    await withRelay(async ({ join }) => {
+        const ada = await join('ada', 'lan1');
+        assert.equal(ada.welcome.room, 'LAN1');
+        const bob = await join('bob', 'LAN1');
+
+        const list = await bob.next('players', m => m.players.length === 2);
+        assert.equal(list.hostId, ada.welcome.id);
+        assert.deepEqual(list.players.map(p => p.name).sort(), ['ADA', 'BOB']);
+        assert.equal(list.racing, false);
+    });
+});
+
+test('lobby: markup characters are stripped from racer names', async () => {
+    await withRelay(async ({ join }) => {
+        const eve = await join('<img src=x onerror="alert(1)">');
+        const list = await eve.next('players');
+        assert.deepEqual(list.players.map(p => p.name), ['IMG SRC=X ON']);
+        const blank = await join('<>');
+        assert.equal((await blank.next('players', m => m.players.length === 2)).players[1].name, 'GUEST');
+    });
+});
+
+test('start: host only, needs two racers, everyone gets the same seed and rules', async () => {
+    await withRelay(async ({ join }) => {
+        const ada = await join('ADA');
+        ada.send('start', { rules: { mode: 'strict' } });
+        assert.match((await ada.next('error')).message, /at least 2/);
+
+        const bob = await join('BOB');
+        bob.send('start', {});
+        assert.match((await bob.next('error')).message, /host/);
+
+        ada.send('start', { rules: { mode: 'strict' } });
+        const [a, b] = await Promise.all([ada.next('start'), bob.next('start')]);
+        assert.equal(a.seed, b.seed);
+        assert.equal(a.rules.mode, 'strict');
+
+        // Same seed → same sequence every round, whoever is ahead
+        const coreA = createGameCore({ rng: { ...Rng } });
+        const coreB = createGameCore({ rng: { ...Rng } });
+        coreA.newRun(a.seed);
+        coreB.newRun(b.seed);
+        for (let round = 0; round < 5; round++) {
+            coreA.beginRound();
+            coreB.beginRound();
+            assert.deepEqual(coreA.state.sequence, coreB.state.sequence);
+        }
+
+        const late = await join('CAT', 'LAN1', 'error');
+        assert.match(late.error.message, /already running/);
+    });
+});
+
+test('malformed messages get an error and leave the relay running', async () => {
+    await withRelay(async ({ join }) => {
+        const ada = await join('ADA');
+        const bob = await join('BOB');
+        const { error } = console;
+        console.error = () => {};
+        try {
+            const eve = await join({ toString: 1 }, 'LAN1', 'error'); // String(name) throws
+            assert.match(eve.error.message, /Bad message/);
+        } finally {
+            console.error = error;
+        }
+
+        ada.send('start', { rules: null });
+        const [a, b] = await Promise.all([ada.next('start'), bob.next('start')]);
+        assert.equal(a.seed, b.seed);
+        assert.equal(a.rules.mode, 'normal');
+    });
+});
+
+test('progress is relayed and the race ends when the last racer is out', async () => {
+    await withRelay(async ({ join }) => {
+        const ada = await join('ADA');
+        const bob = await join('BOB');
+        ada.send('start', {});
+        await Promise.all([ada.next('start'), bob.next('start')]);
+
+        ada.send('progress', { level: 3, score: 400, filled: 2, total: 5 });
+        const seen = await bob.next('players', m => m.players.some(p => p.name === 'ADA' && p.level === 3));
+        assert.deepEqual(seen.players.find(p => p.name === 'ADA'),
+            { id: ada.welcome.id, name: 'ADA', level: 3, score: 400, filled: 2, total: 5, alive: true });
+
+        bob.send('out', { level: 2, score: 100 });
+        await ada.next('players', m => m.players.some(p => p.name === 'BOB' && !p.alive));
+
+        ada.send('out', { level: 4, score: 900 });
+        const [overA, overB] = await Promise.all([ada.next('over'), bob.next('over')]);
+        assert.deepEqual(overA, overB);
+        assert.deepEqual(overA.standings.map(p => p.name), ['ADA', 'BOB']);
+
+        // Back in the lobby: the room can race again
+        await ada.next('players', m => m.racing === false && m.players.every(p => !p.alive));
+    });
+});
+
+test('a racer disconnecting mid-race counts as out and hands over host', async () => {
+    await withRelay(async ({ join }) => {
+        const ada = await join('ADA');
+        const bob = await join('BOB');
+        ada.send('start', {});
+        await bob.next('start');
+
+        ada.close();
+        const list = await bob.next('players', m => m.players.length === 1);
+        assert.equal(list.hostId, bob.welcome.id);
+
+        bob.send('out', { level: 1, score: 0 });
+        const over = await bob.next('over');
+        assert.deepEqual(over.standings.map(p => p.name), ['BOB']);
+    });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEventBus } = require('../core.js');
+const { createStatsLogger } = require('../plugins/stats-logger.js');
+
+/** The slice of the MemoryRouter plugin api the logger uses, over a real bus. */
+function fakeApi() {
+    const bus = createEventBus();
+    const widgets = {};
+    return {
+        bus,
+        widgets,
+        api: {
+            on: (event, fn) => bus.on(event, fn),
+            addHudWidget: (id, def) => { widgets[id] = def; },
+        },
+    };
+}
+
+const result = (r) => ({ level: 1, earned: 0, score: 0, streak: 0, ...r });
+
+test('the stats logger tallies rounds and shows session accuracy', () => {
+    const lines = [];
+    const plugin = createStatsLogger({ logger: { info: (line) => lines.push(line) } });
+    const { bus, widgets, api } = fakeApi();
+    plugin.setup(api);
+
+    const widget = widgets['session-accuracy'];
+    assert.equal(widget.label, 'ACC');
+    assert.equal(widget.render(), '—');
+
+    bus.emit('round:result', result({ result: 'correct', earned: 200, score: 200, streak: 1 }));
+    bus.emit('round:result', result({ level: 2, result: 'correct', earned: 400, score: 600, streak: 2 }));
+    bus.emit('round:result', result({ level: 3, result: 'timeout', score: 600 }));
+    assert.deepEqual(plugin.session, { runs: 0, rounds: 3, correct: 2, bestScore: 0 });
+    assert.equal(widget.render(), '67%');
+    assert.match(lines[2], /L03 TIMEOUT .* session 67%/);
+});
+
+test('the stats logger logs finished runs and saved scores', () => {
+    const lines = [];
+    const plugin = createStatsLogger({ logger: { info: (line) => lines.push(line) } });
+    const { bus, api } = fakeApi();
+    plugin.setup(api);
+
+    const entry = { name: 'NEO', score: 1200, level: 4, maxStreak: 3, mode: 'normal', variant: 'auto', seed: 'ABC' };
+    bus.emit('game:over', entry);
+    bus.emit('score:saved', { board: 'normal', rank: 1, newBest: true, entry });
+    assert.equal(plugin.session.runs, 1);
+    assert.equal(plugin.session.bestScore, 1200);
+    assert.match(lines[0], /RUN 1 OVER · NEO · normal · level 4 · 1200 pts/);
+    assert.equal(lines[1], '[stats] #1 on normal — new best');
+});
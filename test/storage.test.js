@@ -0,0 +1,288 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SCHEMA_VERSION,
+    BOARD_SIZE,
+    STORAGE_KEYS,
+    V2_KEYS,
+    boardKey,
+    boardLabel,
+    migrateStore,
+    createMemoryStore,
+    createStorageEngine,
+} = require('../storage.js');
+
+function entry(overrides = {}) {
+    return {
+        name: 'ADA',
+        score: 100,
+        level: 3,
+        streak: 2,
+        mode: 'normal',
+        variant: 'auto',
+        seed: 'ABCD1234',
+        date: '2026-10-01T12:00:00.000Z',
+        ...overrides,
+    };
+}
+
+/** A localStorage snapshot as the v2 build left it. */
+function v2Store() {
+    return createMemoryStore({
+        [V2_KEYS.scores]: JSON.stringify([
+            entry({ name: 'ADA', score: 900, mode: 'normal' }),
+            entry({ name: 'BOB', score: 700, mode: 'strict' }),
+            entry({ name: 'ADA', score: 500, mode: 'normal', variant: 'hex-hard' }),
+            entry({ name: 'BOB', score: 300, mode: 'daily', seed: 'DAILY-2026-10-01' }),
+        ]),
+        [V2_KEYS.best]: '900',
+        [V2_KEYS.settings]: JSON.stringify({ mode: 'strict', soundOn: false }),
+        [V2_KEYS.lastName]: 'ADA',
+    });
+}
+
+test('boardKey: one board per mode, Custom setting and Daily Route day', () => {
+    assert.equal(boardKey(entry()), 'normal');
+    assert.equal(boardKey(entry({ mode: 'strict', variant: 'hex-hard' })), 'strict:hex-hard');
+    assert.equal(boardKey(entry({ mode: 'daily', seed: 'DAILY-2026-10-19' })), 'daily:2026-10-19');
+    assert.equal(boardLabel('speed:alpha-insane'), 'SPEED · ALPHA INSANE');
+    assert.equal(boardLabel('daily:2026-10-19'), 'DAILY · 2026-10-19');
+});
+
+test('migrate: fresh store is stamped with the current schema', () => {
+    const store = createMemoryStore();
+    assert.equal(migrateStore(store), SCHEMA_VERSION);
+    assert.equal(store.getItem(STORAGE_KEYS.version), String(SCHEMA_VERSION));
+});
+
+test('migrate: v2 scores are split into boards and profiles, v2 keys removed', () => {
+    const store = v2Store();
+    const storage = createStorageEngine(store);
+    assert.equal(storage.migrate(), 2);
+
+    assert.deepEqual(Object.keys(storage.getBoards()).sort(),
+        ['daily:2026-10-01', 'normal', 'normal:hex-hard', 'strict']);
+    assert.equal(storage.getBest('normal'), 900);
+    assert.equal(storage.getBest('normal:hex-hard'), 500);
+
+    const ada = storage.getProfile('ADA');
+    assert.equal(ada.runs, 2);
+    assert.equal(ada.totalScore, 1400);
+    assert.equal(ada.bestScore, 900);
+    assert.deepEqual(ada.modes, { normal: 2 });
+
+    assert.deepEqual(storage.getSettings(), { mode: 'strict', soundOn: false });
+    assert.equal(storage.getLastName(), 'ADA');
+    Object.values(V2_KEYS).forEach(key => assert.equal(store.getItem(key), null));
+
+    // Running it again is a no-op
+    assert.equal(storage.migrate(), SCHEMA_VERSION);
+    assert.equal(storage.getBest('normal'), 900);
+});
+
+test('migrate: refuses data from a newer schema', () => {
+    const store = createMemoryStore({ [STORAGE_KEYS.version]: String(SCHEMA_VERSION + 1) });
+    assert.throws(() => migrateStore(store), /newer version/);
+});
+
+test('migrate: v3 scores, saved before run logs, become legacy entries', () => {
+    const store = createMemoryStore({
+        [STORAGE_KEYS.version]: '3',
+        [STORAGE_KEYS.boards]: JSON.stringify({ normal: [entry({ score: 900 })] }),
+    });
+    const storage = createStorageEngine(store);
+    assert.equal(storage.migrate(), 3);
+    assert.equal(storage.getScores('normal')[0].legacy, true);
+    assert.equal(storage.getBest('normal'), 900);
+});
+
+test('saveScore: ranks within its own board and reports a new best', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    storage.migrate();
+
+    assert.deepEqual(storage.saveScore(entry({ score: 200 })), { board: 'normal', rank: 1, newBest: true });
+    assert.deepEqual(storage.saveScore(entry({ score: 150 })), { board: 'normal', rank: 2, newBest: false });
+    // A different mode starts its own board
+    assert.equal(storage.saveScore(entry({ score: 50, mode: 'speed' })).newBest, true);
+    assert.equal(storage.getBest('normal'), 200);
+
+    for (let i = 0; i < BOARD_SIZE; i++) storage.saveScore(entry({ score: 1000 + i }));
+    assert.equal(storage.getScores('normal').length, BOARD_SIZE);
+    assert.equal(storage.saveScore(entry({ score: 1 })).rank, 0);
+});
+
+test('saveScore: folds every run into the player profile', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    storage.saveScore(entry({ score: 100, level: 4, date: '2026-10-02T00:00:00.000Z' }));
+    storage.saveScore(entry({ score: 300, level: 2, mode: 'strict', date: '2026-10-01T00:00:00.000Z' }));
+
+    const p = storage.getProfile('ADA');
+    assert.equal(p.runs, 2);
+    assert.equal(p.bestScore, 300);
+    assert.equal(p.bestLevel, 4);
+    assert.equal(p.firstPlayed, '2026-10-01T00:00:00.000Z');
+    assert.equal(p.lastPlayed, '2026-10-02T00:00:00.000Z');
+    assert.deepEqual(p.modes, { normal: 1, strict: 1 });
+    assert.equal(storage.getProfile('NOBODY'), null);
+});
+
+test('adaptive profiles are kept per player', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    assert.equal(storage.getAdaptive('ADA'), null);
+    storage.saveAdaptive('ADA', { span: 6.5, tempo: 0.9, rounds: 12, history: [] });
+    storage.saveAdaptive('BOB', { span: 4, tempo: 1, rounds: 3, history: [] });
+    assert.equal(storage.getAdaptive('ADA').span, 6.5);
+    assert.equal(storage.getAdaptive('BOB').rounds, 3);
+    assert.ok('adaptive' in storage.exportData().data);
+});
+
+test('chunk trainer records are kept per player', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    assert.equal(storage.getChunking('ADA'), null);
+    storage.saveChunking('ADA', { fade: 9, chunked: { 9: { rounds: 3, correct: 2 } }, baseline: {} });
+    storage.saveChunking('', { fade: 0, chunked: {}, baseline: {} });
+    assert.equal(storage.getChunking('ADA').fade, 9);
+    assert.equal(storage.getChunking('GUEST').fade, 0);
+    assert.ok('chunking' in storage.exportData().data);
+});
+
+test('drill decks are kept per player', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    assert.equal(storage.getDrillDeck('ADA'), null);
+    storage.saveDrillDeck('ADA', { 7: { ease: 2.5, interval: 1, reps: 1, lapses: 0, due: 86400000 } });
+    storage.saveDrillDeck('', {});
+    assert.equal(storage.getDrillDeck('ADA')[7].interval, 1);
+    assert.deepEqual(storage.getDrillDeck('GUEST'), {});
+    assert.ok('drill' in storage.exportData().data);
+});
+
+test('achievements are kept per player; rewards merge across the device', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    assert.deepEqual(storage.getAchievements('ADA'), {});
+    storage.awardAchievements('ADA', ['first-packet'], '2026-10-02T00:00:00.000Z');
+    storage.awardAchievements('ADA', ['first-packet', 'rewind'], '2026-10-05T00:00:00.000Z');
+    storage.awardAchievements('BOB', ['first-packet'], '2026-10-01T00:00:00.000Z');
+    assert.deepEqual(storage.getAchievements('ADA'), {
+        'first-packet': '2026-10-02T00:00:00.000Z',
+        'rewind': '2026-10-05T00:00:00.000Z',
+    });
+    assert.equal(storage.getAllAchievements()['first-packet'], '2026-10-01T00:00:00.000Z');
+    assert.ok('achievements' in storage.exportData().data);
+});
+
+test('export / import round-trips all data into another store', () => {
+    const source = createStorageEngine(v2Store());
+    source.migrate();
+    source.saveStats({ positions: [{ seen: 1, correct: 1 }] });
+    const doc = JSON.parse(JSON.stringify(source.exportData()));
+    assert.equal(doc.app, 'memory-router');
+    assert.equal(doc.schema, SCHEMA_VERSION);
+
+    const target = createStorageEngine(createMemoryStore());
+    target.saveScore(entry({ name: 'ZED', score: 5 }));
+    target.importData(doc);
+
+    assert.deepEqual(target.getBoards(), source.getBoards());
+    assert.deepEqual(target.getProfiles(), source.getProfiles());
+    assert.deepEqual(target.getStats(), source.getStats());
+    assert.equal(target.getProfile('ZED'), null);
+});
+
+test('import: rejects foreign or unsupported files without touching data', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    storage.saveScore(entry());
+
+    assert.throws(() => storage.importData({ hello: 'world' }), /Not a Memory Router export/);
+    assert.throws(() => storage.importData({ app: 'memory-router', schema: 1, data: {} }), /Unsupported/);
+    assert.throws(() => storage.importData({ app: 'memory-router', schema: SCHEMA_VERSION + 1, data: {} }),
+        /newer version/);
+    assert.equal(storage.getBest('normal'), 100);
+});
+
+test('import: names lose their markup; entries with bad names or unknown modes are left out', () => {
+    const modes = ['normal', 'strict'];
+    const xss = '<img src=x onerror="alert(1)">';
+    const doc = {
+        app: 'memory-router',
+        schema: SCHEMA_VERSION,
+        data: {
+            boards: JSON.stringify({
+                normal: [entry({ name: xss, score: 300 }), entry({ name: { toString: 1 }, score: 200 }), entry({ name: 'BOB' })],
+                '<b>evil</b>': [entry({ mode: '<b>evil</b>' })],
+            }),
+            profiles: JSON.stringify({
+                ADA: { name: 'ADA', runs: 2, modes: { normal: 1, '<script>': 1 } },
+                EVE: { name: 'EVE', runs: 1, modes: { '<script>': 1 } },
+                42: { name: 42, runs: 1, modes: { normal: 1 } },
+            }),
+            replays: JSON.stringify([{ id: 'r1', name: xss, mode: 'strict' }, { id: 'r2', name: 'ADA', mode: 'bogus' }]),
+            session: JSON.stringify({ name: 'ADA', mode: 'bogus', level: 9 }),
+            lastName: '"><svg/onload=alert(1)>',
+        },
+    };
+    const storage = createStorageEngine(createMemoryStore());
+    storage.importData(doc, { modes });
+
+    assert.deepEqual(Object.keys(storage.getBoards()), ['normal']);
+    assert.deepEqual(storage.getScores('normal').map(e => e.name), ['IMG SRC=X ON', 'BOB']);
+    assert.deepEqual(storage.getProfiles(), { ADA: { name: 'ADA', runs: 2, modes: { normal: 1 } } });
+    assert.deepEqual(storage.getReplays().map(r => [r.id, r.name]), [['r1', 'IMG SRC=X ON']]);
+    assert.equal(storage.getSession(), null);
+    assert.equal(storage.getLastName(), 'SVG/ONLOAD=A');
+
+    // Stats and drill decks keep only real tokens with numeric tallies; stores of the wrong shape go
+    const card = { ease: 2.5, interval: 1, reps: 1, lapses: 0, due: 0 };
+    storage.importData({ ...doc, data: {
+        stats: JSON.stringify({
+            positions: [{ seen: 2, correct: 1 }, { seen: 'x' }],
+            tokens: { 7: { seen: 3, correct: 2, totalMs: 900, timed: 2 }, '<b>': { seen: 1, correct: 0 }, 8: 'lots' },
+            confusions: { '8>3': 2, '<img src=x onerror=alert(1) >A': 1, 'A>>': 1, '9>4': 'many' },
+            phases: { 'PHASE 1': { rounds: 4, correct: 3 }, 'PHASE 2': null },
+        }),
+        drill: JSON.stringify({ '<ada>': { 7: card, '<i>': card, 9: { ease: 'high' } }, BOB: [card] }),
+        adaptive: JSON.stringify({ ADA: { span: 6 }, EVE: 'x' }),
+        achievements: '[1, 2]',
+        settings: '"strict"',
+    } }, { modes });
+    assert.deepEqual(storage.getStats(), {
+        positions: [{ seen: 2, correct: 1 }, null],
+        tokens: { 7: { seen: 3, correct: 2, totalMs: 900, timed: 2 } },
+        confusions: { '8>3': 2 },
+        phases: { 'PHASE 1': { rounds: 4, correct: 3 } },
+    });
+    assert.deepEqual(storage.getDrillDeck('ADA'), { 7: card });
+    assert.equal(storage.getDrillDeck('BOB'), null);
+    assert.deepEqual(storage.getAdaptive('ADA'), { span: 6 });
+    assert.equal(storage.getAdaptive('EVE'), null);
+    assert.deepEqual(storage.getAchievements('ADA'), {});
+    assert.deepEqual(storage.getSettings(), {});
+
+    // A session in a known mode survives, its name cleaned
+    storage.importData({ ...doc, data: { session: JSON.stringify({ name: '<ada>', mode: 'strict', level: 4 }) } }, { modes });
+    assert.deepEqual(storage.getSession(), { name: 'ADA', mode: 'strict', level: 4 });
+});
+
+test('verifyBoards: failing entries leave their board for the rejected list', () => {
+    const storage = createStorageEngine(createMemoryStore());
+    storage.saveScore(entry({ name: 'ADA', score: 400, log: { ok: true } }));
+    storage.saveScore(entry({ name: 'EVE', score: 999999, log: { ok: false } }));
+    storage.saveScore(entry({ name: 'MAL', score: 5000, mode: 'speed' }));
+    storage.saveScore(entry({ name: 'OLD', score: 300, legacy: true }));
+
+    const verify = (e) => (e.log && e.log.ok ? { ok: true, flags: [] }
+        : { ok: false, flags: [{ code: e.log ? 'score' : 'no-log', round: null, detail: 'nope' }] });
+    const rejected = storage.verifyBoards(verify, '2026-10-19T00:00:00.000Z');
+
+    assert.deepEqual(rejected.map(e => [e.name, e.board, e.flags[0].code]), [['EVE', 'normal', 'score'], ['MAL', 'speed', 'no-log']]);
+    assert.deepEqual(storage.getScores('normal').map(e => e.name), ['ADA', 'OLD']);
+    assert.deepEqual(Object.keys(storage.getBoards()), ['normal']);
+    assert.equal(storage.getRejected()[0].rejectedAt, '2026-10-19T00:00:00.000Z');
+    assert.equal('log' in storage.getRejected()[0], false);
+
+    // A second pass finds nothing new
+    assert.deepEqual(storage.verifyBoards(verify), []);
+    assert.equal(storage.getRejected().length, 2);
+});
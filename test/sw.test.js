@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { CACHE_NAME, PRECACHE } = require('../sw.js');
+
+const ROOT = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+/** Local files a document pulls in through src= / href= / url(). */
+function localRefs(text) {
+    const refs = [...text.matchAll(/(?:src|href)="([^"]+)"|url\('([^']+)'\)/g)].map(m => m[1] || m[2]);
+    return refs.filter(ref => !/^(?:[a-z]+:|#|\/\/)/i.test(ref));
+}
+
+test('precache: every entry exists on disk', () => {
+    assert.match(CACHE_NAME, /^memory-router-v\d+$/);
+    PRECACHE.filter(file => file !== './').forEach(file => {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} is precached but missing`);
+    });
+});
+
+test('precache: covers everything the page loads, so it runs offline', () => {
+    const needed = [
+        ...localRefs(read('index.html')),
+        ...localRefs(read('style.css')),
+        ...JSON.parse(read('manifest.webmanifest')).icons.map(icon => icon.src),
+    ];
+    assert.ok(needed.includes('tailwind.css'));
+    needed.forEach(file => assert.ok(PRECACHE.includes(file), `${file} is loaded but not precached`));
+});
+
+test('index.html loads nothing from the network', () => {
+    const remote = [...read('index.html').matchAll(/(?:src|href)="((?:https?:)?\/\/[^"]+)"/g)].map(m => m[1]);
+    assert.deepEqual(remote, []);
+});